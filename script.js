@@ -3,57 +3,127 @@ import { EffectComposer } from "https://esm.sh/three/examples/jsm/postprocessing
 import { RenderPass } from "https://esm.sh/three/examples/jsm/postprocessing/RenderPass.js";
 import { ShaderPass } from "https://esm.sh/three/examples/jsm/postprocessing/ShaderPass.js";
 import { UnrealBloomPass } from "https://esm.sh/three/examples/jsm/postprocessing/UnrealBloomPass.js";
+import { BOARD_PRESETS, GAMEPLAY_CONFIG } from "./src/core/config.js";
+import { SHAPES } from "./src/core/shapes.js";
+import { PIECE_SETS, MAX_PIECE_BLOCKS, getPieceSet, getPieceSetExtent, fitsBoard } from "./src/core/pieceSets.js";
+import { SeededRandom } from "./src/core/random.js";
+import { GameState, validateSnapshot } from "./src/core/GameState.js";
+import { VersusMatch } from "./src/core/versus.js";
+import { NetClient, OnlineMatch, MAX_ROOM_PLAYERS, WEBSOCKET_PATH, normalizeRoomCode } from "./src/core/online.js";
+import { formatDuration, createGameMode } from "./src/core/modes.js";
+import { HighScoreTable, normalizeHighScoreName } from "./src/core/highscores.js";
+import {
+  ACTION_LABELS, BINDABLE_ACTIONS, BINDING_PROFILES, DEFAULT_KEY_BINDINGS, DEFAULT_GAMEPAD_BINDINGS,
+  VERSUS_BINDING_PROFILES, VERSUS_KEY_BINDINGS, KEYS_PER_ACTION, normalizeKey, formatKey, bindKey, unbindKey,
+  findBindingConflict, cloneKeyBindings, loadKeyBindings, saveKeyBindings
+} from "./src/core/bindings.js";
+import { ReplayRecorder, ReplayPlayer, serializeReplay, parseReplay } from "./src/core/replay.js";
+import { ParticlePool } from "./src/core/particles.js";
+import {
+  DEFAULT_AUDIO_SETTINGS, MusicSequencer, sanitizeAudioSettings, loadAudioSettings, saveAudioSettings,
+  getChannelGain, getMusicTempo, midiToFrequency
+} from "./src/core/audio.js";
+import {
+  AUTO_GRAPHICS_QUALITY, DEFAULT_GRAPHICS_QUALITY, FrameBudgetMonitor, getGraphicsPreset, getLowerQuality,
+  isGraphicsQuality, loadGraphicsQuality, saveGraphicsQuality
+} from "./src/core/graphics.js";
 
 
 // --- 2. CONSTANTS & CONFIGURATION ---
-const GRID_WIDTH  = 10;
-const GRID_HEIGHT = 20;
 const BLOCK_SIZE  = 1;
 const BLOCK_GAP   = 0.05;
 
-// Palette métallique désaturée — acier, laiton, cuivre, titane
-const SHAPES = {
-  I: { coords: [[-1,0], [0,0], [1,0], [2,0]], color: 0xFFD700 }, // Or (Gold)
-  O: { coords: [[0,0], [1,0], [0,1], [1,1]],  color: 0xFB641E }, // Cuivre (Copper)
-  T: { coords: [[0,0], [1,0], [2,0], [1,1]],  color: 0xE0E0E0 }, // Argent (Silver)
-  S: { coords: [[1,0], [2,0], [0,1], [1,1]],  color: 0x00FF7F }, // Émeraude (Emerald)
-  Z: { coords: [[0,0], [1,0], [1,1], [2,1]],  color: 0x1E90FF }, // Acier Bleu (Steel)
-  J: { coords: [[0,0], [0,1], [1,1], [2,1]],  color: 0xE5E4E2 }, // Platine
-  L: { coords: [[2,0], [0,1], [1,1], [2,1]],  color: 0xCD7F32 }  // Bronze
+const GAME_OVER_TITLES = {
+  topOut:   'TOP OUT',
+  blockOut: 'BLOCK OUT',
+  lockOut:  'LOCK OUT',
+  cleared:  'COMPLETE',
+  timeUp:   'TIME UP'
 };
 
-const POINTS = [0, 100, 300, 500, 800];
+const PLAYER_NAME_STORAGE_KEY = 'tetris.playerName';
+const SAVED_GAME_STORAGE_KEY  = 'tetris.savedGame';
+const TOUCH_BUTTONS_STORAGE_KEY = 'tetris.touchButtons';
+
+const NON_TEXT_INPUT_TYPES = new Set(['range', 'checkbox', 'radio', 'button', 'submit', 'file']);
+
 
 const CONFIG = {
   particles: {
     tetrahedronRadius: 0.09,
     tetrahedronDetail: 0,
-    velocityRangeXY: 0.35,
-    velocityRangeZ: 0.15,
-    gravity: 0.012,
-    decayRate: 1.8,
-    scaleDecay: 0.97,
-    rotationX: 0.04,
-    rotationY: 0.03,
+    capacity: 512,       // un tetris sur plateau plein en Ultra reste en dessous
     defaultCount: 8,
     clearLineCount: 4
   },
+  // Ancres relatives aux coins haut-droit (NEXT) et haut-gauche (HOLD) du plateau
   preview: {
-    nextAnchor: new THREE.Vector3(GRID_WIDTH + 0.8, GRID_HEIGHT - 1.5, -0.2),
-    nextScale: 0.8
+    nextAnchor: new THREE.Vector3(0.8, -1.5, -0.2),
+    nextScale: 0.8,
+    nextScaleDecay: 0.82,
+    nextSlotHeight: 3,
+    holdAnchor: new THREE.Vector3(-2.4, -1.5, -0.2),
+    holdScale: 0.8,
+    offset: new THREE.Vector3(-1.1, -0.8, 0),   // coin bas-gauche de la pièce par rapport à l'ancre
+    referenceExtent: 4   // au-delà (pentominos, big mode), les aperçus sont réduits d'autant
+  },
+  gameplay: GAMEPLAY_CONFIG,
+  // Cadrage : recul minimal, puis recul supplémentaire pour que le plateau, le hold
+  // et la file suivante tiennent dans la largeur sur les écrans étroits (portrait).
+  // Les marges s'ajoutent aux demi-dimensions du plateau courant.
+  camera: {
+    fov: 60,
+    distance: 25,
+    marginX: 5.5,
+    marginY: 2
+  },
+  // Versus local : plateaux côte à côte dans la même scène, l'écart loge la file NEXT du
+  // joueur de gauche et le HOLD du joueur de droite. Chaque plateau suit les règles du mode.
+  versus: {
+    boardGap: 9,
+    mode: 'marathon'
+  },
+  // Le moteur avance à pas fixe : condition du déterminisme des replays
+  simulation: {
+    tickMs: 1000 / 60,
+    maxFrameMs: 250      // au-delà (onglet en arrière-plan), le retard est abandonné
+  },
+  input: {
+    das: 167,            // ms avant l'auto-repeat horizontal
+    arr: 33,             // ms entre deux pas répétés, 0 = téléportation au mur
+    softDropFactor: 20   // multiplicateur de gravité pendant le soft drop
+  },
+  touch: {
+    das: 200,            // boutons à l'écran maintenus
+    arr: 50,
+    dragCellPx: 28,      // glissement horizontal équivalent à une colonne
+    softDropPx: 36,      // glissement vers le bas au-delà duquel le soft drop est tenu
+    flickVelocity: 1.1,  // px/ms vers le bas au relâché : hard drop
+    tapMaxMs: 220,
+    tapMaxMovePx: 12
+  },
+  gamepad: {
+    das: 183,            // un peu plus long qu'au clavier : le D-pad rebondit davantage
+    arr: 33,
+    deadzone: 0.5        // seuil d'un axe de stick considéré comme poussé
   },
-  gameplay: {
-    minDropInterval: 100,
-    levelDropStep: 75,
-    levelLinesStep: 10,
-    softDropScore: 1,
-    hardDropScore: 2
+  // Mode auto : déclassement quand la moyenne des frames dépasse le budget pendant sustainMs
+  graphics: {
+    frameBudgetMs: 1000 / 50,
+    sustainMs: 3000,
+    bloomStrength: 0.55,
+    bloomRadius: 0.5,
+    bloomThreshold: 0.82
+  },
+  audio: {
+    lookahead: 0.12,     // s de musique planifiés d'avance
+    gainSmoothing: 0.03  // constante de temps des changements de volume
   },
   effects: {
     lineClearFlashIntensity: 100,
     lineClearFlashDurationMs: 100,
     hudScoreFlashDurationMs: 450,
-    hitStopDuration: 0.05,
+    clearFeedDurationMs: 1600,
     cameraShakeDamping: 10,
     cameraShakeFrequency: 34,
     pileBounceDamping: 8,
@@ -64,122 +134,1033 @@ const CONFIG = {
 };
 
 // --- 3. PARTICLE SYSTEM CLASS ---
+// Rendu du ParticlePool : un InstancedMesh de capacité fixe, couleur par instance et
+// opacité par instance (attribut instanceAlpha injecté dans le MeshStandardMaterial).
 class ParticleSystem {
-  constructor(scene) {
-    this.scene    = scene;
-    this.particles = [];
-    this.materialCache = new Map();
+  constructor(scene, capacity = CONFIG.particles.capacity) {
+    this.scene = scene;
+    this.countScale = 1;   // suit le préréglage graphique
+    this.pool = new ParticlePool({ capacity });
+
     this.geometry = new THREE.TetrahedronGeometry(
       CONFIG.particles.tetrahedronRadius,
       CONFIG.particles.tetrahedronDetail
     );
-  }
+    this.alphaAttribute = new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1);
+    this.alphaAttribute.setUsage(THREE.DynamicDrawUsage);
+    this.geometry.setAttribute('instanceAlpha', this.alphaAttribute);
 
-  getMaterial(color) {
-    if (!this.materialCache.has(color)) {
-      const material = new THREE.MeshStandardMaterial({
-        color,
-        roughness: 0.4,
-        metalness: 0.85,
-        transparent: true,
-        opacity: 1
-      });
-      this.materialCache.set(color, material);
-    }
+    this.material = new THREE.MeshStandardMaterial({
+      roughness: 0.4,
+      metalness: 0.85,
+      transparent: true,
+      depthWrite: false
+    });
+    this.material.onBeforeCompile = (shader) => {
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', 'attribute float instanceAlpha;\nvarying float vInstanceAlpha;\n#include <common>')
+        .replace('#include <begin_vertex>', '#include <begin_vertex>\nvInstanceAlpha = instanceAlpha;');
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', 'varying float vInstanceAlpha;\n#include <common>')
+        .replace('#include <color_fragment>', '#include <color_fragment>\ndiffuseColor.a *= vInstanceAlpha;');
+    };
 
-    return this.materialCache.get(color);
+    this.mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+    this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.mesh.setColorAt(0, new THREE.Color());
+    this.mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+    this.mesh.count = 0;
+    // Les instances couvrent toute la scène : la sphère englobante de la géométrie ne convient pas
+    this.mesh.frustumCulled = false;
+    this.scene.add(this.mesh);
+
+    this.tempColor  = new THREE.Color();
+    this.tempObject = new THREE.Object3D();
   }
 
-  emit(position, color, count = CONFIG.particles.defaultCount) {
-    for (let i = 0; i < count; i++) {
-      const material = this.getMaterial(color);
-      const mesh = new THREE.Mesh(this.geometry, material);
-      mesh.position.copy(position);
-      mesh.rotation.set(
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2
-      );
-
-      const vel = new THREE.Vector3(
-        (Math.random() - 0.5) * CONFIG.particles.velocityRangeXY,
-        (Math.random() - 0.5) * CONFIG.particles.velocityRangeXY,
-        (Math.random() - 0.5) * CONFIG.particles.velocityRangeZ
-      );
+  setCountScale(scale) {
+    this.countScale = scale;
+  }
 
-      this.particles.push({ mesh, vel, life: 1.0 });
-      this.scene.add(mesh);
+  emit(position, color, count = CONFIG.particles.defaultCount) {
+    const { r, g, b } = this.tempColor.set(color);
+    const total = Math.round(count * this.countScale);
+    for (let i = 0; i < total; i++) {
+      this.pool.spawn(position.x, position.y, position.z, r, g, b);
     }
   }
 
   update(dt) {
-    for (let i = this.particles.length - 1; i >= 0; i--) {
-      const p = this.particles[i];
-      p.mesh.position.add(p.vel);
-      p.vel.y         -= CONFIG.particles.gravity;
-      p.life          -= dt * CONFIG.particles.decayRate;
-      p.mesh.scale.multiplyScalar(CONFIG.particles.scaleDecay);
-      p.mesh.rotation.x += CONFIG.particles.rotationX;
-      p.mesh.rotation.y += CONFIG.particles.rotationY;
-
-      if (p.life <= 0) {
-        this.scene.remove(p.mesh);
-        this.particles.splice(i, 1);
-      }
+    const pool = this.pool;
+    pool.update(dt);
+
+    const dummy = this.tempObject;
+    for (let i = 0; i < pool.count; i++) {
+      const i3 = i * 3;
+      dummy.position.fromArray(pool.position, i3);
+      dummy.rotation.set(pool.rotation[i3], pool.rotation[i3 + 1], pool.rotation[i3 + 2]);
+      dummy.scale.setScalar(pool.scale[i]);
+      dummy.updateMatrix();
+      this.mesh.setMatrixAt(i, dummy.matrix);
+      this.alphaAttribute.array[i] = pool.getAlpha(i);
     }
+    this.mesh.instanceColor.array.set(pool.color.subarray(0, pool.count * 3));
+
+    this.mesh.count = pool.count;
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.mesh.instanceColor.needsUpdate  = true;
+    this.alphaAttribute.needsUpdate      = true;
   }
 
   clear() {
-    this.particles.forEach(p => {
-      this.scene.remove(p.mesh);
-    });
-    this.particles = [];
+    this.pool.clear();
+    this.mesh.count = 0;
   }
 
   destroy() {
     this.clear();
-    this.materialCache.forEach(material => material.dispose());
-    this.materialCache.clear();
+    this.scene.remove(this.mesh);
+    this.mesh.dispose();
+    this.material.dispose();
     this.geometry.dispose();
   }
 }
 
-// --- 4. MAIN GAME CLASS ---
+// --- 4. AUDIO ENGINE ---
+// Synthèse Web Audio sans échantillons : chaque effet est une enveloppe d'oscillateur ou de
+// bruit filtré, la musique est planifiée quelques dizaines de ms à l'avance depuis la boucle.
+class AudioEngine {
+  constructor({ settings = DEFAULT_AUDIO_SETTINGS, seed } = {}) {
+    this.settings  = sanitizeAudioSettings(settings);
+    this.context   = null;
+    this.sfxGain   = null;
+    this.musicGain = null;
+    this.noiseBuffer = null;
+
+    this.sequencer     = new MusicSequencer({ seed });
+    this.level         = 1;
+    this.musicPlaying  = false;
+    this.nextStepTime  = 0;
+  }
+
+  static getContextClass() {
+    return typeof window !== 'undefined' ? (window.AudioContext || window.webkitAudioContext || null) : null;
+  }
+
+  get isReady() {
+    return !!this.context && this.context.state === 'running';
+  }
+
+  // Les navigateurs n'autorisent l'audio qu'après un geste de l'utilisateur
+  unlock() {
+    if (!this.context) {
+      const ContextClass = AudioEngine.getContextClass();
+      if (!ContextClass) return;
+      this.context = new ContextClass();
+      this.createGraph();
+    }
+    if (this.context.state === 'suspended') this.context.resume().catch(() => {});
+  }
+
+  createGraph() {
+    const ctx = this.context;
+    const compressor = ctx.createDynamicsCompressor();
+    compressor.threshold.value = -14;
+    compressor.ratio.value = 4;
+    compressor.connect(ctx.destination);
+
+    this.sfxGain   = ctx.createGain();
+    this.musicGain = ctx.createGain();
+    this.sfxGain.connect(compressor);
+    this.musicGain.connect(compressor);
+    this.applyGains(0);
+
+    // Une seconde de bruit blanc réutilisée par toutes les percussions
+    this.noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = this.noiseBuffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  }
+
+  setSettings(settings) {
+    this.settings = sanitizeAudioSettings(settings);
+    this.applyGains(CONFIG.audio.gainSmoothing);
+  }
+
+  applyGains(smoothing) {
+    if (!this.context) return;
+    const now = this.context.currentTime;
+    this.sfxGain.gain.setTargetAtTime(getChannelGain(this.settings, 'sfx'), now, smoothing);
+    this.musicGain.gain.setTargetAtTime(getChannelGain(this.settings, 'music'), now, smoothing);
+  }
+
+  // ─── VOICES ──────────────────────────────────────────────────────────────
+
+  tone({ type = 'square', frequency, frequencyEnd = frequency, duration, volume, time = this.context.currentTime, destination = this.sfxGain }) {
+    const ctx  = this.context;
+    const osc  = ctx.createOscillator();
+    const gain = ctx.createGain();
+
+    osc.type = type;
+    osc.frequency.setValueAtTime(frequency, time);
+    if (frequencyEnd !== frequency) osc.frequency.exponentialRampToValueAtTime(frequencyEnd, time + duration);
+
+    gain.gain.setValueAtTime(0.0001, time);
+    gain.gain.exponentialRampToValueAtTime(volume, time + 0.005);
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+    osc.connect(gain).connect(destination);
+    osc.start(time);
+    osc.stop(time + duration + 0.02);
+  }
+
+  noise({ duration, volume, filter = 'highpass', frequency = 2000, frequencyEnd = frequency, time = this.context.currentTime, destination = this.sfxGain }) {
+    const ctx    = this.context;
+    const source = ctx.createBufferSource();
+    const biquad = ctx.createBiquadFilter();
+    const gain   = ctx.createGain();
+
+    source.buffer = this.noiseBuffer;
+    biquad.type = filter;
+    biquad.frequency.setValueAtTime(frequency, time);
+    if (frequencyEnd !== frequency) biquad.frequency.exponentialRampToValueAtTime(frequencyEnd, time + duration);
+
+    gain.gain.setValueAtTime(volume, time);
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+    source.connect(biquad).connect(gain).connect(destination);
+    source.start(time);
+    source.stop(time + duration + 0.02);
+  }
+
+  // ─── SOUND EFFECTS ───────────────────────────────────────────────────────
+
+  play(name, { lines = 1, intensity = 1 } = {}) {
+    if (!this.isReady || getChannelGain(this.settings, 'sfx') <= 0) return;
+    const now = this.context.currentTime;
+
+    switch (name) {
+      case 'move':
+        this.tone({ frequency: 520, duration: 0.035, volume: 0.08 });
+        break;
+      case 'rotate':
+        this.tone({ type: 'triangle', frequency: 660, frequencyEnd: 990, duration: 0.06, volume: 0.12 });
+        break;
+      case 'softDrop':
+        this.tone({ type: 'triangle', frequency: 240, frequencyEnd: 200, duration: 0.03, volume: 0.07 });
+        break;
+      case 'lock':
+        this.tone({ type: 'triangle', frequency: 180, frequencyEnd: 90, duration: 0.08, volume: 0.18 });
+        this.noise({ duration: 0.04, volume: 0.08, filter: 'bandpass', frequency: 1800 });
+        break;
+      case 'hardDrop':
+        this.tone({ type: 'sine', frequency: 140, frequencyEnd: 38, duration: 0.22, volume: 0.3 + 0.25 * intensity });
+        this.noise({ duration: 0.12, volume: 0.16 * intensity + 0.06, filter: 'lowpass', frequency: 3200, frequencyEnd: 300 });
+        break;
+      case 'lines': {
+        // Arpège d'une note par ligne, le tetris ajoute l'octave et un souffle
+        const notes = [72, 76, 79, 84].slice(0, Math.min(4, lines));
+        notes.forEach((note, i) => this.tone({
+          type: 'square', frequency: midiToFrequency(note), duration: 0.16, volume: 0.11, time: now + i * 0.055
+        }));
+        if (lines >= 4) {
+          this.tone({ type: 'sawtooth', frequency: midiToFrequency(60), frequencyEnd: midiToFrequency(72), duration: 0.4, volume: 0.09, time: now + 0.22 });
+          this.noise({ duration: 0.5, volume: 0.12, filter: 'bandpass', frequency: 600, frequencyEnd: 8000, time: now + 0.1 });
+        }
+        break;
+      }
+      case 'levelUp':
+        [67, 71, 74, 79, 83].forEach((note, i) => this.tone({
+          type: 'triangle', frequency: midiToFrequency(note), duration: 0.12, volume: 0.13, time: now + i * 0.07
+        }));
+        break;
+      case 'garbage':
+        // Grondement de la pile qui monte, plus long avec le nombre de rangées
+        this.noise({ duration: 0.12 + 0.03 * Math.min(8, lines), volume: 0.14, filter: 'lowpass', frequency: 420, frequencyEnd: 90 });
+        this.tone({ type: 'square', frequency: 70, frequencyEnd: 55, duration: 0.1, volume: 0.08 });
+        break;
+      case 'gameOver':
+        this.tone({ type: 'sawtooth', frequency: 330, frequencyEnd: 55, duration: 1.2, volume: 0.18 });
+        this.noise({ duration: 0.9, volume: 0.1, filter: 'lowpass', frequency: 2400, frequencyEnd: 120 });
+        break;
+    }
+  }
+
+  // ─── MUSIC ───────────────────────────────────────────────────────────────
+
+  setLevel(level) {
+    this.level = level;
+  }
+
+  setMusicPlaying(playing) {
+    if (playing === this.musicPlaying) return;
+    this.musicPlaying = playing;
+    if (playing && this.context) this.nextStepTime = this.context.currentTime + 0.05;
+  }
+
+  // Appelé à chaque frame : planifie les doubles croches qui tombent dans la fenêtre d'avance
+  update() {
+    if (!this.musicPlaying || !this.isReady) return;
+
+    const now = this.context.currentTime;
+    const secondsPerStep = 60 / getMusicTempo(this.level) / 4;
+    const intensity = MusicSequencer.getIntensity(this.level);
+
+    // Onglet resté en arrière-plan : on repart de maintenant plutôt que de rattraper
+    if (this.nextStepTime < now) this.nextStepTime = now + 0.02;
+
+    while (this.nextStepTime < now + CONFIG.audio.lookahead) {
+      this.scheduleStep(this.sequencer.nextStep({ intensity }), this.nextStepTime, secondsPerStep);
+      this.nextStepTime += secondsPerStep;
+    }
+  }
+
+  scheduleStep({ kick, hat, bass, lead }, time, secondsPerStep) {
+    const destination = this.musicGain;
+    if (kick) this.tone({ type: 'sine', frequency: 120, frequencyEnd: 45, duration: 0.14, volume: 0.35, time, destination });
+    if (hat)  this.noise({ duration: 0.035, volume: 0.06, frequency: 7000, time, destination });
+    if (bass !== null) {
+      this.tone({ type: 'triangle', frequency: midiToFrequency(bass), duration: secondsPerStep * 1.8, volume: 0.22, time, destination });
+    }
+    if (lead !== null) {
+      this.tone({ type: 'square', frequency: midiToFrequency(lead), duration: secondsPerStep * 0.9, volume: 0.05, time, destination });
+    }
+  }
+
+  destroy() {
+    this.musicPlaying = false;
+    if (this.context) {
+      this.context.close().catch(() => {});
+      this.context = null;
+    }
+  }
+}
+
+// --- 5. INPUT CONTROLLER ---
+// Suit l'état des touches (keydown/keyup) et applique DAS/ARR au rythme de la boucle
+// de jeu : la répétition clavier de l'OS est ignorée pour un déplacement déterministe.
+class InputController {
+  constructor({ onAction, onActivity = null, bindings = DEFAULT_KEY_BINDINGS, handling = CONFIG.input } = {}) {
+    this.onAction   = onAction;
+    this.onActivity = onActivity;   // appelé avec `device` à chaque action pressée
+    this.device     = 'KBD';
+    this.handling   = { ...handling };
+
+    this.suspended      = false;
+    this.heldActions    = new Set();
+    this.shiftDirection = 0;
+    this.dasTimer       = 0;
+    this.arrTimer       = 0;
+
+    this.keyToAction = new Map();
+    this.setBindings(bindings);
+
+    this.target = null;
+    this.boundKeydownHandler = (e) => this.onKeyDown(e);
+    this.boundKeyupHandler   = (e) => this.onKeyUp(e);
+    this.boundBlurHandler    = () => this.releaseAll();
+  }
+
+  // La saisie de texte (nom du record…) ne doit pas piloter le jeu
+  static isTextEntry(target) {
+    if (!target || !target.tagName) return false;
+    if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+    return target.tagName === 'INPUT' && !NON_TEXT_INPUT_TYPES.has(target.type);
+  }
+
+  setBindings(bindings) {
+    this.keyToAction.clear();
+    Object.entries(bindings).forEach(([action, keys]) => {
+      keys.forEach(key => this.keyToAction.set(normalizeKey(key), action));
+    });
+    this.releaseAll();
+  }
+
+  // Suspendu pendant la capture d'une touche dans les réglages
+  setSuspended(suspended) {
+    this.suspended = suspended;
+    this.releaseAll();
+  }
+
+  setHandling(handling) {
+    Object.assign(this.handling, handling);
+  }
+
+  attach(target = window) {
+    this.target = target;
+    target.addEventListener('keydown', this.boundKeydownHandler);
+    target.addEventListener('keyup', this.boundKeyupHandler);
+    target.addEventListener('blur', this.boundBlurHandler);
+  }
+
+  detach() {
+    if (!this.target) return;
+    this.target.removeEventListener('keydown', this.boundKeydownHandler);
+    this.target.removeEventListener('keyup', this.boundKeyupHandler);
+    this.target.removeEventListener('blur', this.boundBlurHandler);
+    this.target = null;
+  }
+
+  onKeyDown(e) {
+    if (this.suspended || InputController.isTextEntry(e.target)) return;
+    const action = this.keyToAction.get(normalizeKey(e.key));
+    if (!action) return;
+    e.preventDefault();
+    if (e.repeat) return;
+    this.press(action);
+  }
+
+  onKeyUp(e) {
+    const action = this.keyToAction.get(normalizeKey(e.key));
+    if (!action) return;
+    e.preventDefault();
+    this.release(action);
+  }
+
+  press(action) {
+    if (this.heldActions.has(action)) return;
+    this.heldActions.add(action);
+
+    if (action === 'moveLeft' || action === 'moveRight') {
+      // La dernière direction pressée l'emporte et recharge le DAS
+      this.startShift(action === 'moveLeft' ? -1 : 1);
+    }
+
+    if (this.onActivity) this.onActivity(this.device);
+    this.onAction(action, { repeat: false });
+  }
+
+  release(action) {
+    if (!this.heldActions.delete(action)) return;
+
+    if (action === 'moveLeft' || action === 'moveRight') {
+      const released = action === 'moveLeft' ? -1 : 1;
+      if (this.shiftDirection !== released) return;
+      if (this.heldActions.has('moveLeft'))       this.startShift(-1);
+      else if (this.heldActions.has('moveRight')) this.startShift(1);
+      else                                        this.shiftDirection = 0;
+    }
+  }
+
+  releaseAll() {
+    this.heldActions.clear();
+    this.shiftDirection = 0;
+  }
+
+  startShift(direction) {
+    this.shiftDirection = direction;
+    this.dasTimer = 0;
+    this.arrTimer = 0;
+  }
+
+  isSoftDropping() {
+    return this.heldActions.has('softDrop');
+  }
+
+  update(deltaTime) {
+    if (this.shiftDirection === 0) return;
+
+    const action = this.shiftDirection < 0 ? 'moveLeft' : 'moveRight';
+    const { das, arr } = this.handling;
+    const wasCharged = this.dasTimer >= das;
+    this.dasTimer += deltaTime;
+    if (this.dasTimer < das) return;
+
+    if (arr <= 0) {
+      this.onAction(action, { repeat: true, toWall: true });
+      return;
+    }
+
+    // Le temps écoulé au-delà du DAS compte déjà pour l'ARR
+    this.arrTimer += wasCharged ? deltaTime : this.dasTimer - das;
+    while (this.arrTimer >= arr) {
+      this.arrTimer -= arr;
+      this.onAction(action, { repeat: true });
+    }
+  }
+}
+
+// Pilote manette : l'API Gamepad n'émet pas d'événement par bouton, l'état est donc
+// interrogé à chaque frame (poll) et comparé aux actions tenues. Le DAS/ARR est celui
+// d'InputController, avec ses propres réglages (CONFIG.gamepad). `padSlot` : rang de la manette
+// parmi celles branchées (0 = la première), une par joueur en versus local.
+class GamepadController extends InputController {
+  constructor({ onAction, onActivity = null, bindings = DEFAULT_GAMEPAD_BINDINGS, handling = CONFIG.gamepad, padSlot = 0 } = {}) {
+    super({ onAction, onActivity, bindings, handling });
+    this.device  = 'PAD';
+    this.padSlot = padSlot;
+    this.boundDisconnectHandler = () => this.releaseAll();
+  }
+
+  static getActivePad(slot = 0) {
+    if (!navigator.getGamepads) return null;
+    return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected)[slot] || null;
+  }
+
+  // 'b12' : bouton 12 enfoncé ; 'a0-' : axe 0 poussé au-delà de la zone morte côté négatif
+  static isControlActive(pad, control, deadzone) {
+    const index = Number.parseInt(control.slice(1), 10);
+    if (control[0] === 'b') return Boolean(pad.buttons[index] && pad.buttons[index].pressed);
+
+    const value = pad.axes[index] || 0;
+    return control.endsWith('-') ? value < -deadzone : value > deadzone;
+  }
+
+  // Tous les contrôles actifs, pour la capture dans les réglages
+  static readActiveControls(pad, deadzone) {
+    const controls = [];
+    pad.buttons.forEach((button, index) => { if (button.pressed) controls.push(`b${index}`); });
+    pad.axes.forEach((value, index) => {
+      if (value < -deadzone) controls.push(`a${index}-`);
+      if (value > deadzone)  controls.push(`a${index}+`);
+    });
+    return controls;
+  }
+
+  setBindings(bindings) {
+    this.controlToAction = new Map();
+    Object.entries(bindings).forEach(([action, controls]) => {
+      controls.forEach(control => this.controlToAction.set(control, action));
+    });
+    this.releaseAll();
+  }
+
+  attach(target = window) {
+    this.target = target;
+    target.addEventListener('gamepaddisconnected', this.boundDisconnectHandler);
+  }
+
+  detach() {
+    if (!this.target) return;
+    this.target.removeEventListener('gamepaddisconnected', this.boundDisconnectHandler);
+    this.target = null;
+  }
+
+  poll() {
+    if (this.suspended) return;
+
+    const pad    = GamepadController.getActivePad(this.padSlot);
+    const active = new Set();
+    if (pad) {
+      this.controlToAction.forEach((action, control) => {
+        if (GamepadController.isControlActive(pad, control, this.handling.deadzone)) active.add(action);
+      });
+    }
+
+    [...this.heldActions].forEach(action => {
+      if (!active.has(action)) this.release(action);
+    });
+    active.forEach(action => this.press(action));
+  }
+}
+
+// Gestes tactiles sur le plateau : glisser = déplacer (une colonne par dragCellPx),
+// tap = rotation (moitié gauche anti-horaire, droite horaire), glisser vers le bas = soft drop
+// tenu, flick vers le bas = hard drop, tap à deux doigts = hold. Les boutons à l'écran
+// passent par press/release et profitent donc du DAS/ARR d'InputController.
+class TouchController extends InputController {
+  constructor({ onAction, onActivity = null, handling = CONFIG.touch } = {}) {
+    super({ onAction, onActivity, bindings: {}, handling });
+    this.device  = 'TOUCH';
+    this.gesture = null;
+    this.buttonsRoot = null;
+
+    this.boundTouchStart = (e) => this.onTouchStart(e);
+    this.boundTouchMove  = (e) => this.onTouchMove(e);
+    this.boundTouchEnd   = (e) => this.onTouchEnd(e);
+    this.boundButtonDown = (e) => this.onButtonDown(e);
+    this.boundButtonUp   = (e) => this.onButtonUp(e);
+  }
+
+  setBindings() {}
+
+  attach(target, buttonsRoot = null) {
+    this.target = target;
+    target.addEventListener('touchstart', this.boundTouchStart, { passive: false });
+    target.addEventListener('touchmove', this.boundTouchMove, { passive: false });
+    target.addEventListener('touchend', this.boundTouchEnd);
+    target.addEventListener('touchcancel', this.boundTouchEnd);
+
+    this.buttonsRoot = buttonsRoot;
+    if (buttonsRoot) {
+      buttonsRoot.addEventListener('pointerdown', this.boundButtonDown);
+      ['pointerup', 'pointercancel', 'pointerout'].forEach(type => buttonsRoot.addEventListener(type, this.boundButtonUp));
+    }
+  }
+
+  detach() {
+    if (this.target) {
+      this.target.removeEventListener('touchstart', this.boundTouchStart);
+      this.target.removeEventListener('touchmove', this.boundTouchMove);
+      this.target.removeEventListener('touchend', this.boundTouchEnd);
+      this.target.removeEventListener('touchcancel', this.boundTouchEnd);
+      this.target = null;
+    }
+    if (this.buttonsRoot) {
+      this.buttonsRoot.removeEventListener('pointerdown', this.boundButtonDown);
+      ['pointerup', 'pointercancel', 'pointerout'].forEach(type => this.buttonsRoot.removeEventListener(type, this.boundButtonUp));
+      this.buttonsRoot = null;
+    }
+  }
+
+  // Action ponctuelle (pas de DAS) : un pas de glissement, un tap
+  trigger(action) {
+    if (this.onActivity) this.onActivity(this.device);
+    this.onAction(action, { repeat: false });
+  }
+
+  onTouchStart(e) {
+    e.preventDefault();
+    if (this.suspended) return;
+
+    if (e.touches.length >= 2) {
+      // Deuxième doigt : le geste devient un tap à deux doigts potentiel
+      this.gesture = { twoFinger: true, startTime: this.gesture ? this.gesture.startTime : e.timeStamp, moved: false };
+      this.release('softDrop');
+      return;
+    }
+
+    const touch = e.changedTouches[0];
+    this.gesture = {
+      id:        touch.identifier,
+      startX:    touch.clientX,
+      startY:    touch.clientY,
+      anchorX:   touch.clientX,
+      lastY:     touch.clientY,
+      lastTime:  e.timeStamp,
+      velocityY: 0,
+      startTime: e.timeStamp,
+      moved:     false,
+      twoFinger: false
+    };
+  }
+
+  onTouchMove(e) {
+    e.preventDefault();
+    const gesture = this.gesture;
+    if (this.suspended || !gesture || gesture.twoFinger) return;
+
+    const touch = Array.from(e.changedTouches).find(t => t.identifier === gesture.id);
+    if (!touch) return;
+
+    const { dragCellPx, softDropPx, tapMaxMovePx } = this.handling;
+    const totalX = touch.clientX - gesture.startX;
+    const totalY = touch.clientY - gesture.startY;
+    if (Math.hypot(totalX, totalY) > tapMaxMovePx) gesture.moved = true;
+
+    // Un déplacement par colonne franchie, l'ancre avance avec le doigt
+    while (touch.clientX - gesture.anchorX >= dragCellPx) {
+      gesture.anchorX += dragCellPx;
+      this.trigger('moveRight');
+    }
+    while (gesture.anchorX - touch.clientX >= dragCellPx) {
+      gesture.anchorX -= dragCellPx;
+      this.trigger('moveLeft');
+    }
+
+    // Soft drop tenu tant que le geste est franchement vertical et vers le bas
+    if (totalY > softDropPx && totalY > Math.abs(totalX)) this.press('softDrop');
+    else this.release('softDrop');
+
+    const dt = e.timeStamp - gesture.lastTime;
+    if (dt > 0) gesture.velocityY = (touch.clientY - gesture.lastY) / dt;
+    gesture.lastY    = touch.clientY;
+    gesture.lastTime = e.timeStamp;
+  }
+
+  onTouchEnd(e) {
+    const gesture = this.gesture;
+    if (!gesture || e.touches.length > 0) return;
+    this.gesture = null;
+    this.release('softDrop');
+    if (this.suspended) return;
+
+    const { tapMaxMs, flickVelocity } = this.handling;
+    const isTap = !gesture.moved && e.timeStamp - gesture.startTime <= tapMaxMs;
+
+    if (gesture.twoFinger) {
+      if (isTap) this.trigger('hold');
+    } else if (isTap) {
+      const rect = this.target.getBoundingClientRect();
+      this.trigger(gesture.startX < rect.left + rect.width / 2 ? 'rotateCCW' : 'rotateCW');
+    } else if (gesture.velocityY >= flickVelocity) {
+      this.trigger('hardDrop');
+    }
+  }
+
+  onButtonDown(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button || this.suspended) return;
+    e.preventDefault();
+    button.setPointerCapture?.(e.pointerId);
+    button.classList.add('is-pressed');
+    this.press(button.dataset.action);
+  }
+
+  onButtonUp(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    button.classList.remove('is-pressed');
+    this.release(button.dataset.action);
+  }
+}
+
+// --- 6. BOARD RENDERING ---
+// Briques communes au plateau solo (TetrisGame) et aux plateaux du versus et du jeu en ligne (BoardView)
+
+// Châssis d'un plateau : cadre filaire, plaque de fond et grille de mesure
+function createChassis(width, height) {
+  const group = new THREE.Group();
+
+  // 1. L'ARMATURE FILAIRE (CADRE EXTERNE)
+  // On utilise un Tube ou un LineSegments plus épais pour l'aspect "Exosquelette"
+  const borderGeo = new THREE.BoxGeometry(width + 0.3, height + 0.3, 0.8);
+  const edges = new THREE.EdgesGeometry(borderGeo);
+
+  // Matériau technique : Gris sidéral profond
+  const frame = new THREE.LineSegments(
+      edges,
+      new THREE.LineBasicMaterial({
+          color: 0x888899,
+          transparent: true,
+          opacity: 0.5
+      })
+  );
+  borderGeo.dispose();
+  frame.position.set(width / 2 - 0.5, height / 2 - 0.5, -0.1);
+  group.add(frame);
+
+  // 2. LE FOND PHYSIQUE (PLAQUE DE MÉTAL BROSSÉ)
+  // On passe sur un MeshPhysicalMaterial pour des reflets de dingue
+  const backGeo = new THREE.PlaneGeometry(width + 0.1, height + 0.1);
+  const backMat = new THREE.MeshPhysicalMaterial({
+      color: 0x0a0a0c,         // Teinte titane sombre
+      metalness: 0.9,          // Très métallique
+      roughness: 0.4,          // Un peu de flou dans les reflets
+      clearcoat: 1.0,          // Vernis protecteur (effet glossy technique)
+      clearcoatRoughness: 0.1,
+      transparent: true,
+      opacity: 0.95
+  });
+
+  const back = new THREE.Mesh(backGeo, backMat);
+  back.position.set(width / 2 - 0.5, height / 2 - 0.5, -0.45);
+  group.add(back);
+
+  // 3. LA GRILLE DE MESURE (OVERLAY TECHNIQUE)
+  // Des lignes horizontales ultra-fines pour la précision visuelle
+  const gridHelper = new THREE.GridHelper(height, height, 0xffffff, 0x222222);
+  gridHelper.rotation.x = Math.PI / 2;
+  gridHelper.position.set(width / 2 - 0.5, height / 2 - 0.5, -0.44);
+  gridHelper.scale.set(width / height, 1, 1);
+  gridHelper.material.transparent = true;
+  gridHelper.material.opacity = 0.05;
+  group.add(gridHelper);
+
+  return { group, frame, back };
+}
+
+function disposeChassis(group) {
+  group.traverse((object) => {
+    object.geometry?.dispose();
+    object.material?.dispose();
+  });
+}
+
+// Pile figée : une instance par cellule occupée
+function createStackInstances(geometry, material, capacity) {
+  const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  // Alloue instanceColor avant le premier rendu : le shader est compilé avec USE_INSTANCING_COLOR
+  mesh.setColorAt(0, new THREE.Color());
+  mesh.count = 0;
+  return mesh;
+}
+
+// Seules les rangées visibles sont affichées, la zone cachée reste hors champ
+function writeStackInstances(mesh, { grid, width, height }) {
+  const matrix = new THREE.Matrix4();
+  const color  = new THREE.Color();
+  let count = 0;
+
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      const val = grid[x][y];
+      if (!val) continue;
+      matrix.makeTranslation(x, y, 0);
+      mesh.setMatrixAt(count, matrix);
+      mesh.setColorAt(count, color.set(val));
+      count++;
+    }
+  }
+
+  mesh.count = count;
+  mesh.instanceMatrix.needsUpdate = true;
+  mesh.instanceColor.needsUpdate  = true;
+}
+
+// Jauge des déchets en attente : barre rouge le long du bord gauche du plateau, une unité par ligne
+function createGarbageMeter() {
+  const material = new THREE.MeshBasicMaterial({ color: 0xff3b30, transparent: true, opacity: 0.85 });
+  const meter = new THREE.Mesh(new THREE.PlaneGeometry(0.22, 1), material);
+  meter.visible = false;
+  return meter;
+}
+
+function placeGarbageMeter(meter, { garbage, height }) {
+  const pending = Math.min(garbage.pending, height);
+  meter.visible = pending > 0;
+  meter.scale.y = Math.max(pending, 0.001);
+  meter.position.set(-0.95, pending / 2 - 0.5, 0);
+}
+
+// Coordonnées ramenées au coin bas-gauche de la pièce, indépendamment de sa boîte SRS
+function getPreviewCoords(piece) {
+  const minX = Math.min(...piece.coords.map(c => c[0]));
+  const minY = Math.min(...piece.coords.map(c => c[1]));
+  return piece.coords.map(([x, y]) => [x - minX, y - minY]);
+}
+
+// Aperçu d'une pièce, coin bas-gauche calé sur (x, y) décalé de CONFIG.preview.offset
+function placePreviewBlocks(meshes, piece, { x, y, z }, scale, materialsByColor) {
+  const coords = getPreviewCoords(piece);
+  const { offset } = CONFIG.preview;
+  meshes.forEach((mesh, i) => {
+    const block = coords[i];
+    mesh.visible = Boolean(block);
+    if (!block) return;
+    mesh.position.set(x + offset.x + block[0] * scale, y + offset.y + block[1] * scale, z);
+    mesh.scale.setScalar(scale);
+    mesh.material = materialsByColor[piece.color];
+  });
+}
+
+// La file descend dans la colonne NEXT, chaque pièce plus petite que la précédente
+function layoutNextPreview(slots, { nextQueue, previewCount, width, height }, previewScale, materialsByColor) {
+  const anchor = CONFIG.preview.nextAnchor;
+  let slotY = height + anchor.y;
+  let scale = CONFIG.preview.nextScale * previewScale;
+
+  slots.forEach((slotMeshes, slot) => {
+    const piece = nextQueue[slot];
+    if (!piece || slot >= previewCount) {
+      slotMeshes.forEach(mesh => { mesh.visible = false; });
+      return;
+    }
+
+    placePreviewBlocks(slotMeshes, piece, { x: width + anchor.x, y: slotY, z: anchor.z }, scale, materialsByColor);
+    slotY -= CONFIG.preview.nextSlotHeight * scale;
+    scale *= CONFIG.preview.nextScaleDecay;
+  });
+}
+
+function layoutHoldPreview(meshes, { heldPiece, height }, previewScale, materialsByColor) {
+  if (!heldPiece) {
+    meshes.forEach(mesh => { mesh.visible = false; });
+    return;
+  }
+
+  const anchor = CONFIG.preview.holdAnchor;
+  const scale  = CONFIG.preview.holdScale * previewScale;
+  placePreviewBlocks(meshes, heldPiece, { x: anchor.x, y: height + anchor.y, z: anchor.z }, scale, materialsByColor);
+}
+
+// Échelle des aperçus : les jeux de pièces plus grands que le tétrimino sont réduits d'autant
+function getPreviewScale(pieceSetName) {
+  const extent = getPieceSetExtent(pieceSetName);
+  return Math.min(1, CONFIG.preview.referenceExtent / Math.max(extent.width, extent.height));
+}
+
+// Plateau d'un joueur du versus local ou en ligne : un GameState rendu dans un groupe décalé de
+// la scène commune. Reprend pile instanciée, châssis, fantôme, file, hold et jauge du plateau
+// solo, sans ses effets physiques : la même caméra cadre tous les plateaux. Un plateau adverse
+// en ligne est redessiné à chaque photographie restaurée.
+class BoardView {
+  constructor({ scene, state, offsetX, geometry, stackMaterial, materialsByColor }) {
+    this.scene = scene;
+    this.state = state;
+    this.materialsByColor = materialsByColor;
+    this.isStackDirty = true;
+
+    const { width, height, previewCount } = state;
+    this.group = new THREE.Group();
+    this.group.position.x = offsetX;
+
+    this.chassis = createChassis(width, height).group;
+    this.group.add(this.chassis);
+
+    this.stackMesh = createStackInstances(geometry, stackMaterial, width * height);
+    this.group.add(this.stackMesh);
+
+    this.ghostMaterial = new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.15, wireframe: true });
+    const fallbackMaterial = materialsByColor[SHAPES.I.color];
+    const createMeshes = (material) => Array.from({ length: MAX_PIECE_BLOCKS }, () => {
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.visible = false;
+      this.group.add(mesh);
+      return mesh;
+    });
+    this.pieceMeshes = createMeshes(fallbackMaterial);
+    this.ghostMeshes = createMeshes(this.ghostMaterial);
+    this.holdMeshes  = createMeshes(fallbackMaterial);
+    this.nextMeshes  = Array.from({ length: previewCount }, () => createMeshes(fallbackMaterial));
+
+    this.garbageMeter = createGarbageMeter();
+    this.group.add(this.garbageMeter);
+    this.previewScale = getPreviewScale(state.pieceSetName);
+
+    const markStackDirty = () => { this.isStackDirty = true; };
+    this.subscriptions = [
+      state.on('reset',          () => this.refresh()),
+      state.on('restored',       () => this.refresh()),
+      state.on('pieceSpawned',   () => this.updatePreviews()),
+      state.on('holdChanged',    () => this.updatePreviews()),
+      state.on('queueChanged',   () => this.updatePreviews()),
+      state.on('pieceLocked',    markStackDirty),
+      state.on('linesCleared',   markStackDirty),
+      state.on('rowsInserted',   markStackDirty),
+      state.on('garbageChanged', () => placeGarbageMeter(this.garbageMeter, this.state))
+    ];
+
+    scene.add(this.group);
+    this.refresh();
+  }
+
+  refresh() {
+    this.isStackDirty = true;
+    this.updatePreviews();
+    placeGarbageMeter(this.garbageMeter, this.state);
+    this.update();
+  }
+
+  updatePreviews() {
+    layoutNextPreview(this.nextMeshes, this.state, this.previewScale, this.materialsByColor);
+    layoutHoldPreview(this.holdMeshes, this.state, this.previewScale, this.materialsByColor);
+  }
+
+  update() {
+    const state = this.state;
+    if (this.isStackDirty) {
+      this.isStackDirty = false;
+      writeStackInstances(this.stackMesh, state);
+    }
+
+    const piece = state.currentPiece;
+    const dropDistance = piece ? state.getGhostDropDistance() : 0;
+    const isVisible = (x, y) => y >= 0 && y < state.height && x >= 0 && x < state.width;
+
+    this.pieceMeshes.forEach((mesh, i) => {
+      const block = piece && piece.coords[i];
+      mesh.visible = Boolean(block) && isVisible(piece.x + block[0], piece.y + block[1]);
+      if (!mesh.visible) return;
+      mesh.material = this.materialsByColor[piece.color];
+      mesh.position.set(piece.x + block[0], piece.y + block[1], 0);
+    });
+
+    this.ghostMeshes.forEach((mesh, i) => {
+      const block = piece && piece.coords[i];
+      mesh.visible = Boolean(block) && isVisible(piece.x + block[0], piece.y + block[1] - dropDistance);
+      if (mesh.visible) mesh.position.set(piece.x + block[0], piece.y + block[1] - dropDistance, -0.1);
+    });
+  }
+
+  dispose() {
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions = [];
+    this.scene.remove(this.group);
+    disposeChassis(this.chassis);
+    this.stackMesh.dispose();
+    this.ghostMaterial.dispose();
+    this.garbageMeter.geometry.dispose();
+    this.garbageMeter.material.dispose();
+  }
+}
+
+// --- 7. MAIN GAME CLASS ---
+// Vue / contrôleur Three.js : les règles vivent dans GameState (src/core), cette classe
+// s'abonne à ses événements pour piloter meshes, effets physiques et HUD.
 class TetrisGame {
-  constructor() {
+  constructor({
+    generator    = CONFIG.gameplay.pieceGenerator,
+    seed         = SeededRandom.createSeed(),
+    previewCount = CONFIG.gameplay.previewCount,
+    mode         = CONFIG.gameplay.gameMode,
+    storage      = null
+  } = {}) {
     this.scene    = null;
     this.camera   = null;
     this.renderer = null;
     this.composer = null;
 
-    this.grid     = this.createEmptyGrid();
-    this.meshGrid = this.createMeshGrid();
-
-    this.currentPiece = null;
-    this.nextPiece    = null;
-
-    this.score        = 0;
-    this.level        = 1;
-    this.linesCleared = 0;
-
-    this.dropInterval = 1000;
-    this.dropCounter  = 0;
-    this.lastTime     = 0;
+    this.state    = new GameState({ generator, seed, previewCount, mode });
+    this.boardRoot      = null;
+    this.blockGeometry  = null;
+    this.stackMesh      = null;
+    this.stackMaterial  = null;
+    this.isStackDirty   = true;
+    this.currentPieceMeshes = [];
+    this.garbageMeter   = null;
+    this.borderGroup    = null;
+    this.boardLayout    = null;
+    this.viewExtent     = null;
+    this.previewScale   = 1;
+
+    // Versus local : match, plateaux et contrôleurs par joueur, actifs seulement pendant un match
+    this.versus              = null;
+    this.versusBoards        = [];
+    this.versusInputs        = [];
+    this.versusSubscriptions = [];
+
+    // Jeu en ligne : connexion et partie créées par connectOnline(), plateaux (le local d'abord)
+    // à chaque départ donné par le serveur
+    this.netClient                = null;
+    this.online                   = null;
+    this.onlineBoards             = [];
+    this.onlineSubscriptions      = [];
+    this.onlineBoardSubscriptions = [];
+
+    this.storage    = storage;
+    this.keyBindings = loadKeyBindings(storage);
+    this.gamepadBindings = loadKeyBindings(storage, BINDING_PROFILES.gamepad);
+    this.versusKeyBindings = VERSUS_BINDING_PROFILES.map(profile => loadKeyBindings(storage, profile));
+    this.gamepad = null;
+    this.touch   = null;
+    this.touchButtonsVisible = false;
+    this.audioSettings = loadAudioSettings(storage);
+    this.graphicsQuality = loadGraphicsQuality(storage);
+    this.graphicsPreset  = null;
+    this.activeQuality   = null;
+    this.frameMonitor    = new FrameBudgetMonitor({
+      budgetMs:  CONFIG.graphics.frameBudgetMs,
+      sustainMs: CONFIG.graphics.sustainMs
+    });
+    this.audio = null;
+    this.activeDevice = 'KBD';
+    this.highScores = new HighScoreTable(storage ? { storage } : {});
+    this.pendingHighScore = null;
 
-    this.isPaused   = false;
-    this.isGameOver = false;
+    this.lastTime = 0;
+    this.tickAccumulator = 0;
+    this.tickCount = 0;
+    this.clearFeedTimeout = null;
+    this.stateSubscriptions = [];
 
     this.particles      = null;
+    this.input          = null;
     this.ghostMeshes    = [];
     this.nextPieceMeshes = [];
+    this.holdPieceMeshes = [];
+    this.bgMesh     = null;
     this.bgMaterial = null;
+    this.bgStaticMaterial = null;
+    this.edgePass   = null;
+    this.bloomPass  = null;
     this.materialsByColor = null;
     this.animatedMaterials = [];
     this.tempBlockMaterial = null;
     this.rafId = null;
 
     this.cameraBasePosition = null;
-    this.cameraLookAt = new THREE.Vector3(4.5, 10, 0);
+    this.cameraLookAt = new THREE.Vector3();
     this.cameraShakePhase = 0;
     this.cameraShakeAmplitude = 0;
     this.cameraShakeOffset = new THREE.Vector3();
@@ -191,18 +1172,26 @@ class TetrisGame {
     this.chassisNeutralFrameY = 0;
     this.chassisNeutralBackY = 0;
 
-    this.hitStopTimer = 0;
-    this.pendingLock = null;
+    this.recorder       = null;
+    this.lastReplay     = null;
+    this.replayPlayer   = null;
+    this.replaySpeed    = 1;
+    this.isReplayPaused = false;
+    this.isSeeking      = false;
+
     this.currentPieceVisualX = 0;
     this.currentPieceSquashTimer = 0;
     this.currentPieceSquashIntensity = 0;
     this.currentPieceTilt = new THREE.Quaternion();
     this.tempEuler = new THREE.Euler();
-    this.nextPreviewOffset = new THREE.Vector3();
 
     this.boundResizeHandler = () => this.onResize();
-    this.boundKeydownHandler = (e) => this.handleInput(e);
+    this.boundSaveHandler   = () => this.saveGame();
+    this.boundVisibilityHandler = () => {
+      if (document.visibilityState === 'hidden') this.saveGame();
+    };
     this.boundAnimate = (t) => this.animate(t);
+    this.boundUnlockAudio = () => this.audio?.unlock();
 
     this.init();
   }
@@ -212,43 +1201,84 @@ class TetrisGame {
   init() {
     // Scène
     this.scene = new THREE.Scene();
+    // Plateau solo : masqué d'un bloc pendant un match versus
+    this.boardRoot = new THREE.Group();
+    this.scene.add(this.boardRoot);
     this.createBackgroundShader();
     this.initMaterials();
 
     // Caméra
     const aspect = window.innerWidth / window.innerHeight;
-    this.camera  = new THREE.PerspectiveCamera(60, aspect, 0.1, 1000);
-    this.camera.position.set(4.5, 10, 25);
-    this.camera.lookAt(4.5, 10, 0);
-    this.cameraBasePosition = this.camera.position.clone();
-
-    // Renderer
-    this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    this.renderer.outputColorSpace  = THREE.SRGBColorSpace;
-    this.renderer.toneMapping       = THREE.ACESFilmicToneMapping;
-    this.renderer.toneMappingExposure = 1.2; // Légère augmentation d'exposition
+    this.camera  = new THREE.PerspectiveCamera(CONFIG.camera.fov, aspect, 0.1, 1000);
+    this.cameraBasePosition = new THREE.Vector3();
 
+    // Renderer, fond et post-processing selon la qualité graphique
     const container = document.getElementById('canvas-container');
-    if (container) container.appendChild(this.renderer.domElement);
-    else           document.body.appendChild(this.renderer.domElement);
-
-    this.initPostProcessing();
+    this.setGraphicsQuality(this.graphicsQuality, { persist: false });
 
     this.addLights();
-    this.createBorder();
     this.particles = new ParticleSystem(this.scene);
+    this.particles.setCountScale(this.graphicsPreset.particleScale);
 
     this.initGhostMeshes();
     this.initNextPieceMeshes();
-    this.initMeshGridScene();
+    this.initHoldPieceMeshes();
+    this.initStackMesh();
+    this.initCurrentPieceMeshes();
+    this.initGarbageMeter();
+    this.layoutBoard();
 
     window.addEventListener('resize', this.boundResizeHandler);
-    window.addEventListener('keydown', this.boundKeydownHandler);
+    window.addEventListener('beforeunload', this.boundSaveHandler);
+    document.addEventListener('visibilitychange', this.boundVisibilityHandler);
+    window.addEventListener('pointerdown', this.boundUnlockAudio);
+    window.addEventListener('keydown', this.boundUnlockAudio);
+    this.audio = new AudioEngine({ settings: this.audioSettings });
+
+    const onAction   = (action, options) => this.handleAction(action, options);
+    const onActivity = (device) => this.setActiveDevice(device);
+    this.input = new InputController({ onAction, onActivity, bindings: this.keyBindings });
+    this.input.attach(window);
+    this.gamepad = new GamepadController({ onAction, onActivity, bindings: this.gamepadBindings });
+    this.gamepad.attach(window);
+    this.touch = new TouchController({ onAction, onActivity });
+    this.touch.attach(container || this.renderer.domElement, document.getElementById('touch-controls'));
+    this.setTouchButtonsVisible(this.loadTouchButtonsPreference(), { persist: false });
+
+    this.subscribeToState();
+    this.startRecording();
+    this.refreshView();
+  }
 
-    this.nextPiece = this.getRandomPiece();
-    this.spawnPiece();
+  subscribeToState() {
+    const state = this.state;
+    this.stateSubscriptions = [
+      state.on('reset',        () => this.onStateReset()),
+      state.on('pieceSpawned', () => this.onPieceSpawned()),
+      state.on('pieceMoved',   ({ type }) => this.playSound(type)),
+      state.on('holdChanged',  () => this.updateHoldPieceVisuals()),
+      state.on('queueChanged', () => this.updateNextPieceVisuals()),
+      state.on('lockQueued',   (detail) => this.triggerImpactFeedback(detail)),
+      state.on('pieceLocked',  () => this.markStackDirty()),
+      state.on('linesCleared', (detail) => this.onLinesCleared(detail)),
+      state.on('rowsInserted', ({ count }) => this.onRowsInserted(count)),
+      state.on('garbageChanged', () => this.updateGarbageMeter()),
+      state.on('levelUp',      () => this.playSound('levelUp')),
+      state.on('scoring',      (result) => this.showClearFeed(result.labels)),
+      state.on('scoreChanged', ({ flash }) => this.updateHud({ flashScore: flash })),
+      state.on('pauseChanged', ({ paused }) => this.onPauseChanged(paused)),
+      state.on('restored',     () => this.onStateRestored()),
+      state.on('gameOver',     (detail) => this.onGameOver(detail))
+    ];
+  }
+
+  // Resynchronise tout l'affichage sur l'état courant du moteur
+  refreshView() {
+    this.onPieceSpawned();
+    this.updateHud();
+    this.updateGarbageMeter();
+    this.setOverlayVisible('pause-msg', this.state.isPaused);
+    this.setOverlayVisible('game-over-msg', this.state.isGameOver && !this.replayPlayer);
   }
 
 initMaterials() {
@@ -256,17 +1286,30 @@ initMaterials() {
     this.animatedMaterials = [];
     const sharedLightDirection = new THREE.Vector3(5.0, 10.0, 7.0).normalize();
 
+    // Instancié (pile figée), la couleur vient de l'attribut instanceColor au lieu de l'uniform
     const vertexShader = `
+      uniform vec3 baseColor;
       varying vec3 vNormal;
       varying vec3 vWorldPos;
       varying vec3 vViewDir;
       varying vec2 vUv;
+      varying vec3 vBaseColor;
 
       void main() {
         vUv = uv;
-        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        #ifdef USE_INSTANCING
+          mat4 blockMatrix = modelMatrix * instanceMatrix;
+        #else
+          mat4 blockMatrix = modelMatrix;
+        #endif
+        #ifdef USE_INSTANCING_COLOR
+          vBaseColor = instanceColor;
+        #else
+          vBaseColor = baseColor;
+        #endif
+        vec4 worldPosition = blockMatrix * vec4(position, 1.0);
         vWorldPos = worldPosition.xyz;
-        vNormal = normalize(mat3(modelMatrix) * normal);
+        vNormal = normalize(mat3(blockMatrix) * normal);
         vViewDir = normalize(cameraPosition - worldPosition.xyz);
         gl_Position = projectionMatrix * viewMatrix * worldPosition;
       }
@@ -277,7 +1320,7 @@ initMaterials() {
       varying vec3 vWorldPos;
       varying vec3 vViewDir;
       varying vec2 vUv;
-      uniform vec3 baseColor;
+      varying vec3 vBaseColor;
       uniform vec3 lightDir;
       uniform float time;
 
@@ -304,8 +1347,8 @@ initMaterials() {
         float ndoth = max(dot(N, H), 0.0);
         float ndotv = max(dot(N, V), 0.0);
 
-        vec3 paletteColor = palette(time * 0.08 + dot(baseColor, vec3(0.3333)));
-        vec3 albedo = mix(baseColor, paletteColor, 0.4);
+        vec3 paletteColor = palette(time * 0.08 + dot(vBaseColor, vec3(0.3333)));
+        vec3 albedo = mix(vBaseColor, paletteColor, 0.4);
 
         vec3 ambient = albedo * 0.18;
         vec3 diffuse = albedo * ndotl * 0.75;
@@ -324,26 +1367,34 @@ initMaterials() {
       }
     `;
 
-    Object.values(SHAPES).forEach((shape) => {
-      const colorHex = shape.color;
-      if (!this.materialsByColor[colorHex]) {
-        this.materialsByColor[colorHex] = new THREE.ShaderMaterial({
-          uniforms: {
-            baseColor: { value: new THREE.Color(colorHex) },
-            lightDir: { value: sharedLightDirection },
-            time: { value: 0 }
-          },
-          vertexShader,
-          fragmentShader
-        });
-        this.animatedMaterials.push(this.materialsByColor[colorHex]);
-      }
+    const createBlockMaterial = (color) => {
+      const material = new THREE.ShaderMaterial({
+        uniforms: {
+          baseColor: { value: new THREE.Color(color) },
+          lightDir: { value: sharedLightDirection },
+          time: { value: 0 }
+        },
+        vertexShader,
+        fragmentShader
+      });
+      this.animatedMaterials.push(material);
+      return material;
+    };
+
+    Object.values(PIECE_SETS).forEach(({ shapes }) => {
+      Object.values(shapes).forEach((shape) => {
+        const colorHex = shape.color;
+        if (!this.materialsByColor[colorHex]) {
+          this.materialsByColor[colorHex] = createBlockMaterial(colorHex);
+        }
+      });
     });
+    this.stackMaterial = createBlockMaterial(0xffffff);
   }
 
   initPostProcessing() {
     this.composer = new EffectComposer(this.renderer);
-    this.composer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    this.composer.setPixelRatio(this.getPixelRatio());
     this.composer.setSize(window.innerWidth, window.innerHeight);
 
     const renderPass = new RenderPass(this.scene, this.camera);
@@ -399,6 +1450,15 @@ initMaterials() {
     });
 
     this.composer.addPass(edgeGlowPass);
+    this.edgePass = edgeGlowPass;
+
+    this.bloomPass = new UnrealBloomPass(
+      new THREE.Vector2(window.innerWidth, window.innerHeight),
+      CONFIG.graphics.bloomStrength,
+      CONFIG.graphics.bloomRadius,
+      CONFIG.graphics.bloomThreshold
+    );
+    this.composer.addPass(this.bloomPass);
   }
   addLights() {
    const dirLight = new THREE.DirectionalLight(0xffffff, 2.5);
@@ -464,7 +1524,7 @@ initMaterials() {
 
       void mainImage(out vec4 o, vec2 uv) {
           float base_iterations = 100.;
-          float iterations = 50.;
+          float iterations = ITERATIONS;
           float adjust_str = iterations/2./(base_iterations/iterations);
 
           o = vec4(0.);
@@ -510,109 +1570,216 @@ initMaterials() {
       }
     `;
 
+    // Nombre de pas du raymarch fixé à la compilation, ajusté par le préréglage
     const material = new THREE.ShaderMaterial({
       uniforms,
       vertexShader,
       fragmentShader,
+      defines: { ITERATIONS: '50.' },
       depthWrite: false,
       side: THREE.DoubleSide
     });
 
     const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.set(GRID_WIDTH / 2 - 0.5, GRID_HEIGHT / 2 - 0.5, -34);
+    mesh.position.z = -34;
     this.scene.add(mesh);
+    this.bgMesh     = mesh;
     this.bgMaterial = material;
   }
 
-  // ─── GRID ────────────────────────────────────────────────────────────────
+  // Repli basse qualité : dégradé peint une fois dans une texture, aucun calcul par pixel
+  createStaticBackgroundMaterial() {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 256;
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createRadialGradient(128, 128, 0, 128, 128, 128);
+    gradient.addColorStop(0, '#3b2c44');
+    gradient.addColorStop(0.55, '#1c1a24');
+    gradient.addColorStop(1, '#0c0d11');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 256, 256);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return new THREE.MeshBasicMaterial({ map: texture, depthWrite: false, side: THREE.DoubleSide });
+  }
+
+  // ─── GRAPHICS QUALITY ────────────────────────────────────────────────────
 
-  createEmptyGrid() {
-    return Array.from({ length: GRID_WIDTH }, () => Array(GRID_HEIGHT).fill(0));
+  // `quality` : un niveau de GRAPHICS_QUALITY_LEVELS, ou 'auto' (part de
+  // DEFAULT_GRAPHICS_QUALITY et descend d'un cran quand le budget de frame est dépassé)
+  setGraphicsQuality(quality, { persist = true } = {}) {
+    if (!isGraphicsQuality(quality)) throw new Error(`Unknown graphics quality: ${quality}`);
+    this.graphicsQuality = quality;
+    this.frameMonitor.reset();
+    this.applyGraphicsPreset(quality === AUTO_GRAPHICS_QUALITY ? DEFAULT_GRAPHICS_QUALITY : quality);
+    if (persist) saveGraphicsQuality(this.storage, quality);
+  }
+
+  applyGraphicsPreset(level) {
+    const preset   = getGraphicsPreset(level);
+    const previous = this.graphicsPreset;
+    this.activeQuality  = level;
+    this.graphicsPreset = preset;
+
+    // L'antialiasing est un attribut du contexte WebGL : en changer impose un nouveau renderer
+    if (!this.renderer || previous.antialias !== preset.antialias) this.createRenderer(preset);
+    else this.onResize();
+
+    this.applyBackgroundQuality(preset);
+    this.edgePass.enabled  = preset.edgePass;
+    this.bloomPass.enabled = preset.bloom;
+    if (this.particles) this.particles.setCountScale(preset.particleScale);
+
+    const indicator = document.getElementById('quality-indicator');
+    if (indicator) {
+      indicator.textContent = this.graphicsQuality === AUTO_GRAPHICS_QUALITY ? `GFX AUTO·${preset.label}` : `GFX ${preset.label}`;
+    }
   }
 
-  createMeshGrid() {
-    const meshes = [];
-    const geo    = new THREE.BoxGeometry(
+  getPixelRatio() {
+    return Math.min(window.devicePixelRatio, this.graphicsPreset.maxPixelRatio);
+  }
+
+  createRenderer({ antialias }) {
+    const previous = this.renderer;
+    if (this.composer) {
+      this.composer.dispose();
+      this.bloomPass.dispose();
+    }
+
+    this.renderer = new THREE.WebGLRenderer({ antialias, alpha: true });
+    this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.renderer.setPixelRatio(this.getPixelRatio());
+    this.renderer.outputColorSpace  = THREE.SRGBColorSpace;
+    this.renderer.toneMapping       = THREE.ACESFilmicToneMapping;
+    this.renderer.toneMappingExposure = 1.2; // Légère augmentation d'exposition
+
+    if (previous) {
+      previous.domElement.replaceWith(this.renderer.domElement);
+      previous.dispose();
+      previous.forceContextLoss();
+    } else {
+      const container = document.getElementById('canvas-container');
+      if (container) container.appendChild(this.renderer.domElement);
+      else           document.body.appendChild(this.renderer.domElement);
+    }
+
+    this.initPostProcessing();
+  }
+
+  applyBackgroundQuality({ background, backgroundSteps }) {
+    if (background === 'static') {
+      if (!this.bgStaticMaterial) this.bgStaticMaterial = this.createStaticBackgroundMaterial();
+      this.bgMesh.material = this.bgStaticMaterial;
+      return;
+    }
+
+    this.bgMesh.material = this.bgMaterial;
+    const iterations = `${backgroundSteps}.`;
+    if (this.bgMaterial.defines.ITERATIONS !== iterations) {
+      this.bgMaterial.defines.ITERATIONS = iterations;
+      this.bgMaterial.needsUpdate = true;
+    }
+  }
+
+  monitorFrameBudget(frameMs) {
+    if (this.graphicsQuality !== AUTO_GRAPHICS_QUALITY || document.hidden) return;
+    if (!this.frameMonitor.sample(frameMs)) return;
+
+    const lower = getLowerQuality(this.activeQuality);
+    if (lower) this.applyGraphicsPreset(lower);
+  }
+
+  // ─── GRID ────────────────────────────────────────────────────────────────
+
+  // Pile figée : un seul InstancedMesh (un draw call), une instance par cellule occupée,
+  // reconstruit seulement quand la grille change. Le rebond de pile déplace le mesh entier.
+  initStackMesh() {
+    this.blockGeometry = new THREE.BoxGeometry(
       BLOCK_SIZE - BLOCK_GAP,
       BLOCK_SIZE - BLOCK_GAP,
       BLOCK_SIZE - BLOCK_GAP,
 			2, 2, 2
     );
 
-    for (let x = 0; x < GRID_WIDTH; x++) {
-      meshes[x] = [];
-      for (let y = 0; y < GRID_HEIGHT; y++) {
-        const mat = new THREE.MeshBasicMaterial({ visible: false });
-        const mesh = new THREE.Mesh(geo, mat);
-        mesh.position.set(x, y, 0);
-        mesh.visible = false;
-        meshes[x][y] = mesh;
-      }
+    this.createStackMesh(this.state.width * this.state.height);
+  }
+
+  // Capacité d'une instance par cellule : recréé quand le plateau grandit
+  createStackMesh(capacity) {
+    if (this.stackMesh) {
+      this.boardRoot.remove(this.stackMesh);
+      this.stackMesh.dispose();
     }
-    return meshes;
+
+    this.stackMesh = createStackInstances(this.blockGeometry, this.stackMaterial, capacity);
+    this.boardRoot.add(this.stackMesh);
+    this.isStackDirty = true;
   }
 
-  initMeshGridScene() {
-    for (let x = 0; x < GRID_WIDTH; x++) {
-      for (let y = 0; y < GRID_HEIGHT; y++) {
-        this.scene.add(this.meshGrid[x][y]);
-      }
+  // La pièce courante garde ses propres meshes : squash, inclinaison et glissement latéral
+  initCurrentPieceMeshes() {
+    const fallbackMaterial = this.materialsByColor[SHAPES.I.color];
+    for (let i = 0; i < MAX_PIECE_BLOCKS; i++) {
+      const mesh = new THREE.Mesh(this.blockGeometry, fallbackMaterial);
+      mesh.visible = false;
+      this.boardRoot.add(mesh);
+      this.currentPieceMeshes.push(mesh);
     }
   }
 
+  initGarbageMeter() {
+    this.garbageMeter = createGarbageMeter();
+    this.boardRoot.add(this.garbageMeter);
+  }
+
+  updateGarbageMeter() {
+    placeGarbageMeter(this.garbageMeter, this.state);
+
+    const stat = document.getElementById('stat-garbage');
+    if (stat) stat.hidden = this.state.garbage.pending === 0;
+    const value = document.getElementById('val-garbage');
+    if (value) value.innerText = this.state.garbage.pending;
+  }
+
+  markStackDirty() {
+    this.isStackDirty = true;
+  }
+
+  // Déchets poussés sous la pile ; silencieux pendant la préparation d'un reset (Dig)
+  onRowsInserted(count) {
+    this.markStackDirty();
+    if (this.state.currentPiece) this.playSound('garbage', { lines: count });
+  }
+
+  updateStackInstances() {
+    if (!this.isStackDirty) return;
+    this.isStackDirty = false;
+    writeStackInstances(this.stackMesh, this.state);
+  }
+
 // ─── BORDER & CHASSIS STRUCTURE ──────────────────────────────────────────────
 
-createBorder() {
-    const group = new THREE.Group();
-
-    // 1. L'ARMATURE FILAIRE (CADRE EXTERNE)
-    // On utilise un Tube ou un LineSegments plus épais pour l'aspect "Exosquelette"
-    const borderGeo = new THREE.BoxGeometry(GRID_WIDTH + 0.3, GRID_HEIGHT + 0.3, 0.8);
-    const edges = new THREE.EdgesGeometry(borderGeo);
-    
-    // Matériau technique : Gris sidéral profond
-    this.gridFrame = new THREE.LineSegments(
-        edges,
-        new THREE.LineBasicMaterial({ 
-            color: 0x888899, 
-            transparent: true, 
-            opacity: 0.5 
-        })
-    );
-    this.gridFrame.position.set(GRID_WIDTH / 2 - 0.5, GRID_HEIGHT / 2 - 0.5, -0.1);
-    this.chassisNeutralFrameY = this.gridFrame.position.y;
-    group.add(this.gridFrame);
-
-    // 2. LE FOND PHYSIQUE (PLAQUE DE MÉTAL BROSSÉ)
-    // On passe sur un MeshPhysicalMaterial pour des reflets de dingue
-    const backGeo = new THREE.PlaneGeometry(GRID_WIDTH + 0.1, GRID_HEIGHT + 0.1);
-    const backMat = new THREE.MeshPhysicalMaterial({
-        color: 0x0a0a0c,         // Teinte titane sombre
-        metalness: 0.9,          // Très métallique
-        roughness: 0.4,          // Un peu de flou dans les reflets
-        clearcoat: 1.0,          // Vernis protecteur (effet glossy technique)
-        clearcoatRoughness: 0.1,
-        transparent: true,
-        opacity: 0.95
-    });
+  createBorder() {
+    const { width, height } = this.state;
+    this.disposeBorder();
+
+    const { group, frame, back } = createChassis(width, height);
+    this.gridFrame = frame;
+    this.gridBack  = back;
+    this.chassisNeutralFrameY = frame.position.y;
+    this.chassisNeutralBackY  = back.position.y;
+    this.boardRoot.add(group);
+    this.borderGroup = group;
+  }
 
-    this.gridBack = new THREE.Mesh(backGeo, backMat);
-    this.gridBack.position.set(GRID_WIDTH / 2 - 0.5, GRID_HEIGHT / 2 - 0.5, -0.45);
-    this.chassisNeutralBackY = this.gridBack.position.y;
-    group.add(this.gridBack);
-
-    // 3. LA GRILLE DE MESURE (OVERLAY TECHNIQUE)
-    // Des lignes horizontales ultra-fines pour la précision visuelle
-    const gridHelper = new THREE.GridHelper(GRID_HEIGHT, GRID_HEIGHT, 0xffffff, 0x222222);
-    gridHelper.rotation.x = Math.PI / 2;
-    gridHelper.position.set(GRID_WIDTH / 2 - 0.5, GRID_HEIGHT / 2 - 0.5, -0.44);
-    gridHelper.scale.set(GRID_WIDTH / GRID_HEIGHT, 1, 1);
-    gridHelper.material.transparent = true;
-    gridHelper.material.opacity = 0.05;
-    group.add(gridHelper);
-
-    this.scene.add(group);
-}
+  disposeBorder() {
+    if (!this.borderGroup) return;
+    this.boardRoot.remove(this.borderGroup);
+    disposeChassis(this.borderGroup);
+    this.borderGroup = null;
+  }
 
   // ─── GHOST / NEXT / HOLD MESHES ──────────────────────────────────────────
 
@@ -629,10 +1796,10 @@ createBorder() {
       wireframe:   true
     });
 
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < MAX_PIECE_BLOCKS; i++) {
       const mesh = new THREE.Mesh(geo, mat.clone());
       mesh.visible = false;
-      this.scene.add(mesh);
+      this.boardRoot.add(mesh);
       this.ghostMeshes.push(mesh);
     }
   }
@@ -644,457 +1811,1297 @@ createBorder() {
       BLOCK_SIZE - BLOCK_GAP
     );
     const fallbackMaterial = this.materialsByColor[SHAPES.I.color];
-    for (let i = 0; i < 4; i++) {
+    // Un jeu de meshes par emplacement de la file, alloué au maximum configurable
+    for (let slot = 0; slot < CONFIG.gameplay.maxPreviewCount; slot++) {
+      const slotMeshes = [];
+      for (let i = 0; i < MAX_PIECE_BLOCKS; i++) {
+        const mesh = new THREE.Mesh(geo, fallbackMaterial);
+        mesh.visible = false;
+        this.boardRoot.add(mesh);
+        slotMeshes.push(mesh);
+      }
+      this.nextPieceMeshes.push(slotMeshes);
+    }
+  }
+
+  initHoldPieceMeshes() {
+    const geo = new THREE.BoxGeometry(
+      BLOCK_SIZE - BLOCK_GAP,
+      BLOCK_SIZE - BLOCK_GAP,
+      BLOCK_SIZE - BLOCK_GAP
+    );
+    const fallbackMaterial = this.materialsByColor[SHAPES.I.color];
+    for (let i = 0; i < MAX_PIECE_BLOCKS; i++) {
       const mesh = new THREE.Mesh(geo, fallbackMaterial);
       mesh.visible = false;
-      this.scene.add(mesh);
-      this.nextPieceMeshes.push(mesh);
+      this.boardRoot.add(mesh);
+      this.holdPieceMeshes.push(mesh);
+    }
+  }
+
+  // ─── STATE EVENTS ────────────────────────────────────────────────────────
+
+  onStateReset() {
+    this.setOverlayVisible('game-over-msg', false);
+    this.setOverlayVisible('pause-msg', false);
+    this.pendingHighScore = null;
+    this.setHighScoreFormVisible(false);
+    this.startRecording();
+
+    this.layoutBoard();
+    this.markStackDirty();
+    this.updateStackInstances();
+
+    if (this.particles) this.particles.clear();
+    this.updateHud();
+    this.updateGarbageMeter();
+  }
+
+  onStateRestored() {
+    this.setOverlayVisible('game-over-msg', false);
+    this.setOverlayVisible('pause-msg', false);
+    if (this.particles) this.particles.clear();
+    this.layoutBoard();
+    this.markStackDirty();
+    this.refreshView();
+    this.updateGhostPosition();
+    this.updateGraphics();
+  }
+
+  onPauseChanged(paused) {
+    this.setOverlayVisible('pause-msg', paused);
+    if (paused) this.saveGame();
+  }
+
+  onPieceSpawned() {
+    this.currentPieceVisualX = this.state.currentPiece.x;
+    this.currentPieceSquashTimer = 0;
+    this.currentPieceSquashIntensity = 0;
+    this.updateNextPieceVisuals();
+    this.updateHoldPieceVisuals();
+  }
+
+  onLinesCleared({ cells, lines }) {
+    this.markStackDirty();
+    if (this.isSeeking) return;
+    this.playSound('lines', { lines });
+
+    // Les rangées de la zone cachée ne sont pas affichées : pas d'éclats au-dessus du plateau
+    cells.forEach(({ x, y, color }) => {
+      if (y >= this.state.height) return;
+      const pos = new THREE.Vector3(x, y, 0);
+      this.particles.emit(pos, color || 0x8090a0, CONFIG.particles.clearLineCount);
+    });
+
+    // Flash blanc neutre
+    const base = this.playerLight.intensity;
+    this.playerLight.intensity = CONFIG.effects.lineClearFlashIntensity;
+    setTimeout(() => { this.playerLight.intensity = base; }, CONFIG.effects.lineClearFlashDurationMs);
+  }
+
+  onGameOver(detail) {
+    this.playSound('gameOver');
+    this.showGameOverResult(detail);
+    if (this.replayPlayer) return;
+
+    // Le tick en cours compte : la partie a pu finir sur une entrée appliquée avant lui
+    const state = this.state;
+    this.lastReplay = this.recorder.finish({
+      ticks:        this.tickCount + 1,
+      score:        state.score,
+      lines:        state.linesCleared,
+      level:        state.level,
+      previewCount: state.previewCount
+    });
+    this.clearSavedGame();
+    this.offerHighScore(detail);
+    this.setOverlayVisible('game-over-msg', true);
+  }
+
+  // ─── HIGH SCORES ─────────────────────────────────────────────────────────
+
+  // Propose la saisie du nom si la partie entre au tableau du mode ; les plateaux et jeux
+  // de pièces personnalisés ne sont pas classés (scores non comparables)
+  offerHighScore({ reason, mode, score, level, linesCleared, elapsedTime }) {
+    if (!this.isStandardBoard()) return;
+
+    const entry = {
+      score,
+      lines:    linesCleared,
+      level,
+      duration: Math.round(elapsedTime),
+      date:     new Date().toISOString()
+    };
+    const rank = this.highScores.getRank(mode, entry, { reason });
+
+    this.pendingHighScore = rank === -1 ? null : { mode, entry, reason };
+    this.setHighScoreFormVisible(rank !== -1, rank);
+    this.updatePersonalBest(mode);
+  }
+
+  isStandardBoard() {
+    const { width, height } = BOARD_PRESETS.standard;
+    const state = this.state;
+    return state.width === width && state.height === height && state.pieceSetName === CONFIG.gameplay.pieceSet;
+  }
+
+  submitHighScore(name) {
+    const pending = this.pendingHighScore;
+    if (!pending) return;
+
+    const playerName = normalizeHighScoreName(name);
+    this.writeStorage(PLAYER_NAME_STORAGE_KEY, playerName);
+    const rank = this.highScores.add(pending.mode, { ...pending.entry, name: playerName }, { reason: pending.reason });
+
+    this.pendingHighScore = null;
+    this.setHighScoreFormVisible(false);
+    this.updatePersonalBest(pending.mode, rank);
+  }
+
+  setHighScoreFormVisible(visible, rank = -1) {
+    const form  = document.getElementById('highscore-form');
+    const input = document.getElementById('highscore-name');
+    const label = document.getElementById('highscore-rank');
+    if (!form) return;
+
+    form.hidden = !visible;
+    if (label) label.textContent = `NEW RECORD #${rank + 1}`;
+    if (input) {
+      if (visible) {
+        input.value = this.readStorage(PLAYER_NAME_STORAGE_KEY) || '';
+        input.focus();
+        input.select();
+      } else {
+        input.blur();
+      }
+    }
+  }
+
+  updatePersonalBest(mode, savedRank = -1) {
+    const bestEl = document.getElementById('game-over-best');
+    if (!bestEl) return;
+
+    const best = this.highScores.getPersonalBest(mode);
+    const saved = savedRank === -1 ? '' : `RECORD SAVED #${savedRank + 1} — `;
+    bestEl.textContent = best ? `${saved}BEST ${formatHighScoreValue(mode, best)} (${best.name})` : '';
+  }
+
+  // ─── SAVE / RESUME ───────────────────────────────────────────────────────
+
+  // Sauvegarde la partie en direct (pause, onglet masqué, fermeture) avec son enregistrement
+  saveGame() {
+    // rafId nul : la partie n'a pas encore démarré (menu de démarrage)
+    if (this.rafId === null || this.replayPlayer || this.isSplitView() || this.state.isGameOver || !this.recorder) return;
+
+    this.writeStorage(SAVED_GAME_STORAGE_KEY, JSON.stringify({
+      savedAt:   new Date().toISOString(),
+      tickCount: this.tickCount,
+      state:     this.state.serialize(),
+      recording: this.recorder.finish({ ticks: this.tickCount })
+    }));
+  }
+
+  // Le bouton de reprise affiche mode et score, restore() lit grille et pièces : une sauvegarde
+  // corrompue ou d'un ancien format est effacée avant d'être proposée
+  loadSavedGame() {
+    const raw = this.readStorage(SAVED_GAME_STORAGE_KEY);
+    if (!raw) return null;
+
+    try {
+      const saved = JSON.parse(raw);
+      const { state, recording, tickCount } = saved ?? {};
+      validateSnapshot(state, { bufferHeight: this.state.bufferHeight });
+      if (typeof state.mode === 'string' && Number.isInteger(tickCount) && tickCount >= 0 && Array.isArray(recording?.inputs)) {
+        return saved;
+      }
+    } catch (error) {
+      console.warn(error.message);
+    }
+
+    this.clearSavedGame();
+    return null;
+  }
+
+  resumeSavedGame() {
+    const saved = this.loadSavedGame();
+    if (!saved) return false;
+
+    try {
+      this.state.restore(saved.state);
+    } catch (error) {
+      console.warn(error.message);
+      this.clearSavedGame();
+      this.resetGame();
+      return false;
+    }
+
+    // L'enregistrement continue : le replay couvre toute la partie depuis la graine
+    this.recorder        = ReplayRecorder.fromReplay(saved.recording);
+    this.tickCount       = saved.tickCount;
+    this.tickAccumulator = 0;
+    return true;
+  }
+
+  clearSavedGame() {
+    try {
+      if (this.storage) this.storage.removeItem(SAVED_GAME_STORAGE_KEY);
+    } catch (error) {
+      console.warn(`Storage unavailable: ${error.message}`);
+    }
+  }
+
+  readStorage(key) {
+    try {
+      return this.storage ? this.storage.getItem(key) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  writeStorage(key, value) {
+    try {
+      if (this.storage) this.storage.setItem(key, value);
+    } catch (error) {
+      console.warn(`Storage unavailable: ${error.message}`);
+    }
+  }
+
+  showGameOverResult({ reason, score, linesCleared, elapsedTime }) {
+    const mode    = this.state.mode;
+    const titleEl = document.getElementById('game-over-title');
+    const resultEl = document.getElementById('game-over-result');
+
+    if (titleEl) titleEl.textContent = GAME_OVER_TITLES[reason] || 'GAME OVER';
+    if (!resultEl) return;
+
+    // Sprint réussi : seul le chrono compte ; sinon score, ou lignes restantes en sprint
+    if (reason === 'cleared') {
+      resultEl.textContent = `${mode.label} — ${formatDuration(elapsedTime)}`;
+    } else if (mode.rankBy === 'time') {
+      resultEl.textContent = `${mode.label} — ${linesCleared} LINES`;
+    } else {
+      resultEl.textContent = `${mode.label} — SCORE ${score}`;
+    }
+  }
+
+  setOverlayVisible(id, visible) {
+    const el = document.getElementById(id);
+    if (el) el.style.display = visible ? 'flex' : 'none';
+  }
+
+  resetGame(options) {
+    this.clearSavedGame();
+    this.state.reset(options);
+  }
+
+  setKeyBindings(bindings) {
+    this.keyBindings = cloneKeyBindings(bindings);
+    this.input.setBindings(this.keyBindings);
+    saveKeyBindings(this.storage, this.keyBindings);
+  }
+
+  setGamepadBindings(bindings) {
+    this.gamepadBindings = cloneKeyBindings(bindings);
+    this.gamepad.setBindings(this.gamepadBindings);
+    this.versusInputs.forEach(([, gamepad]) => gamepad.setBindings(this.gamepadBindings));
+    saveKeyBindings(this.storage, this.gamepadBindings, BINDING_PROFILES.gamepad);
+  }
+
+  setVersusKeyBindings(player, bindings) {
+    this.versusKeyBindings[player] = cloneKeyBindings(bindings);
+    this.versusInputs[player]?.[0].setBindings(this.versusKeyBindings[player]);
+    saveKeyBindings(this.storage, this.versusKeyBindings[player], VERSUS_BINDING_PROFILES[player]);
+  }
+
+  // Indicateur du pied de HUD : dernier périphérique utilisé
+  setActiveDevice(device) {
+    if (this.activeDevice === device) return;
+    this.activeDevice = device;
+    const indicator = document.getElementById('input-indicator');
+    if (indicator) indicator.textContent = `INPUT ${device}`;
+  }
+
+  // Boutons à l'écran : choix mémorisé, sinon affichés d'office sur écran tactile
+  loadTouchButtonsPreference() {
+    const stored = this.readStorage(TOUCH_BUTTONS_STORAGE_KEY);
+    if (stored !== null) return stored === 'true';
+    return window.matchMedia?.('(pointer: coarse)').matches ?? false;
+  }
+
+  setTouchButtonsVisible(visible, { persist = true } = {}) {
+    this.touchButtonsVisible = visible;
+    const buttons = document.getElementById('touch-controls');
+    if (buttons) buttons.hidden = !visible;
+    if (persist) this.writeStorage(TOUCH_BUTTONS_STORAGE_KEY, String(visible));
+  }
+
+  // ─── AUDIO ───────────────────────────────────────────────────────────────
+
+  playSound(name, detail) {
+    if (this.isSeeking || !this.audio) return;
+    this.audio.play(name, detail);
+  }
+
+  setAudioSettings(settings) {
+    this.audioSettings = sanitizeAudioSettings(settings);
+    if (this.audio) this.audio.setSettings(this.audioSettings);
+    saveAudioSettings(this.storage, this.audioSettings);
+  }
+
+  // La musique suit le niveau et se tait dès que la partie ne tourne plus
+  updateAudio() {
+    if (!this.audio) return;
+    const versus = this.versus;
+    if (versus) {
+      this.audio.setLevel(Math.max(...versus.states.map(state => state.level)));
+      this.audio.setMusicPlaying(!versus.isPaused && !versus.isOver);
+    } else if (this.onlineBoards.length > 0) {
+      this.audio.setLevel(this.online.state.level);
+      this.audio.setMusicPlaying(this.online.isRunning && !this.online.state.isGameOver);
+    } else {
+      const state = this.state;
+      this.audio.setLevel(state.level);
+      this.audio.setMusicPlaying(!state.isPaused && !state.isGameOver && !this.isReplayPaused);
+    }
+    this.audio.update();
+  }
+
+  triggerImpactFeedback({ dropDistance = 1, major = false } = {}) {
+    if (this.isSeeking) return;
+
+    const impactPower = Math.max(0.15, Math.min(1.5, dropDistance / this.state.height));
+    this.playSound(major ? 'hardDrop' : 'lock', { intensity: Math.min(1, impactPower) });
+    this.cameraShakeAmplitude += impactPower * (major ? 1.45 : 0.8);
+    this.pileBounceAmplitude += impactPower * (major ? 0.32 : 0.18);
+    this.chassisVibrationAmplitude += impactPower * (major ? 0.2 : 0.1);
+    this.currentPieceSquashTimer = CONFIG.effects.squashDuration;
+    this.currentPieceSquashIntensity = impactPower * (major ? 0.22 : 0.12);
+    this.tempEuler.set(
+      (Math.random() - 0.5) * impactPower * 0.08,
+      (Math.random() - 0.5) * impactPower * 0.12,
+      (Math.random() - 0.5) * impactPower * 0.04
+    );
+    this.currentPieceTilt.setFromEuler(this.tempEuler);
+  }
+
+  updatePhysicalFeedback(deltaSeconds) {
+    const damping = Math.exp(-CONFIG.effects.cameraShakeDamping * deltaSeconds);
+    this.cameraShakeAmplitude *= damping;
+    this.cameraShakePhase += deltaSeconds * CONFIG.effects.cameraShakeFrequency;
+    const shakeY = Math.sin(this.cameraShakePhase) * this.cameraShakeAmplitude;
+    const shakeX = Math.cos(this.cameraShakePhase * 0.8) * this.cameraShakeAmplitude * 0.35;
+    this.cameraShakeOffset.set(shakeX, shakeY, 0);
+
+    this.camera.position.copy(this.cameraBasePosition).add(this.cameraShakeOffset);
+    this.camera.lookAt(this.cameraLookAt.x, this.cameraLookAt.y + shakeY * 0.25, this.cameraLookAt.z);
+
+    const pileDamping = Math.exp(-CONFIG.effects.pileBounceDamping * deltaSeconds);
+    this.pileBounceAmplitude *= pileDamping;
+    this.pileBouncePhase += deltaSeconds * CONFIG.effects.pileBounceFrequency;
+
+    const chassisDamping = Math.exp(-12 * deltaSeconds);
+    this.chassisVibrationAmplitude *= chassisDamping;
+    this.chassisVibrationPhase += deltaSeconds * 52;
+    const chassisOffsetY = Math.sin(this.chassisVibrationPhase) * this.chassisVibrationAmplitude;
+    if (this.gridFrame) this.gridFrame.position.y = this.chassisNeutralFrameY + chassisOffsetY;
+    if (this.gridBack) this.gridBack.position.y = this.chassisNeutralBackY + chassisOffsetY * 0.7;
+
+    if (this.state.currentPiece) {
+      const follow = 1 - Math.exp(-deltaSeconds / CONFIG.effects.lateralFollow);
+      this.currentPieceVisualX = THREE.MathUtils.lerp(this.currentPieceVisualX, this.state.currentPiece.x, follow);
+    }
+
+    this.currentPieceSquashTimer = Math.max(0, this.currentPieceSquashTimer - deltaSeconds);
+  }
+
+  // ─── VISUALS ─────────────────────────────────────────────────────────────
+
+  updateGhostPosition() {
+    const dropDist = this.state.getGhostDropDistance();
+    const p = this.state.currentPiece;
+    this.ghostMeshes.forEach((mesh, i) => {
+      const block = p.coords[i];
+      const y = block ? p.y + block[1] - dropDist : -1;
+      mesh.visible = Boolean(block) && y < this.state.height;
+      if (mesh.visible) mesh.position.set(p.x + block[0], y, -0.1);
+    });
+  }
+
+  updateNextPieceVisuals() {
+    layoutNextPreview(this.nextPieceMeshes, this.state, this.previewScale, this.materialsByColor);
+  }
+
+  updateHoldPieceVisuals() {
+    const panel = document.getElementById('hold-panel');
+    if (panel) panel.classList.toggle('is-locked', !this.state.canHold);
+    layoutHoldPreview(this.holdPieceMeshes, this.state, this.previewScale, this.materialsByColor);
+  }
+
+  updateGraphics() {
+    const pileYOffset = Math.sin(this.pileBouncePhase) * this.pileBounceAmplitude;
+    const squashProgress = this.currentPieceSquashTimer > 0
+      ? this.currentPieceSquashTimer / CONFIG.effects.squashDuration
+      : 0;
+    const squashPulse = Math.sin((1 - squashProgress) * Math.PI);
+    const yScale = 1 - this.currentPieceSquashIntensity * squashPulse;
+    const xScale = 1 + this.currentPieceSquashIntensity * 0.6 * squashPulse;
+
+    // --- Blocs figés ---
+    this.updateStackInstances();
+    this.stackMesh.position.y = pileYOffset;
+
+    // --- Pièce courante ---
+    const p = this.state.currentPiece;
+    this.currentPieceMeshes.forEach((mesh, i) => {
+      const block = p && p.coords[i];
+      const x = block ? p.x + block[0] : -1;
+      const y = block ? p.y + block[1] : -1;
+
+      if (!block || y < 0 || y >= this.state.height || x < 0 || x >= this.state.width) {
+        mesh.visible = false;
+        return;
+      }
+      mesh.visible = true;
+      mesh.material = this.materialsByColor[p.color];
+      mesh.position.set(this.currentPieceVisualX + block[0], y, 0);
+      mesh.scale.set(xScale, yScale, 1);
+      mesh.quaternion.copy(this.currentPieceTilt);
+    });
+  }
+
+  // ─── LOOP ────────────────────────────────────────────────────────────────
+
+  // Chaque départ (menu, reprise, replay, versus, en ligne) passe par ici : une seconde boucle
+  // requestAnimationFrame ferait avancer la simulation deux fois par image
+  start() {
+    if (this.rafId !== null) return;
+    this.animate(0);
+  }
+
+  animate(time) {
+    this.rafId = requestAnimationFrame(this.boundAnimate);
+
+    const deltaTime = this.lastTime ? Math.min(time - this.lastTime, CONFIG.simulation.maxFrameMs) : 0;
+    this.lastTime   = time;
+    this.monitorFrameBudget(deltaTime);
+
+    const deltaSeconds = deltaTime / 1000;
+    const state = this.state;
+
+    if (this.versus) {
+      this.versusInputs.forEach(([, gamepad]) => gamepad.poll());
+      this.advanceVersus(deltaTime);
+    } else if (this.onlineBoards.length > 0) {
+      this.gamepad.poll();
+      this.advanceOnline(deltaTime);
+    } else {
+      this.gamepad.poll();
+      this.advanceSimulation(deltaTime);
+      this.updateTimer();
+    }
+    this.updateAudio();
+
+    // Hit-stop : l'image reste figée tant que le moteur est gelé (propre à chaque plateau en versus)
+    if (!this.isSplitView() && state.hitStopTimer > 0) {
+      this.renderFrame();
+      return;
+    }
+
+    this.particles.update(deltaSeconds);
+    this.updatePhysicalFeedback(deltaSeconds);
+    if (this.bgMaterial) {
+      this.bgMaterial.uniforms.iTime.value = time / 1000;
+    }
+
+    for (let i = 0; i < this.animatedMaterials.length; i++) {
+      this.animatedMaterials[i].uniforms.time.value = time * 0.001;
+    }
+
+    if (this.isSplitView()) {
+      [...this.versusBoards, ...this.onlineBoards].forEach(board => board.update());
+    } else if (!state.isPaused && !state.isGameOver) {
+      if (state.currentPiece) {
+        this.playerLight.position.set(
+          this.currentPieceVisualX + 0.5,
+          state.currentPiece.y + 0.5,
+          2.0
+        );
+        this.playerLight.intensity = 18;
+        this.playerLight.distance = 26;
+      }
+
+      this.updateGhostPosition();
+      this.updateGraphics();
+    }
+
+    this.renderFrame();
+  }
+
+  // Plusieurs plateaux à l'écran (versus local ou partie en ligne) : le plateau solo est masqué
+  isSplitView() {
+    return Boolean(this.versus) || this.onlineBoards.length > 0;
+  }
+
+  // Sans passe active, le composer ne ferait qu'une copie plein écran de plus
+  renderFrame() {
+    if (this.composer && (this.edgePass.enabled || this.bloomPass.enabled)) {
+      this.composer.render();
+    } else {
+      this.renderer.render(this.scene, this.camera);
+    }
+  }
+
+  isSimulationRunning() {
+    const state = this.state;
+    if (state.isPaused || state.isGameOver) return false;
+    if (this.replayPlayer) return !this.isReplayPaused && this.tickCount < this.replayPlayer.totalTicks;
+    return true;
+  }
+
+  advanceSimulation(deltaTime) {
+    if (!this.isSimulationRunning()) {
+      this.tickAccumulator = 0;
+      return;
+    }
+
+    const tickMs = CONFIG.simulation.tickMs;
+    this.tickAccumulator += deltaTime * (this.replayPlayer ? this.replaySpeed : 1);
+    while (this.tickAccumulator >= tickMs && this.isSimulationRunning()) {
+      this.tickAccumulator -= tickMs;
+      this.runSimulationTick();
+    }
+
+    if (this.replayPlayer) this.updateReplayBar();
+  }
+
+  // Un tick : entrées (clavier ou replay) puis pas du moteur
+  runSimulationTick() {
+    const state = this.state;
+
+    if (this.replayPlayer) {
+      this.replayPlayer.applyTick(state, this.tickCount++);
+      return;
+    }
+
+    const devices = this.getInputDevices();
+    if (state.hitStopTimer <= 0) {
+      devices.forEach(device => device.update(CONFIG.simulation.tickMs));
+    }
+    const softDropping = devices.some(device => device.isSoftDropping());
+    this.recorder.recordSoftDrop(this.tickCount, softDropping);
+    state.step(CONFIG.simulation.tickMs, {
+      softDropping,
+      softDropFactor: this.input.handling.softDropFactor
+    });
+    this.tickCount++;
+  }
+
+  handleAction(action, options) {
+    if (action === 'mute') {
+      this.setAudioSettings({ ...this.audioSettings, muted: !this.audioSettings.muted });
+      return;
+    }
+
+    if (this.onlineBoards.length > 0) {
+      this.handleOnlineAction(action, options);
+      return;
+    }
+
+    // En lecture, le clavier ne pilote que la pause et le redémarrage du replay
+    if (this.replayPlayer) {
+      if (action === 'pause')   this.setReplayPaused(!this.isReplayPaused);
+      if (action === 'restart') this.seekReplay(0);
+      return;
+    }
+
+    if (action === 'restart') {
+      this.resetGame();
+      return;
+    }
+
+    const state = this.state;
+    if (state.isGameOver) {
+      // Un record en attente de nom n'est pas perdu sur un espace réflexe
+      if (action === 'hardDrop' && this.pendingHighScore) {
+        document.getElementById('highscore-name')?.focus();
+      } else if (action === 'hardDrop') {
+        this.resetGame();
+      }
+      return;
     }
-  }
 
-  // ─── PIECE LOGIC ─────────────────────────────────────────────────────────
+    // Les entrées ignorées par le moteur (pause) ne sont pas enregistrées
+    if (!state.isPaused) this.recorder.recordAction(this.tickCount, action, options);
+    state.handleAction(action, options);
+  }
 
-  getRandomPiece() {
-    const keys    = Object.keys(SHAPES);
-    const randKey = keys[Math.floor(Math.random() * keys.length)];
-    return {
-      type:   randKey,
-      coords: SHAPES[randKey].coords.map(c => [...c]),
-      color:  SHAPES[randKey].color
-    };
+  // ─── LOCAL VERSUS ────────────────────────────────────────────────────────
+
+  // Deux plateaux côte à côte dans la scène, un clavier (moitié gauche / droite) et une
+  // manette par joueur. Le plateau solo est masqué et ses contrôles suspendus jusqu'à stopVersus().
+  startVersus(options = {}) {
+    if (this.versus) return;
+
+    const versus = new VersusMatch({ ...options, mode: CONFIG.versus.mode });
+    const { width, height } = versus.states[0];
+    const stride = width + CONFIG.versus.boardGap;
+
+    this.versus = versus;
+    this.versusBoards = versus.states.map((state, index) => new BoardView({
+      scene:            this.scene,
+      state,
+      offsetX:          index * stride,
+      geometry:         this.blockGeometry,
+      stackMaterial:    this.stackMaterial,
+      materialsByColor: this.materialsByColor
+    }));
+    this.versusInputs = versus.states.map((state, index) => this.createVersusInputs(index));
+    this.versusSubscriptions = [
+      versus.on('matchStarted', () => this.onVersusStarted()),
+      versus.on('attack',       () => this.updateVersusHud()),
+      versus.on('matchOver',    (detail) => this.onVersusOver(detail)),
+      ...versus.states.flatMap((state, index) => this.subscribeToVersusPlayer(state, index * stride))
+    ];
+
+    [this.input, this.gamepad, this.touch].forEach(device => device.setSuspended(true));
+    this.boardRoot.visible = false;
+    this.setOverlayVisible('game-over-msg', false);
+    document.body.classList.add('is-versus');
+    this.setModeTag('VERSUS');
+    this.frameCamera(versus.states.length * stride - CONFIG.versus.boardGap, height);
+    this.onVersusStarted();
   }
 
-  spawnPiece() {
-    this.currentPiece = this.nextPiece || this.getRandomPiece();
-    this.nextPiece    = this.getRandomPiece();
-    this.currentPiece.x = Math.floor(GRID_WIDTH / 2) - 1;
-    this.currentPiece.y = GRID_HEIGHT - 2;
-    if (this.currentPiece.type === 'I') this.currentPiece.x--;
-    this.currentPieceVisualX = this.currentPiece.x;
-    this.currentPieceSquashTimer = 0;
-    this.currentPieceSquashIntensity = 0;
+  // Fin du versus : retour au plateau solo, sur une partie neuve
+  stopVersus() {
+    if (!this.versus) return;
+    this.disposeVersus();
+
+    [this.input, this.gamepad, this.touch].forEach(device => device.setSuspended(false));
+    this.boardRoot.visible = true;
+    this.setOverlayVisible('versus-result-msg', false);
+    this.setOverlayVisible('pause-msg', false);
+    document.body.classList.remove('is-versus');
+    this.setModeTag('LIVE');
+    this.boardLayout = null;
+    this.resetGame();
+  }
 
-    if (this.checkCollision(0, 0, this.currentPiece)) {
-      this.gameOver();
-    }
+  disposeVersus() {
+    this.versusSubscriptions.forEach(unsubscribe => unsubscribe());
+    this.versusInputs.flat().forEach(device => device.detach());
+    this.versusBoards.forEach(board => board.dispose());
+    this.versus              = null;
+    this.versusBoards        = [];
+    this.versusInputs        = [];
+    this.versusSubscriptions = [];
+  }
 
-    this.updateNextPieceVisuals();
+  createVersusInputs(player) {
+    const onAction   = (action, options) => this.handleVersusAction(player, action, options);
+    const onActivity = (device) => this.setActiveDevice(device);
+    const keyboard   = new InputController({ onAction, onActivity, bindings: this.versusKeyBindings[player] });
+    const gamepad    = new GamepadController({ onAction, onActivity, bindings: this.gamepadBindings, padSlot: player });
+    keyboard.attach(window);
+    gamepad.attach(window);
+    return [keyboard, gamepad];
   }
 
-  gameOver() {
-    this.isGameOver = true;
-    const msg = document.getElementById('game-over-msg');
-    if (msg) msg.style.display = 'flex';
+  // Sons et éclats de chaque plateau ; le HUD versus suit scores, lignes et jauges
+  subscribeToVersusPlayer(state, offsetX) {
+    return [
+      state.on('pieceMoved',     ({ type }) => this.playSound(type)),
+      state.on('lockQueued',     ({ major }) => this.playSound(major ? 'hardDrop' : 'lock')),
+      state.on('rowsInserted',   ({ count }) => this.playSound('garbage', { lines: count })),
+      state.on('linesCleared',   (detail) => this.onVersusLinesCleared(state, offsetX, detail)),
+      state.on('scoreChanged',   () => this.updateVersusHud()),
+      state.on('garbageChanged', () => this.updateVersusHud()),
+      state.on('pauseChanged',   ({ paused }) => this.setOverlayVisible('pause-msg', paused))
+    ];
   }
 
-  resetGame() {
-    this.grid         = this.createEmptyGrid();
-    this.score        = 0;
-    this.level        = 1;
-    this.linesCleared = 0;
-    this.dropInterval = 1000;
-    this.isGameOver   = false;
-    this.isPaused     = false;
-    const msgEl   = document.getElementById('game-over-msg');
-    const pauseEl = document.getElementById('pause-msg');
+  onVersusStarted() {
+    this.tickAccumulator = 0;
+    this.setOverlayVisible('versus-result-msg', false);
+    this.setOverlayVisible('pause-msg', false);
+    if (this.particles) this.particles.clear();
+    this.updateVersusHud();
+  }
 
-    this.updateHud();
-    if (msgEl)   msgEl.style.display   = 'none';
-    if (pauseEl) pauseEl.style.display = 'none';
+  onVersusLinesCleared(state, offsetX, { cells, lines }) {
+    this.playSound('lines', { lines });
+    cells.forEach(({ x, y, color }) => {
+      if (y >= state.height) return;
+      this.particles.emit(new THREE.Vector3(offsetX + x, y, 0), color || 0x8090a0, CONFIG.particles.clearLineCount);
+    });
+  }
 
-    for (let x = 0; x < GRID_WIDTH; x++) {
-      for (let y = 0; y < GRID_HEIGHT; y++) {
-        this.meshGrid[x][y].visible = false;
-      }
+  // Écran de fin commun : vainqueur, manches gagnées et bilan de chaque joueur
+  onVersusOver({ winner, wins, results }) {
+    this.playSound('gameOver');
+
+    const titleEl = document.getElementById('versus-result-title');
+    if (titleEl) titleEl.textContent = winner === null ? 'DRAW' : `PLAYER ${winner + 1} WINS`;
+    const tallyEl = document.getElementById('versus-result-tally');
+    if (tallyEl) tallyEl.textContent = wins.join(' — ');
+
+    const list = document.getElementById('versus-result-list');
+    if (list) {
+      list.replaceChildren(...results.map(({ player, score, linesCleared, attackSent, reason }) => {
+        const item   = document.createElement('li');
+        const status = reason ? GAME_OVER_TITLES[reason] || 'GAME OVER' : 'WINNER';
+        item.textContent = `P${player + 1} · ${status} · SCORE ${score} · LINES ${linesCleared} · SENT ${attackSent}`;
+        return item;
+      }));
     }
 
-    this.particles.clear();
-
-    this.nextPiece = this.getRandomPiece();
-    this.spawnPiece();
+    this.updateVersusHud();
+    this.setOverlayVisible('versus-result-msg', true);
   }
 
-  checkCollision(dx, dy, piece) {
-    const p = piece || this.currentPiece;
-    for (let block of p.coords) {
-      const newX = p.x + block[0] + dx;
-      const newY = p.y + block[1] + dy;
-      if (newX < 0 || newX >= GRID_WIDTH || newY < 0 || newY >= GRID_HEIGHT) return true;
-      if (this.grid[newX][newY]) return true;
+  // Les deux plateaux avancent au même pas fixe ; chaque joueur a son DAS et son soft drop
+  advanceVersus(deltaTime) {
+    const versus = this.versus;
+    if (versus.isPaused || versus.isOver) {
+      this.tickAccumulator = 0;
+      return;
     }
-    return false;
-  }
 
-  mergePiece() {
-    for (let block of this.currentPiece.coords) {
-      const x = this.currentPiece.x + block[0];
-      const y = this.currentPiece.y + block[1];
-      if (y >= 0 && y < GRID_HEIGHT && x >= 0 && x < GRID_WIDTH) {
-        this.grid[x][y] = this.currentPiece.color;
-      }
+    const tickMs = CONFIG.simulation.tickMs;
+    this.tickAccumulator += deltaTime;
+    while (this.tickAccumulator >= tickMs && !versus.isOver) {
+      this.tickAccumulator -= tickMs;
+      versus.step(tickMs, versus.states.map((state, index) => {
+        const devices = this.versusInputs[index];
+        if (state.hitStopTimer <= 0) devices.forEach(device => device.update(tickMs));
+        return {
+          softDropping:   devices.some(device => device.isSoftDropping()),
+          softDropFactor: devices[0].handling.softDropFactor
+        };
+      }));
     }
-    this.checkLines();
-    this.spawnPiece();
   }
 
-  triggerImpactFeedback({ dropDistance = 1, major = false } = {}) {
-    const impactPower = Math.max(0.15, Math.min(1.5, dropDistance / GRID_HEIGHT));
-    this.cameraShakeAmplitude += impactPower * (major ? 1.45 : 0.8);
-    this.pileBounceAmplitude += impactPower * (major ? 0.32 : 0.18);
-    this.chassisVibrationAmplitude += impactPower * (major ? 0.2 : 0.1);
-    this.currentPieceSquashTimer = CONFIG.effects.squashDuration;
-    this.currentPieceSquashIntensity = impactPower * (major ? 0.22 : 0.12);
-    this.tempEuler.set(
-      (Math.random() - 0.5) * impactPower * 0.08,
-      (Math.random() - 0.5) * impactPower * 0.12,
-      (Math.random() - 0.5) * impactPower * 0.04
-    );
-    this.currentPieceTilt.setFromEuler(this.tempEuler);
-    if (major) {
-      this.hitStopTimer = Math.max(this.hitStopTimer, CONFIG.effects.hitStopDuration);
+  handleVersusAction(player, action, options) {
+    const versus = this.versus;
+    if (action === 'mute') {
+      this.setAudioSettings({ ...this.audioSettings, muted: !this.audioSettings.muted });
+      return;
     }
+    // Une manche en cours ne se relance pas d'une touche : la revanche se lance depuis l'écran
+    // de fin, l'abandon passe par le bouton EXIT de la pause
+    if (versus.isOver) {
+      if (action === 'hardDrop' || action === 'restart') versus.reset();
+      return;
+    }
+    if (action === 'restart') return;
+
+    // La pause fige les deux plateaux à la fois
+    if (action === 'pause') {
+      versus.togglePause();
+      return;
+    }
+    versus.states[player].handleAction(action, options);
   }
 
-  queuePieceLock({ dropDistance = 1, major = false } = {}) {
-    if (this.pendingLock) return;
-    this.triggerImpactFeedback({ dropDistance, major });
-    this.pendingLock = { dropDistance, major };
+  updateVersusHud() {
+    const versus = this.versus;
+    if (!versus) return;
+
+    const results = versus.getResults();
+    document.querySelectorAll('[data-versus-stat]').forEach(el => {
+      const player = Number(el.dataset.player);
+      const stat   = el.dataset.versusStat;
+      if (stat === 'wins')          el.innerText = versus.wins[player];
+      else if (stat === 'incoming') el.innerText = versus.states[player].garbage.pending;
+      else                          el.innerText = results[player][stat];
+    });
   }
 
-  updatePhysicalFeedback(deltaSeconds) {
-    const damping = Math.exp(-CONFIG.effects.cameraShakeDamping * deltaSeconds);
-    this.cameraShakeAmplitude *= damping;
-    this.cameraShakePhase += deltaSeconds * CONFIG.effects.cameraShakeFrequency;
-    const shakeY = Math.sin(this.cameraShakePhase) * this.cameraShakeAmplitude;
-    const shakeX = Math.cos(this.cameraShakePhase * 0.8) * this.cameraShakeAmplitude * 0.35;
-    this.cameraShakeOffset.set(shakeX, shakeY, 0);
+  // ─── ONLINE ──────────────────────────────────────────────────────────────
+
+  // Connexion au serveur de référence ; le lobby du menu de démarrage crée ou rejoint une salle.
+  // Chaque départ donné par le serveur remplace le plateau solo par ceux de la salle, le plateau
+  // local à gauche, piloté par les contrôles solo.
+  connectOnline(url) {
+    if (this.netClient) return this.netClient;
+
+    const client = new NetClient({ url });
+    const online = new OnlineMatch({ client });
+    this.netClient = client;
+    this.online    = online;
+    this.onlineSubscriptions = [
+      online.on('matchStarted', () => this.onOnlineStarted()),
+      online.on('boardChanged', () => this.updateOnlineHud()),
+      online.on('snapshotRejected', ({ player, reason }) => console.warn(`Snapshot from ${player} rejected: ${reason}`)),
+      online.on('attack',       () => this.updateOnlineHud()),
+      online.on('matchOver',    (detail) => this.onOnlineOver(detail)),
+      client.on('roomChanged',  () => this.updateOnlineHud()),
+      client.on('disconnected', () => this.stopOnline())
+    ];
+
+    try {
+      client.connect();
+    } catch (error) {
+      this.disposeOnline();
+      throw error;
+    }
+    return client;
+  }
 
-    this.camera.position.copy(this.cameraBasePosition).add(this.cameraShakeOffset);
-    this.camera.lookAt(this.cameraLookAt.x, this.cameraLookAt.y + shakeY * 0.25, this.cameraLookAt.z);
+  // Salle quittée ou serveur perdu : retour au plateau solo, sur une partie neuve
+  stopOnline() {
+    const wasPlaying = this.onlineBoards.length > 0;
+    this.disposeOnline();
+    if (!wasPlaying) return;
+
+    this.boardRoot.visible = true;
+    this.setOverlayVisible('online-result-msg', false);
+    document.body.classList.remove('is-online');
+    this.setModeTag('LIVE');
+    this.boardLayout = null;
+    this.resetGame();
+  }
 
-    const pileDamping = Math.exp(-CONFIG.effects.pileBounceDamping * deltaSeconds);
-    this.pileBounceAmplitude *= pileDamping;
-    this.pileBouncePhase += deltaSeconds * CONFIG.effects.pileBounceFrequency;
+  disposeOnline() {
+    const client = this.netClient;
+    this.onlineSubscriptions.forEach(unsubscribe => unsubscribe());
+    this.online?.dispose();
+    this.disposeOnlineBoards();
+    this.netClient           = null;
+    this.online              = null;
+    this.onlineSubscriptions = [];
+    client?.disconnect();
+  }
 
-    const chassisDamping = Math.exp(-12 * deltaSeconds);
-    this.chassisVibrationAmplitude *= chassisDamping;
-    this.chassisVibrationPhase += deltaSeconds * 52;
-    const chassisOffsetY = Math.sin(this.chassisVibrationPhase) * this.chassisVibrationAmplitude;
-    if (this.gridFrame) this.gridFrame.position.y = this.chassisNeutralFrameY + chassisOffsetY;
-    if (this.gridBack) this.gridBack.position.y = this.chassisNeutralBackY + chassisOffsetY * 0.7;
+  disposeOnlineBoards() {
+    this.onlineBoardSubscriptions.forEach(unsubscribe => unsubscribe());
+    this.onlineBoards.forEach(board => board.dispose());
+    this.onlineBoards             = [];
+    this.onlineBoardSubscriptions = [];
+  }
 
-    if (this.currentPiece) {
-      const follow = 1 - Math.exp(-deltaSeconds / CONFIG.effects.lateralFollow);
-      this.currentPieceVisualX = THREE.MathUtils.lerp(this.currentPieceVisualX, this.currentPiece.x, follow);
-    }
+  onOnlineStarted() {
+    const online = this.online;
+    const states = [online.state, ...online.opponents.values()];
+    const { width, height } = online.state;
+    const stride = width + CONFIG.versus.boardGap;
+
+    this.disposeOnlineBoards();
+    this.onlineBoards = states.map((state, index) => new BoardView({
+      scene:            this.scene,
+      state,
+      offsetX:          index * stride,
+      geometry:         this.blockGeometry,
+      stackMaterial:    this.stackMaterial,
+      materialsByColor: this.materialsByColor
+    }));
+    this.onlineBoardSubscriptions = this.subscribeToOnlinePlayer(online.state);
+
+    this.boardRoot.visible = false;
+    ['game-over-msg', 'online-result-msg', 'pause-msg'].forEach(id => this.setOverlayVisible(id, false));
+    document.body.classList.add('is-online');
+    this.setModeTag('ONLINE');
+    this.frameCamera(states.length * stride - CONFIG.versus.boardGap, height);
+    this.tickAccumulator = 0;
+    if (this.particles) this.particles.clear();
+    this.renderOnlineHud();
+  }
 
-    this.currentPieceSquashTimer = Math.max(0, this.currentPieceSquashTimer - deltaSeconds);
+  // Sons et éclats du seul plateau local ; les adversaires n'arrivent qu'en photographies
+  subscribeToOnlinePlayer(state) {
+    return [
+      state.on('pieceMoved',     ({ type }) => this.playSound(type)),
+      state.on('lockQueued',     ({ major }) => this.playSound(major ? 'hardDrop' : 'lock')),
+      state.on('rowsInserted',   ({ count }) => this.playSound('garbage', { lines: count })),
+      state.on('linesCleared',   (detail) => this.onVersusLinesCleared(state, 0, detail)),
+      state.on('scoreChanged',   () => this.updateOnlineHud()),
+      state.on('garbageChanged', () => this.updateOnlineHud()),
+      state.on('gameOver',       () => this.playSound('gameOver'))
+    ];
   }
 
-  checkLines() {
-    const linesToClear = [];
+  // Classement du serveur : le survivant, puis les éliminés du dernier au premier
+  onOnlineOver({ winner, standings, aborted }) {
+    if (aborted) return;
+    const localId = this.netClient.playerId;
 
-    for (let y = 0; y < GRID_HEIGHT; y++) {
-      let full = true;
-      for (let x = 0; x < GRID_WIDTH; x++) {
-        if (!this.grid[x][y]) { full = false; break; }
-      }
-      if (full) linesToClear.push(y);
+    const titleEl = document.getElementById('online-result-title');
+    if (titleEl) {
+      titleEl.textContent = winner === null ? 'DRAW'
+        : winner === localId ? 'YOU WIN'
+        : `${standings[0].name} WINS`;
     }
 
-    const lines = linesToClear.length;
-
-    const linesToClearSet = new Set(linesToClear);
-
-    if (lines > 0) {
-      linesToClear.forEach(y => {
-        for (let x = 0; x < GRID_WIDTH; x++) {
-          const pos = new THREE.Vector3(x, y, 0);
-          this.particles.emit(pos, this.grid[x][y] || 0x8090a0, CONFIG.particles.clearLineCount);
-        }
-      });
-
-      let newGrid      = this.createEmptyGrid();
-      let currentWriteY = 0;
-      for (let y = 0; y < GRID_HEIGHT; y++) {
-        if (!linesToClearSet.has(y)) {
-          for (let x = 0; x < GRID_WIDTH; x++) {
-            newGrid[x][currentWriteY] = this.grid[x][y];
-          }
-          currentWriteY++;
-        }
-      }
-      this.grid = newGrid;
+    const list = document.getElementById('online-result-list');
+    if (list) {
+      list.replaceChildren(...standings.map(({ player, name, score, linesCleared, attackSent, reason }, rank) => {
+        const item   = document.createElement('li');
+        const status = reason ? GAME_OVER_TITLES[reason] || reason.toUpperCase() : 'WINNER';
+        const you    = player === localId ? ' (YOU)' : '';
+        item.textContent = `${rank + 1}. ${name}${you} · ${status} · SCORE ${score} · LINES ${linesCleared} · SENT ${attackSent}`;
+        return item;
+      }));
+    }
 
-      this.score        += (POINTS[lines] || 0) * this.level;
-      this.linesCleared += lines;
+    this.updateOnlineHud();
+    this.setOverlayVisible('online-result-msg', true);
+  }
 
-      const newLevel = Math.floor(this.linesCleared / CONFIG.gameplay.levelLinesStep) + 1;
-      if (newLevel > this.level) {
-        this.level        = newLevel;
-        this.dropInterval = Math.max(
-          CONFIG.gameplay.minDropInterval,
-          1000 - (this.level - 1) * CONFIG.gameplay.levelDropStep
-        );
-      }
+  // Pas fixe du plateau local ; les plateaux adverses n'avancent qu'à leurs photographies
+  advanceOnline(deltaTime) {
+    const online = this.online;
+    if (!online.isRunning) {
+      this.tickAccumulator = 0;
+      return;
+    }
 
-      this.updateHud({ flashScore: true });
+    const tickMs = CONFIG.simulation.tickMs;
+    this.tickAccumulator += deltaTime;
+    while (this.tickAccumulator >= tickMs && online.isRunning) {
+      this.tickAccumulator -= tickMs;
+      const devices = this.getInputDevices();
+      if (online.state.hitStopTimer <= 0) devices.forEach(device => device.update(tickMs));
+      online.step(tickMs, {
+        softDropping:   devices.some(device => device.isSoftDropping()),
+        softDropFactor: this.input.handling.softDropFactor
+      });
+    }
+  }
 
-      // Flash blanc neutre
-      const base = this.playerLight.intensity;
-      this.playerLight.intensity = CONFIG.effects.lineClearFlashIntensity;
-      setTimeout(() => { this.playerLight.intensity = base; }, CONFIG.effects.lineClearFlashDurationMs);
+  // Pas de pause en ligne : les autres joueurs continuent. Après les résultats, HARD DROP ou
+  // RESTART déclare le joueur prêt pour la revanche.
+  handleOnlineAction(action, options) {
+    const online = this.online;
+    if (online.isOver) {
+      if (action === 'hardDrop' || action === 'restart') this.netClient.setReady(true);
+      return;
     }
+    if (action === 'pause' || action === 'restart') return;
+    online.state.handleAction(action, options);
   }
 
-  rotatePiece() {
-    const newCoords    = this.currentPiece.coords.map(c => [-c[1], c[0]]);
-    const backupCoords = this.currentPiece.coords;
-    this.currentPiece.coords = newCoords;
+  // Un panneau par joueur de la salle, le joueur local en premier comme son plateau
+  renderOnlineHud() {
+    const hud = document.getElementById('online-hud');
+    if (!hud) return;
+
+    const localId = this.netClient.playerId;
+    const players = [...this.online.players].sort((a, b) => (b.id === localId) - (a.id === localId));
+    const stats   = [['score', 'SCORE'], ['linesCleared', 'LINES'], ['incoming', 'INCOMING'], ['wins', 'WINS']];
+
+    hud.replaceChildren(...players.map(({ id, name }) => {
+      const panel = document.createElement('section');
+      panel.className = 'versus-panel';
+      panel.setAttribute('aria-label', name);
+
+      const title = document.createElement('span');
+      title.className   = 'panel-title';
+      title.textContent = id === localId ? `${name} (YOU)` : name;
+      panel.append(title, ...stats.map(([stat, label]) => {
+        const row   = document.createElement('div');
+        const key   = document.createElement('span');
+        const value = document.createElement('span');
+        row.className   = 'stat stat-compact data-display';
+        key.className   = 'stat-label';
+        key.textContent = label;
+        value.className = 'stat-value';
+        value.dataset.player     = id;
+        value.dataset.onlineStat = stat;
+        value.setAttribute('role', 'status');
+        row.append(key, value);
+        return row;
+      }));
+      return panel;
+    }));
+    this.updateOnlineHud();
+  }
 
-    const kicks = [0, -1, 1, -2, 2];
-    let valid   = false;
-    for (let kick of kicks) {
-      if (!this.checkCollision(kick, 0)) {
-        this.currentPiece.x += kick;
-        valid = true;
-        break;
-      }
+  updateOnlineHud() {
+    const online = this.online;
+    if (!online || this.onlineBoards.length === 0) return;
+
+    const room  = this.netClient.room;
+    const local = this.netClient.playerId;
+    document.querySelectorAll('[data-online-stat]').forEach(el => {
+      const player = el.dataset.player;
+      const stat   = el.dataset.onlineStat;
+      const state  = player === local ? online.state : online.opponents.get(player);
+      if (stat === 'wins')          el.innerText = room?.players.find(entry => entry.id === player)?.wins ?? 0;
+      else if (stat === 'incoming') el.innerText = state.garbage.pending;
+      else                          el.innerText = state[stat];
+    });
+
+    const readyEl = document.getElementById('online-result-ready');
+    if (readyEl && room) {
+      readyEl.textContent = `${room.players.filter(player => player.ready).length}/${room.players.length} READY`;
     }
-    if (!valid) this.currentPiece.coords = backupCoords;
   }
 
-  // ─── VISUALS ─────────────────────────────────────────────────────────────
+  // ─── REPLAY ──────────────────────────────────────────────────────────────
+
+  // Chaque partie en direct est enregistrée depuis son reset (la graine suffit à la rejouer)
+  startRecording() {
+    this.tickAccumulator = 0;
+    this.tickCount       = 0;
+    this.lastReplay      = null;
+    this.recorder        = this.replayPlayer ? null : new ReplayRecorder({
+      seed:           this.state.rng.seed,
+      generator:      this.state.generatorName,
+      mode:           this.state.mode.name,
+      width:          this.state.width,
+      height:         this.state.height,
+      pieceSet:       this.state.pieceSetName,
+      previewCount:   this.state.previewCount,
+      tickMs:         CONFIG.simulation.tickMs,
+      softDropFactor: this.input.handling.softDropFactor
+    });
+  }
 
-  updateGhostPosition() {
-    let dropDist = 0;
-    while (!this.checkCollision(0, -(dropDist + 1))) dropDist++;
+  downloadReplay() {
+    if (!this.lastReplay) return;
+
+    const blob = new Blob([serializeReplay(this.lastReplay)], { type: 'application/json' });
+    const url  = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const date = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    link.href     = url;
+    link.download = `tetris-replay-${this.lastReplay.seed}-${date}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
 
-    const p = this.currentPiece;
-    for (let i = 0; i < 4; i++) {
-      const block = p.coords[i];
-      const mesh  = this.ghostMeshes[i];
-      mesh.position.set(p.x + block[0], (p.y + block[1]) - dropDist, -0.1);
-      mesh.visible = true;
+  startReplay(replay) {
+    const previousPlayer = this.replayPlayer;
+    this.replayPlayer   = new ReplayPlayer(replay);
+    this.replaySpeed    = 1;
+    this.isReplayPaused = false;
+
+    const scrub = document.getElementById('replay-scrub');
+    if (scrub) scrub.max = replay.ticks;
+    const speed = document.getElementById('replay-speed');
+    if (speed) speed.value = '1';
+
+    // Le moteur refuse les options sans rien modifier : on quitte le mode replay avant de basculer l'affichage
+    try {
+      this.seekReplay(0);
+    } catch (error) {
+      this.replayPlayer = previousPlayer;
+      this.isSeeking    = false;
+      throw error;
     }
+
+    this.setOverlayVisible('game-over-msg', false);
+    this.setOverlayVisible('replay-bar', true);
+    this.setModeTag('REPLAY');
   }
 
-  updateNextPieceVisuals() {
-    if (!this.nextPiece) return;
-    const anchor = CONFIG.preview.nextAnchor;
-    this.nextPreviewOffset.set(-1.1, -0.8, 0);
-
-    for (let i = 0; i < 4; i++) {
-      const block = this.nextPiece.coords[i];
-      const mesh  = this.nextPieceMeshes[i];
-      mesh.position.set(
-        anchor.x + this.nextPreviewOffset.x + block[0] * CONFIG.preview.nextScale,
-        anchor.y + this.nextPreviewOffset.y + block[1] * CONFIG.preview.nextScale,
-        anchor.z
-      );
-      mesh.scale.setScalar(CONFIG.preview.nextScale);
-      mesh.material = this.materialsByColor[this.nextPiece.color];
-      mesh.visible = true;
-    }
+  stopReplay() {
+    if (!this.replayPlayer) return;
+
+    this.replayPlayer = null;
+    this.setOverlayVisible('replay-bar', false);
+    this.setModeTag('LIVE');
+    this.resetGame();
   }
 
-  updateGraphics() {
-    const pileYOffset = Math.sin(this.pileBouncePhase) * this.pileBounceAmplitude;
-    const squashProgress = this.currentPieceSquashTimer > 0
-      ? this.currentPieceSquashTimer / CONFIG.effects.squashDuration
-      : 0;
-    const squashPulse = Math.sin((1 - squashProgress) * Math.PI);
-    const yScale = 1 - this.currentPieceSquashIntensity * squashPulse;
-    const xScale = 1 + this.currentPieceSquashIntensity * 0.6 * squashPulse;
+  // Les ticks ne se rembobinent pas : on repart de la graine et on resimule sans effets
+  seekReplay(targetTick) {
+    const player = this.replayPlayer;
+    if (!player) return;
+
+    const replay = player.replay;
+    this.isSeeking = true;
+    this.state.reset({
+      generator: replay.generator,
+      seed:      replay.seed,
+      mode:      replay.mode,
+      width:     replay.width,
+      height:    replay.height,
+      pieceSet:  replay.pieceSet
+    });
+    this.state.setPreviewCount(replay.previewCount);
+    player.reset();
 
-    // --- Blocs figés ---
-    for (let x = 0; x < GRID_WIDTH; x++) {
-      for (let y = 0; y < GRID_HEIGHT; y++) {
-        const mesh = this.meshGrid[x][y];
-        const val  = this.grid[x][y];
-
-        if (val) {
-          mesh.visible = true;
-          mesh.material = this.materialsByColor[val];
-          mesh.position.set(x, y + pileYOffset, 0);
-          mesh.scale.set(1, 1, 1);
-          mesh.quaternion.identity();
-        } else {
-          mesh.visible = false;
-          mesh.position.set(x, y, 0);
-          mesh.scale.set(1, 1, 1);
-          mesh.quaternion.identity();
-        }
-      }
+    const tick = Math.max(0, Math.min(targetTick, player.totalTicks));
+    while (this.tickCount < tick && !this.state.isGameOver) {
+      player.applyTick(this.state, this.tickCount++);
     }
+    this.isSeeking = false;
 
-    // --- Pièce courante ---
-    const p = this.currentPiece;
-    if (p) {
-      for (let block of p.coords) {
-        const x = p.x + block[0];
-        const y = p.y + block[1];
-
-        if (y >= 0 && y < GRID_HEIGHT && x >= 0 && x < GRID_WIDTH) {
-          const mesh = this.meshGrid[x][y];
-          mesh.visible = true;
-          mesh.material = this.materialsByColor[p.color];
-          mesh.position.set(this.currentPieceVisualX + block[0], y, 0);
-          mesh.scale.set(xScale, yScale, 1);
-          mesh.quaternion.copy(this.currentPieceTilt);
-        }
-      }
-    }
+    if (this.particles) this.particles.clear();
+    this.refreshView();
+    this.updateReplayBar();
   }
 
-  // ─── LOOP ────────────────────────────────────────────────────────────────
+  setReplayPaused(paused) {
+    this.isReplayPaused = paused;
+    this.updateReplayBar();
+  }
 
-  animate(time) {
-    this.rafId = requestAnimationFrame(this.boundAnimate);
+  setReplaySpeed(speed) {
+    const value = Number.parseFloat(speed);
+    if (Number.isFinite(value) && value > 0) this.replaySpeed = value;
+  }
 
-    const deltaTime = time - this.lastTime;
-    this.lastTime   = time;
+  updateReplayBar() {
+    const player = this.replayPlayer;
+    if (!player) return;
 
-    const deltaSeconds = deltaTime / 1000;
+    const finished = this.state.isGameOver || this.tickCount >= player.totalTicks;
+    const scrub  = document.getElementById('replay-scrub');
+    const toggle = document.getElementById('replay-toggle');
+    const timeEl = document.getElementById('replay-time');
 
-    if (this.hitStopTimer > 0) {
-      this.hitStopTimer = Math.max(0, this.hitStopTimer - deltaSeconds);
-      if (this.composer) {
-        this.composer.render();
-      } else {
-        this.renderer.render(this.scene, this.camera);
-      }
-      return;
+    if (scrub && document.activeElement !== scrub) scrub.value = this.tickCount;
+    if (toggle) toggle.textContent = this.isReplayPaused || finished ? 'PLAY' : 'PAUSE';
+    if (timeEl) {
+      const format = ticks => (ticks * player.replay.tickMs / 1000).toFixed(1);
+      timeEl.textContent = `${format(this.tickCount)}s / ${format(player.totalTicks)}s`;
     }
+  }
 
-    this.particles.update(deltaSeconds);
-    this.updatePhysicalFeedback(deltaSeconds);
-    if (this.bgMaterial) {
-      this.bgMaterial.uniforms.iTime.value = time / 1000;
-    }
+  toggleReplayPlayback() {
+    const player = this.replayPlayer;
+    if (!player) return;
 
-    for (let i = 0; i < this.animatedMaterials.length; i++) {
-      this.animatedMaterials[i].uniforms.time.value = time * 0.001;
+    // Relancer un replay terminé le reprend du début
+    if (this.state.isGameOver || this.tickCount >= player.totalTicks) {
+      this.seekReplay(0);
+      this.setReplayPaused(false);
+      return;
     }
+    this.setReplayPaused(!this.isReplayPaused);
+  }
 
-    if (!this.isPaused && !this.isGameOver) {
-      if (this.pendingLock) {
-        this.pendingLock = null;
-        this.mergePiece();
-        this.dropCounter = 0;
-      }
-
-      this.dropCounter += deltaTime;
-      if (this.hitStopTimer <= 0 && !this.pendingLock && this.dropCounter > this.dropInterval) {
-        if (!this.checkCollision(0, -1)) {
-          this.currentPiece.y--;
-        } else {
-          this.queuePieceLock({ dropDistance: 1, major: false });
-        }
-        this.dropCounter = 0;
-      }
+  setModeTag(mode) {
+    const tag = document.getElementById('mode-tag');
+    if (tag) tag.textContent = `MODE:${mode}`;
+  }
 
-      if (this.currentPiece) {
-        this.playerLight.position.set(
-          this.currentPieceVisualX + 0.5,
-          this.currentPiece.y + 0.5,
-          2.0
-        );
-        this.playerLight.intensity = 18;
-        this.playerLight.distance = 26;
-      }
+  getInputDevices() {
+    if (this.versus) return this.versusInputs.flat();
+    return [this.input, this.gamepad, this.touch].filter(Boolean);
+  }
 
-      this.updateGhostPosition();
-      this.updateGraphics();
-    }
+  setInputSuspended(suspended) {
+    this.getInputDevices().forEach(device => device.setSuspended(suspended));
+  }
 
-    if (this.composer) {
-      this.composer.render();
-    } else {
-      this.renderer.render(this.scene, this.camera);
-    }
+  // Recule la caméra tant que le contenu ne tient pas dans le champ (écrans portrait)
+  fitCameraToViewport() {
+    const { fov, distance, marginX, marginY } = CONFIG.camera;
+    const contentHalfWidth  = this.viewExtent.width / 2 + marginX;
+    const contentHalfHeight = this.viewExtent.height / 2 + marginY;
+    const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(fov / 2));
+    this.cameraBasePosition.z = Math.max(
+      distance,
+      contentHalfHeight / tanHalfFov,
+      contentHalfWidth / (tanHalfFov * this.camera.aspect)
+    );
+    this.camera.position.z = this.cameraBasePosition.z;
   }
 
-  handleInput(e) {
-    if (this.isGameOver) {
-      if (e.key === ' ') { e.preventDefault(); this.resetGame(); }
-      return;
-    }
+  // Recale caméra, fond, châssis, pile et HUD sur le plateau et le jeu de pièces du moteur ;
+  // sans effet si rien n'a changé depuis le dernier appel
+  layoutBoard() {
+    const { width, height, pieceSetName } = this.state;
+    const layout = this.boardLayout;
+    if (layout && layout.width === width && layout.height === height && layout.pieceSet === pieceSetName) return;
+    this.boardLayout = { width, height, pieceSet: pieceSetName };
 
-    if (e.key === 'p' || e.key === 'P') {
-      this.isPaused = !this.isPaused;
-      const pauseEl = document.getElementById('pause-msg');
-      if (pauseEl) pauseEl.style.display = this.isPaused ? 'flex' : 'none';
-      return;
-    }
+    this.frameCamera(width, height);
+    this.createBorder();
+    if (this.stackMesh.instanceMatrix.count < width * height) this.createStackMesh(width * height);
 
-    if (this.isPaused) return;
+    this.previewScale = getPreviewScale(pieceSetName);
 
-    switch (e.key) {
-      case 'ArrowLeft':
-        e.preventDefault();
-        if (!this.pendingLock && this.hitStopTimer <= 0 && !this.checkCollision(-1, 0)) this.currentPiece.x--;
-        break;
-      case 'ArrowRight':
-        e.preventDefault();
-        if (!this.pendingLock && this.hitStopTimer <= 0 && !this.checkCollision(1, 0)) this.currentPiece.x++;
-        break;
-      case 'ArrowDown':
-        e.preventDefault();
-        if (!this.pendingLock && this.hitStopTimer <= 0 && !this.checkCollision(0, -1)) {
-          this.currentPiece.y--;
-          this.score += CONFIG.gameplay.softDropScore;
-          this.updateHud();
-        }
-        break;
-      case 'ArrowUp':
-        e.preventDefault();
-        if (!this.pendingLock && this.hitStopTimer <= 0) this.rotatePiece();
-        break;
-      case ' ':
-        e.preventDefault();
-        let hardDropDistance = 0;
-        while (!this.checkCollision(0, -1)) {
-          this.currentPiece.y--;
-          hardDropDistance++;
-          this.score += CONFIG.gameplay.hardDropScore;
-        }
-        this.updateHud();
-        this.queuePieceLock({ dropDistance: hardDropDistance, major: true });
-        this.dropCounter = 0;
-        break;
+    const indicator = document.getElementById('grid-indicator');
+    if (indicator) {
+      const pieceSet = pieceSetName === CONFIG.gameplay.pieceSet ? '' : ` · ${getPieceSet(pieceSetName).label}`;
+      indicator.textContent = `GRID ${width}x${height}${pieceSet}`;
     }
   }
 
+  // Centre caméra et fond sur une zone de jeu de width × height cellules partant de l'origine
+  frameCamera(width, height) {
+    const centerX = width / 2 - 0.5;
+    const centerY = height / 2 - 0.5;
+    this.viewExtent = { width, height };
+    this.cameraLookAt.set(centerX, centerY, 0);
+    this.cameraBasePosition.set(centerX, centerY, CONFIG.camera.distance);
+    this.fitCameraToViewport();
+    this.camera.position.copy(this.cameraBasePosition);
+    this.camera.lookAt(this.cameraLookAt);
+    if (this.bgMesh) this.bgMesh.position.set(centerX, centerY, this.bgMesh.position.z);
+  }
+
   onResize() {
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
+    this.fitCameraToViewport();
+    this.renderer.setPixelRatio(this.getPixelRatio());
     this.renderer.setSize(window.innerWidth, window.innerHeight);
     if (this.composer) {
+      this.composer.setPixelRatio(this.getPixelRatio());
       this.composer.setSize(window.innerWidth, window.innerHeight);
-      this.composer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-      const edgePass = this.composer.passes.find((pass) => pass.uniforms && pass.uniforms.resolution);
-      if (edgePass) edgePass.uniforms.resolution.value.set(window.innerWidth, window.innerHeight);
+      this.edgePass.uniforms.resolution.value.set(window.innerWidth, window.innerHeight);
     }
     if (this.bgMaterial) {
       this.bgMaterial.uniforms.iResolution.value.set(window.innerWidth, window.innerHeight);
     }
   }
 
+  showClearFeed(labels) {
+    if (this.isSeeking) return;
+
+    const feedEl = document.getElementById('clear-feed');
+    if (!feedEl) return;
+
+    feedEl.replaceChildren(...labels.map(label => {
+      const item = document.createElement('span');
+      item.className   = 'clear-feed-item';
+      item.textContent = label;
+      return item;
+    }));
+
+    // Relance l'animation CSS même si le feed était déjà visible
+    feedEl.classList.remove('is-visible');
+    void feedEl.offsetWidth;
+    feedEl.classList.add('is-visible');
+
+    clearTimeout(this.clearFeedTimeout);
+    this.clearFeedTimeout = setTimeout(() => feedEl.classList.remove('is-visible'), CONFIG.effects.clearFeedDurationMs);
+  }
+
   updateHud({ flashScore = false } = {}) {
     const scoreEl = document.getElementById('val-score');
     const levelEl = document.getElementById('val-level');
     const linesEl = document.getElementById('val-lines');
 
     if (scoreEl) {
-      scoreEl.innerText = this.score;
-      if (flashScore) {
+      scoreEl.innerText = this.state.score;
+      if (flashScore && !this.isSeeking) {
         scoreEl.classList.add('value-update-flash');
         setTimeout(() => scoreEl.classList.remove('value-update-flash'), CONFIG.effects.hudScoreFlashDurationMs);
       }
     }
-    if (levelEl) levelEl.innerText = this.level;
-    if (linesEl) linesEl.innerText = this.linesCleared;
+    if (levelEl) levelEl.innerText = this.state.level;
+    if (linesEl) linesEl.innerText = this.state.linesCleared;
+
+    const remaining   = this.state.mode.getLinesRemaining(this.state);
+    const remainingEl = document.getElementById('stat-remaining');
+    if (remainingEl) remainingEl.hidden = remaining === null;
+    const remainingValueEl = document.getElementById('val-remaining');
+    if (remainingValueEl && remaining !== null) remainingValueEl.innerText = remaining;
+
+    this.updateTimer();
+  }
+
+  // Chrono du mode : temps écoulé, ou temps restant en Ultra
+  updateTimer() {
+    const timerEl = document.getElementById('val-timer');
+    if (timerEl) timerEl.innerText = formatDuration(this.state.mode.getTimer(this.state));
   }
 
   destroy() {
@@ -1104,7 +3111,31 @@ createBorder() {
     }
 
     window.removeEventListener('resize', this.boundResizeHandler);
-    window.removeEventListener('keydown', this.boundKeydownHandler);
+    window.removeEventListener('beforeunload', this.boundSaveHandler);
+    document.removeEventListener('visibilitychange', this.boundVisibilityHandler);
+    window.removeEventListener('pointerdown', this.boundUnlockAudio);
+    window.removeEventListener('keydown', this.boundUnlockAudio);
+    if (this.audio) {
+      this.audio.destroy();
+      this.audio = null;
+    }
+    if (this.input) {
+      this.input.detach();
+      this.input = null;
+    }
+    if (this.gamepad) {
+      this.gamepad.detach();
+      this.gamepad = null;
+    }
+    if (this.touch) {
+      this.touch.detach();
+      this.touch = null;
+    }
+    this.disposeVersus();
+    this.disposeOnline();
+
+    this.stateSubscriptions.forEach(unsubscribe => unsubscribe());
+    this.stateSubscriptions = [];
 
     if (this.particles) {
       this.particles.destroy();
@@ -1120,31 +3151,631 @@ createBorder() {
       this.tempBlockMaterial = null;
     }
 
+    if (this.stackMesh) {
+      this.stackMesh.dispose();
+      this.stackMaterial.dispose();
+      this.blockGeometry.dispose();
+      this.stackMesh = null;
+    }
+
     if (this.composer) {
       this.composer.dispose();
       this.composer = null;
     }
+
+    if (this.bgStaticMaterial) {
+      this.bgStaticMaterial.map.dispose();
+      this.bgStaticMaterial.dispose();
+      this.bgStaticMaterial = null;
+    }
+  }
+}
+
+// --- 8. ENTRY POINT ---
+// localStorage peut être désactivé (navigation privée, iframe sandbox)
+function getBrowserStorage() {
+  try {
+    const storage = window.localStorage;
+    storage.getItem('tetris.probe');
+    return storage;
+  } catch {
+    return null;
+  }
+}
+
+// Valeur de classement d'une entrée : chrono en Sprint, score ailleurs
+function formatHighScoreValue(mode, entry) {
+  return createGameMode(mode).rankBy === 'time' ? formatDuration(entry.duration) : String(entry.score);
+}
+
+function renderLeaderboard(table, mode) {
+  const body = document.getElementById('leaderboard-body');
+  if (!body) return;
+
+  const entries = table.getEntries(mode);
+  if (entries.length === 0) {
+    const row  = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan     = 7;
+    cell.className   = 'leaderboard-empty';
+    cell.textContent = 'NO RECORD YET';
+    row.appendChild(cell);
+    body.replaceChildren(row);
+    return;
   }
+
+  body.replaceChildren(...entries.map((entry, index) => {
+    const row = document.createElement('tr');
+    [
+      index + 1,
+      entry.name,
+      entry.score,
+      entry.lines,
+      entry.level,
+      formatDuration(entry.duration),
+      entry.date.slice(0, 10)
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    return row;
+  }));
+}
+
+// Liste des contrôles du menu, générée depuis les liaisons courantes
+function renderControlList(bindings) {
+  const list = document.getElementById('controls-list');
+  if (!list) return;
+
+  list.replaceChildren(...BINDABLE_ACTIONS.map(action => {
+    const item = document.createElement('li');
+    const keys = bindings[action].length > 0 ? bindings[action] : [null];
+    keys.forEach(key => {
+      const kbd = document.createElement('kbd');
+      kbd.textContent = key === null ? '—' : formatKey(key);
+      item.append(kbd, ' ');
+    });
+    item.append(ACTION_LABELS[action].toLowerCase());
+    return item;
+  }));
+}
+
+function bindSettingsPanel(game) {
+  const panel      = document.getElementById('settings');
+  const openButton = document.getElementById('settings-button');
+  const head       = document.getElementById('bindings-head');
+  const body       = document.getElementById('bindings-body');
+  const statusEl   = document.getElementById('settings-status');
+  const profileSelect = document.getElementById('bindings-profile');
+  if (!panel || !openButton || !body) return;
+
+  // Liaisons et mise à jour par colonne ; toutes partagent les règles de conflit. En versus,
+  // les deux joueurs se partagent le clavier : une touche ne sert qu'à l'un des deux (`rival`).
+  const profiles = {
+    solo: {
+      keyboard: {
+        label:   'KEY',
+        profile: BINDING_PROFILES.keyboard,
+        get:     () => game.keyBindings,
+        set:     (bindings) => game.setKeyBindings(bindings)
+      },
+      gamepad: {
+        label:   'PAD',
+        isPad:   true,
+        profile: BINDING_PROFILES.gamepad,
+        get:     () => game.gamepadBindings,
+        set:     (bindings) => game.setGamepadBindings(bindings)
+      }
+    },
+    versus: Object.fromEntries(VERSUS_BINDING_PROFILES.map((profile, player) => [`player${player + 1}`, {
+      label:   `P${player + 1} KEY`,
+      profile,
+      get:     () => game.versusKeyBindings[player],
+      set:     (bindings) => game.setVersusKeyBindings(player, bindings),
+      rival:   () => game.versusKeyBindings[1 - player]
+    }]))
+  };
+  let devices = profiles.solo;
+
+  let capture = null;   // { device, action, slot } en attente d'une touche ou d'un bouton
+  let padFrame = null;
+  let padBaseline = new Set();
+  const setStatus = (text) => { if (statusEl) statusEl.textContent = text; };
+
+  const stopPadCapture = () => {
+    if (padFrame !== null) cancelAnimationFrame(padFrame);
+    padFrame = null;
+  };
+
+  const render = () => {
+    if (head) {
+      const row = document.createElement('tr');
+      const columns = ['ACTION', ...Object.values(devices).flatMap(({ label }) =>
+        Array.from({ length: KEYS_PER_ACTION }, (_, slot) => `${label} ${slot + 1}`))];
+      row.replaceChildren(...columns.map(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        return cell;
+      }));
+      head.replaceChildren(row);
+    }
+
+    body.replaceChildren(...BINDABLE_ACTIONS.map(action => {
+      const row   = document.createElement('tr');
+      const label = document.createElement('td');
+      label.textContent = ACTION_LABELS[action];
+      row.appendChild(label);
+
+      Object.entries(devices).forEach(([device, { profile, get, isPad }]) => {
+        for (let slot = 0; slot < KEYS_PER_ACTION; slot++) {
+          const cell    = document.createElement('td');
+          const button  = document.createElement('button');
+          const control = get()[action][slot];
+          const isCapturing = capture && capture.device === device && capture.action === action && capture.slot === slot;
+
+          button.type        = 'button';
+          button.className   = 'deck-button key-slot';
+          button.textContent = isCapturing
+            ? (isPad ? 'PRESS BUTTON…' : 'PRESS KEY…')
+            : (control === undefined ? '—' : profile.format(control));
+          button.classList.toggle('is-capturing', Boolean(isCapturing));
+          button.addEventListener('click', () => startCapture({ device, action, slot }));
+          cell.appendChild(button);
+          row.appendChild(cell);
+        }
+      });
+      return row;
+    }));
+    renderControlList(game.keyBindings);
+  };
+
+  const applyCapture = (control) => {
+    const { device, action, slot } = capture;
+    const { profile, get, set, rival } = devices[device];
+    const result = bindKey(get(), action, control, slot, profile);
+    const rivalConflict = rival ? findBindingConflict(rival(), control, null, profile) : null;
+
+    if (result.conflict) {
+      setStatus(`${profile.format(control)} ALREADY BOUND TO ${ACTION_LABELS[result.conflict]}`);
+    } else if (rivalConflict && !result.reserved) {
+      setStatus(`${profile.format(control)} ALREADY BOUND TO THE OTHER PLAYER`);
+    } else if (result.reserved) {
+      setStatus(`${profile.format(control)} IS RESERVED`);
+    } else {
+      set(result.bindings);
+      setStatus('');
+    }
+    capture = null;
+    stopPadCapture();
+    render();
+  };
+
+  // Manette : premier contrôle actif qui ne l'était pas au début de la capture
+  const pollPadCapture = () => {
+    padFrame = requestAnimationFrame(pollPadCapture);
+    const pad = GamepadController.getActivePad();
+    if (!pad) return;
+
+    const controls = GamepadController.readActiveControls(pad, CONFIG.gamepad.deadzone);
+    const pressed  = controls.find(control => !padBaseline.has(control));
+    padBaseline = new Set(controls.filter(control => padBaseline.has(control)));
+    if (pressed) applyCapture(pressed);
+  };
+
+  const startCapture = (target) => {
+    stopPadCapture();
+    capture = target;
+    if (devices[target.device].isPad) {
+      const pad = GamepadController.getActivePad();
+      padBaseline = new Set(pad ? GamepadController.readActiveControls(pad, CONFIG.gamepad.deadzone) : []);
+      setStatus(pad ? 'ESC cancel · BACKSPACE clear' : 'NO GAMEPAD DETECTED — PRESS A BUTTON TO WAKE IT');
+      pollPadCapture();
+    } else {
+      setStatus('ESC cancel · BACKSPACE clear');
+    }
+    render();
+  };
+
+  // Phase de capture : la touche ne doit atteindre ni les boutons ni le jeu
+  const onCaptureKey = (e) => {
+    if (!capture) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+      setStatus('');
+    } else if (e.key === 'Backspace' || e.key === 'Delete') {
+      const { device, action, slot } = capture;
+      devices[device].set(unbindKey(devices[device].get(), action, slot));
+      setStatus('');
+    } else if (!devices[capture.device].isPad) {
+      applyCapture(e.key);
+      return;
+    } else {
+      return;
+    }
+    capture = null;
+    stopPadCapture();
+    render();
+  };
+
+  const close = () => {
+    capture = null;
+    stopPadCapture();
+    panel.style.display = 'none';
+    window.removeEventListener('keydown', onCaptureKey, true);
+    game.setInputSuspended(false);
+    openButton.focus();
+  };
+
+  profileSelect?.addEventListener('change', () => {
+    capture = null;
+    stopPadCapture();
+    devices = profiles[profileSelect.value] || profiles.solo;
+    setStatus('');
+    render();
+  });
+
+  const touchToggle = document.getElementById('touch-buttons-toggle');
+  touchToggle?.addEventListener('change', () => game.setTouchButtonsVisible(touchToggle.checked));
+
+  const qualitySelect = document.getElementById('graphics-quality');
+  qualitySelect?.addEventListener('change', () => game.setGraphicsQuality(qualitySelect.value));
+
+  const volumeInputs = Array.from(panel.querySelectorAll('[data-audio-channel]'));
+  const muteToggle   = document.getElementById('audio-muted');
+  const syncAudioControls = () => {
+    volumeInputs.forEach(input => { input.value = game.audioSettings[input.dataset.audioChannel]; });
+    if (muteToggle) muteToggle.checked = game.audioSettings.muted;
+  };
+  volumeInputs.forEach(input => {
+    input.addEventListener('input', () => {
+      game.setAudioSettings({ ...game.audioSettings, [input.dataset.audioChannel]: Number(input.value) });
+    });
+    // Aperçu du volume choisi
+    input.addEventListener('change', () => game.playSound('rotate'));
+  });
+  muteToggle?.addEventListener('change', () => game.setAudioSettings({ ...game.audioSettings, muted: muteToggle.checked }));
+
+  openButton.addEventListener('click', () => {
+    setStatus('');
+    render();
+    if (touchToggle) touchToggle.checked = game.touchButtonsVisible;
+    if (qualitySelect) qualitySelect.value = game.graphicsQuality;
+    syncAudioControls();
+    panel.style.display = 'flex';
+    window.addEventListener('keydown', onCaptureKey, true);
+    game.setInputSuspended(true);
+  });
+
+  document.getElementById('settings-reset')?.addEventListener('click', () => {
+    capture = null;
+    stopPadCapture();
+    game.setKeyBindings(DEFAULT_KEY_BINDINGS);
+    game.setGamepadBindings(DEFAULT_GAMEPAD_BINDINGS);
+    VERSUS_KEY_BINDINGS.forEach((bindings, player) => game.setVersusKeyBindings(player, bindings));
+    setStatus('DEFAULTS RESTORED');
+    render();
+  });
+  document.getElementById('settings-close')?.addEventListener('click', close);
+
+  renderControlList(game.keyBindings);
+}
+
+function bindLeaderboard(game) {
+  const panel      = document.getElementById('leaderboard');
+  const openButton = document.getElementById('leaderboard-button');
+  const modeSelect = document.getElementById('leaderboard-mode');
+  const importFile = document.getElementById('leaderboard-import');
+  const statusEl   = document.getElementById('leaderboard-status');
+  if (!panel || !openButton) return;
+
+  const table   = game.highScores;
+  const refresh = () => renderLeaderboard(table, modeSelect ? modeSelect.value : game.state.mode.name);
+  const setStatus = (text) => { if (statusEl) statusEl.textContent = text; };
+
+  openButton.addEventListener('click', () => {
+    const gameModeSelect = document.getElementById('mode-select');
+    if (modeSelect && gameModeSelect) modeSelect.value = gameModeSelect.value;
+    setStatus('');
+    refresh();
+    panel.style.display = 'flex';
+  });
+
+  document.getElementById('leaderboard-close')?.addEventListener('click', () => {
+    panel.style.display = 'none';
+    openButton.focus();
+  });
+  modeSelect?.addEventListener('change', refresh);
+
+  document.getElementById('leaderboard-export')?.addEventListener('click', () => {
+    const blob = new Blob([table.exportJSON()], { type: 'application/json' });
+    const url  = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href     = url;
+    link.download = 'tetris-highscores.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+
+  importFile?.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    if (!file) return;
+    try {
+      table.importJSON(await file.text());
+      setStatus('IMPORT OK');
+      refresh();
+    } catch (error) {
+      setStatus(error.message.toUpperCase());
+    }
+    importFile.value = '';
+  });
+
+  const form = document.getElementById('highscore-form');
+  form?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    game.submitHighScore(document.getElementById('highscore-name')?.value);
+  });
+}
+
+function bindReplayControls(game) {
+  const bind = (id, type, handler) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener(type, handler);
+  };
+
+  // Les boutons perdent le focus pour ne pas capter espace / flèches ensuite
+  bind('replay-download', 'click', (e) => { e.currentTarget.blur(); game.downloadReplay(); });
+  bind('replay-watch',    'click', (e) => {
+    e.currentTarget.blur();
+    if (game.lastReplay) game.startReplay(game.lastReplay);
+  });
+  bind('replay-toggle',   'click', (e) => { e.currentTarget.blur(); game.toggleReplayPlayback(); });
+  bind('replay-exit',     'click', (e) => { e.currentTarget.blur(); game.stopReplay(); });
+  bind('replay-speed',    'change', (e) => game.setReplaySpeed(e.target.value));
+  bind('replay-scrub',    'input',  (e) => game.seekReplay(Number(e.target.value)));
+  bind('replay-scrub',    'change', (e) => e.target.blur());
+}
+
+function bindVersusControls(game) {
+  const bind = (id, handler) => {
+    document.getElementById(id)?.addEventListener('click', (e) => {
+      e.currentTarget.blur();
+      handler();
+    });
+  };
+  bind('versus-rematch',    () => game.versus?.reset());
+  bind('versus-exit',       () => game.stopVersus());
+  bind('pause-versus-exit', () => game.stopVersus());
+}
+
+// Lobby en ligne du menu de démarrage : adresse du serveur, nom, création d'une salle ou saisie
+// de son code, puis READY. La salle prend les réglages du menu de son créateur (`readOptions`).
+function bindOnlineLobby(game, { readOptions, onMatchStarted }) {
+  const el = (id) => document.getElementById(id);
+  const serverInput = el('online-server');
+  const nameInput   = el('online-name');
+  const roomInput   = el('online-room');
+  const statusEl    = el('online-status');
+  const playerList  = el('online-players');
+  if (!serverInput || !statusEl) return;
+
+  // Servi par le serveur de référence, le jeu trouve les salles à la même adresse
+  const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+  serverInput.value = `${protocol}://${window.location.host || 'localhost:8080'}${WEBSOCKET_PATH}`;
+  let notice = null;
+
+  const render = () => {
+    const client = game.netClient;
+    const room   = client?.room;
+    const ready  = el('online-ready');
+    el('online-create').hidden = Boolean(room);
+    el('online-join').hidden   = Boolean(room);
+    el('online-leave').hidden  = !client;
+    ready.hidden      = !room;
+    ready.textContent = client?.getLocalPlayer()?.ready ? 'NOT READY' : 'READY';
+    [serverInput, nameInput, roomInput].forEach(input => { input.disabled = Boolean(room); });
+
+    statusEl.textContent = notice
+      ?? (room ? `ROOM ${room.code} · ${room.players.length}/${MAX_ROOM_PLAYERS} PLAYERS`
+        : client?.isConnected ? 'CONNECTED'
+        : client ? 'CONNECTING…'
+        : 'OFFLINE');
+    playerList.replaceChildren(...(room?.players ?? []).map(player => {
+      const item = document.createElement('li');
+      const host = player.id === room.host ? ' · HOST' : '';
+      item.textContent = `${player.name}${host} · ${player.ready ? 'READY' : 'WAITING'}`;
+      return item;
+    }));
+  };
+
+  const setNotice = (text) => {
+    notice = text;
+    render();
+  };
+
+  const connect = () => {
+    if (game.netClient) return game.netClient;
+    let client;
+    try {
+      client = game.connectOnline(serverInput.value.trim());
+    } catch {
+      setNotice('INVALID SERVER ADDRESS');
+      return null;
+    }
+
+    const subscriptions = [
+      client.on('connected',    () => setNotice(null)),
+      client.on('roomChanged',  () => setNotice(null)),
+      client.on('serverError',  ({ message }) => setNotice(String(message).toUpperCase())),
+      client.on('disconnected', () => {
+        subscriptions.forEach(unsubscribe => unsubscribe());
+        setNotice('DISCONNECTED');
+      }),
+      game.online.on('matchStarted', onMatchStarted)
+    ];
+    setNotice(null);
+    return client;
+  };
+
+  const bind = (id, handler) => {
+    el(id)?.addEventListener('click', (e) => {
+      e.currentTarget.blur();
+      handler();
+    });
+  };
+  bind('online-create', () => connect()?.createRoom(nameInput.value, readOptions()));
+  bind('online-join', () => {
+    const code = normalizeRoomCode(roomInput.value);
+    if (code) connect()?.joinRoom(code, nameInput.value);
+    else setNotice('ENTER A ROOM CODE');
+  });
+  bind('online-ready', () => {
+    const client = game.netClient;
+    client?.setReady(!client.getLocalPlayer()?.ready);
+  });
+  bind('online-leave', () => {
+    game.stopOnline();
+    setNotice(null);
+  });
+  render();
+}
+
+function bindOnlineControls(game) {
+  const bind = (id, handler) => {
+    document.getElementById(id)?.addEventListener('click', (e) => {
+      e.currentTarget.blur();
+      handler();
+    });
+  };
+  bind('online-rematch', () => game.netClient?.setReady(true));
+  bind('online-exit',    () => game.stopOnline());
 }
 
-// --- 5. ENTRY POINT ---
 function initGame() {
-  const game       = new TetrisGame();
+  // ?seed=... rejoue une séquence de pièces déterminée
+  const params     = new URLSearchParams(window.location.search);
+  const seedParam  = params.get('seed');
+  const seed       = seedParam === null ? SeededRandom.createSeed() : seedParam;
+  const game       = new TetrisGame({ seed, storage: getBrowserStorage() });
   const startModal = document.getElementById('start-modal');
   const playButton = document.getElementById('play-button');
+  const generatorSelect = document.getElementById('generator-select');
+  const previewSelect   = document.getElementById('preview-select');
+  const modeSelect      = document.getElementById('mode-select');
+  const boardSelect     = document.getElementById('board-select');
+  const pieceSetSelect  = document.getElementById('piece-set-select');
+  const replayFile      = document.getElementById('replay-file');
+  const resumeButton    = document.getElementById('resume-button');
+  const versusButton    = document.getElementById('versus-button');
+
+  bindReplayControls(game);
+  bindVersusControls(game);
+  bindOnlineControls(game);
+  bindLeaderboard(game);
+  bindSettingsPanel(game);
+
+  const dismissStartModal = () => {
+    startModal.style.opacity    = '0';
+    startModal.style.transition = 'opacity 0.5s ease';
+    setTimeout(() => {
+      startModal.style.display = 'none';
+      game.start();
+    }, 500);
+  };
+
+  // Un jeu de pièces qui ne tient pas sur le plateau choisi n'est pas proposé (et inversement)
+  const syncBoardOptions = () => {
+    if (!boardSelect || !pieceSetSelect) return;
+    const board = BOARD_PRESETS[boardSelect.value];
+    for (const option of pieceSetSelect.options) {
+      option.disabled = !fitsBoard(option.value, board.width, board.height);
+    }
+    for (const option of boardSelect.options) {
+      const { width, height } = BOARD_PRESETS[option.value];
+      option.disabled = !fitsBoard(pieceSetSelect.value, width, height);
+    }
+  };
+  // Réglages de partie du menu, communs au versus local et aux salles en ligne
+  const readMatchOptions = () => {
+    const state = game.state;
+    const board = boardSelect ? BOARD_PRESETS[boardSelect.value] : state;
+    return {
+      generator:    generatorSelect ? generatorSelect.value : state.generatorName,
+      width:        board.width,
+      height:       board.height,
+      pieceSet:     pieceSetSelect ? pieceSetSelect.value : state.pieceSetName,
+      previewCount: previewSelect ? Number(previewSelect.value) : state.previewCount
+    };
+  };
+
+  // Le premier départ d'une salle ferme le menu ; les revanches se jouent sans lui
+  bindOnlineLobby(game, {
+    readOptions:    readMatchOptions,
+    onMatchStarted: () => {
+      if (startModal && startModal.style.display !== 'none') dismissStartModal();
+    }
+  });
+
+  boardSelect?.addEventListener('change', syncBoardOptions);
+  pieceSetSelect?.addEventListener('change', syncBoardOptions);
+  syncBoardOptions();
 
   if (playButton && startModal) {
     playButton.addEventListener('click', () => {
-      startModal.style.opacity    = '0';
-      startModal.style.transition = 'opacity 0.5s ease';
-      setTimeout(() => {
-        startModal.style.display = 'none';
-        game.animate(0);
-      }, 500);
+      game.stopOnline();
+      const state     = game.state;
+      const generator = generatorSelect ? generatorSelect.value : state.generatorName;
+      const mode      = modeSelect ? modeSelect.value : state.mode.name;
+      const board     = boardSelect ? BOARD_PRESETS[boardSelect.value] : state;
+      const pieceSet  = pieceSetSelect ? pieceSetSelect.value : state.pieceSetName;
+      const { width, height } = board;
+      if (generator !== state.generatorName || mode !== state.mode.name || width !== state.width
+        || height !== state.height || pieceSet !== state.pieceSetName) {
+        game.resetGame({ generator, mode, seed, width, height, pieceSet });
+      }
+      if (previewSelect) game.state.setPreviewCount(previewSelect.value);
+      game.clearSavedGame();
+      dismissStartModal();
+    });
+
+    // Versus local : mêmes réglages de partie pour les deux joueurs, nouvelle graine à chaque match
+    versusButton?.addEventListener('click', () => {
+      game.stopOnline();
+      game.startVersus(readMatchOptions());
+      dismissStartModal();
     });
+
+    const saved = game.loadSavedGame();
+    if (resumeButton && saved) {
+      const { mode, score } = saved.state;
+      resumeButton.textContent = `RESUME · ${mode.toUpperCase()} · ${score}`;
+      resumeButton.hidden = false;
+      resumeButton.addEventListener('click', () => {
+        game.stopOnline();
+        if (game.resumeSavedGame()) dismissStartModal();
+        resumeButton.hidden = true;
+      });
+    }
+
+    if (replayFile) {
+      replayFile.addEventListener('change', async () => {
+        const file = replayFile.files[0];
+        if (!file) return;
+        try {
+          game.stopOnline();
+          game.startReplay(parseReplay(await file.text()));
+          dismissStartModal();
+        } catch (error) {
+          console.warn(error.message);
+          replayFile.value = '';
+        }
+      });
+    }
   } else {
     console.warn("Modal or Play button not found, starting game directly.");
-    game.animate(0);
+    game.start();
   }
 }
 
@@ -0,0 +1,75 @@
+// Serveur de référence du multijoueur en ligne, sans dépendance : sert le jeu (fichiers du dépôt)
+// et les salles en WebSocket sur WEBSOCKET_PATH.
+//   node server/index.js        (port 8080, ou PORT=...)
+import http from 'node:http';
+import path from 'node:path';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { WEBSOCKET_PATH, encodeMessage, decodeMessage } from '../src/core/online.js';
+import { acceptWebSocket } from './websocket.js';
+import { Lobby } from './rooms.js';
+
+export const DEFAULT_PORT = 8080;
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js':   'text/javascript; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg':  'image/svg+xml',
+  '.png':  'image/png',
+  '.ico':  'image/x-icon'
+};
+
+// Fichiers statiques de `root` ; tout chemin qui en sort, ou caché (.git…), est introuvable
+async function serveStatic(root, request, response) {
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    response.writeHead(405, { Allow: 'GET, HEAD' }).end();
+    return;
+  }
+
+  try {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const relative = decodeURIComponent(pathname).replace(/\/$/, '/index.html');
+    const file = path.join(root, relative);
+    if (!file.startsWith(path.join(root, path.sep)) || relative.split('/').some(part => part.startsWith('.'))) {
+      throw new Error('Forbidden path');
+    }
+    const body = await readFile(file);
+    response.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] ?? 'application/octet-stream' });
+    response.end(request.method === 'HEAD' ? undefined : body);
+  } catch {
+    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+  }
+}
+
+export function createGameServer({ root = ROOT, lobby = new Lobby() } = {}) {
+  const server = http.createServer((request, response) => {
+    serveStatic(root, request, response);
+  });
+
+  server.on('upgrade', (request, socket, head) => {
+    if (new URL(request.url, 'http://localhost').pathname !== WEBSOCKET_PATH) {
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    const connection = acceptWebSocket(request, socket, head);
+    if (!connection) return;
+
+    const player = lobby.connect((type, payload) => connection.send(encodeMessage(type, payload)));
+    connection.on('message', ({ data }) => lobby.handle(player, decodeMessage(data)));
+    connection.on('close',   () => lobby.disconnect(player));
+  });
+
+  return server;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  createGameServer().listen(port, () => {
+    console.log(`Tetris server: http://localhost:${port} (WebSocket ${WEBSOCKET_PATH})`);
+  });
+}
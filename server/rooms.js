@@ -0,0 +1,255 @@
+// Salles du serveur de référence. Aucune règle de jeu ici : le lobby sait qui joue avec qui,
+// lance la partie quand tout le monde est prêt, route les attaques et établit le classement.
+// Un joueur est créé par connect(send), où send(type, payload) est fourni par le transport.
+import { SeededRandom } from '../src/core/random.js';
+import { validateSnapshot } from '../src/core/GameState.js';
+import {
+  PROTOCOL_VERSION,
+  MAX_ROOM_PLAYERS,
+  MAX_ATTACK_LINES,
+  ONLINE_MODE,
+  createRoomCode,
+  normalizeRoomCode,
+  normalizePlayerName,
+  sanitizeMatchOptions
+} from '../src/core/online.js';
+
+export const MIN_ROOM_PLAYERS = 2;
+
+// Fins de partie qu'un client peut annoncer ; 'disconnected' est réservé au serveur
+const GAME_OVER_REASONS = ['topOut', 'blockOut', 'lockOut'];
+
+// Statistiques lues dans les photographies et l'annonce de fin de chaque joueur
+function readStats(data, stats) {
+  const number = (value, fallback) => (Number.isFinite(value) && value >= 0 ? value : fallback);
+  return {
+    score:        number(data?.score, stats.score),
+    linesCleared: number(data?.linesCleared, stats.linesCleared),
+    level:        number(data?.level, stats.level)
+  };
+}
+
+function readGameOverReason(reason) {
+  return GAME_OVER_REASONS.includes(reason) ? reason : 'topOut';
+}
+
+// Photographie relayable : plateau, jeu de pièces, générateur et mode de la salle, et tout ce que
+// GameState.restore() lit chez les destinataires (grille, pièces, score, déchets, statistiques)
+function isValidSnapshot(board, { width, height, pieceSet, generator }) {
+  if (!board || typeof board !== 'object' || board.width !== width || board.height !== height
+    || board.pieceSet !== pieceSet || board.generator !== generator || board.mode !== ONLINE_MODE) return false;
+  try {
+    validateSnapshot(board);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export class Room {
+  constructor({ code, host, options }) {
+    this.code     = code;
+    this.host     = host;
+    this.options  = sanitizeMatchOptions(options);
+    this.players  = [];
+    this.phase    = 'lobby';
+    this.seed     = null;
+    this.outOrder = [];
+  }
+
+  get isFull() {
+    return this.players.length >= MAX_ROOM_PLAYERS;
+  }
+
+  broadcast(type, payload, except = null) {
+    this.players.forEach(player => {
+      if (player !== except) player.send(type, payload);
+    });
+  }
+
+  describe() {
+    return {
+      code:    this.code,
+      host:    this.host.id,
+      phase:   this.phase,
+      options: this.options,
+      players: this.players.map(({ id, name, ready, alive, wins }) => ({ id, name, ready, alive, wins }))
+    };
+  }
+
+  broadcastState() {
+    this.broadcast('room', { room: this.describe() });
+  }
+
+  add(player) {
+    Object.assign(player, { room: this, ready: false, alive: false });
+    this.players.push(player);
+  }
+
+  remove(player) {
+    if (this.phase === 'playing') this.eliminate(player, 'disconnected');
+    this.players = this.players.filter(other => other !== player);
+    player.room = null;
+    if (this.host === player && this.players.length > 0) this.host = this.players[0];
+  }
+
+  setReady(player, ready) {
+    if (this.phase !== 'lobby') return;
+    player.ready = Boolean(ready);
+    if (this.players.length >= MIN_ROOM_PLAYERS && this.players.every(other => other.ready)) {
+      this.start(SeededRandom.createSeed());
+    }
+  }
+
+  // Même graine pour tous : mêmes pièces et mêmes trous de déchets
+  start(seed) {
+    this.phase    = 'playing';
+    this.seed     = seed;
+    this.outOrder = [];
+    this.players.forEach(player => Object.assign(player, {
+      ready:      false,
+      alive:      true,
+      reason:     null,
+      attackSent: 0,
+      stats:      { score: 0, linesCleared: 0, level: 1 }
+    }));
+    this.broadcast('start', {
+      seed,
+      options: this.options,
+      players: this.players.map(({ id, name }) => ({ id, name }))
+    });
+  }
+
+  // Un joueur éliminé garde son dernier plateau : ses photographies suivantes sont ignorées
+  relaySnapshot(player, board) {
+    if (this.phase !== 'playing' || !player.alive || !isValidSnapshot(board, this.options)) return;
+    player.stats = readStats(board, player.stats);
+    this.broadcast('snapshot', { from: player.id, board }, player);
+  }
+
+  // Cible : le joueur suivant encore en vie, comme en versus local
+  getTarget(player) {
+    const index = this.players.indexOf(player);
+    for (let offset = 1; offset < this.players.length; offset++) {
+      const candidate = this.players[(index + offset) % this.players.length];
+      if (candidate.alive) return candidate;
+    }
+    return null;
+  }
+
+  routeAttack(player, lines) {
+    if (this.phase !== 'playing' || !player.alive || !Number.isInteger(lines) || lines <= 0) return;
+    const target = this.getTarget(player);
+    if (!target) return;
+
+    const sent = Math.min(lines, MAX_ATTACK_LINES);
+    player.attackSent += sent;
+    target.send('attack', { from: player.id, lines: sent });
+  }
+
+  eliminate(player, reason, result) {
+    if (this.phase !== 'playing' || !player.alive) return;
+    player.alive  = false;
+    player.reason = reason;
+    player.stats  = readStats(result, player.stats);
+    this.outOrder.push(player);
+    this.broadcast('playerOut', { player: player.id, reason: player.reason });
+
+    const alive = this.players.filter(other => other.alive);
+    if (alive.length <= 1) this.finish(alive[0] ?? null);
+  }
+
+  // Classement : le survivant, puis les éliminés du dernier au premier
+  finish(winner) {
+    if (winner) winner.wins++;
+    const standings = [...(winner ? [winner] : []), ...[...this.outOrder].reverse()]
+      .map(({ id, name, stats, attackSent, reason }) => ({ player: id, name, ...stats, attackSent, reason }));
+
+    this.phase = 'lobby';
+    this.players.forEach(player => { player.alive = false; });
+    this.broadcast('results', { winner: winner ? winner.id : null, standings });
+  }
+}
+
+export class Lobby {
+  constructor({ random = Math.random } = {}) {
+    this.random = random;
+    this.rooms  = new Map();
+    this.nextId = 1;
+  }
+
+  connect(send) {
+    const player = { id: `p${this.nextId++}`, name: normalizePlayerName(), send, room: null, wins: 0 };
+    send('welcome', { id: player.id, version: PROTOCOL_VERSION });
+    return player;
+  }
+
+  disconnect(player) {
+    this.leave(player, { notify: false });
+  }
+
+  handle(player, message) {
+    const room = player.room;
+    switch (message?.type) {
+      case 'join':     return this.join(player, message);
+      case 'leave':    return this.leave(player);
+      case 'ready':    return room && this.update(room, () => room.setReady(player, message.ready));
+      case 'snapshot': return room?.relaySnapshot(player, message.board);
+      case 'attack':   return room?.routeAttack(player, message.lines);
+      case 'gameOver': return room && this.update(room, () => room.eliminate(player, readGameOverReason(message.reason), message));
+      default:         return player.send('error', { message: 'Unknown message' });
+    }
+  }
+
+  // Toute modification de la salle est suivie de son nouvel état
+  update(room, change) {
+    change();
+    if (room.players.length > 0) room.broadcastState();
+  }
+
+  createRoomCode() {
+    let code;
+    do {
+      code = createRoomCode(this.random);
+    } while (this.rooms.has(code));
+    return code;
+  }
+
+  join(player, { version, room: requestedCode, name, options }) {
+    if (version !== PROTOCOL_VERSION) {
+      player.send('error', { message: `Protocol version ${PROTOCOL_VERSION} required` });
+      return;
+    }
+
+    let room;
+    if (requestedCode === undefined || requestedCode === null || requestedCode === '') {
+      room = new Room({ code: this.createRoomCode(), host: player, options });
+      this.rooms.set(room.code, room);
+    } else {
+      room = this.rooms.get(normalizeRoomCode(requestedCode));
+      const error = !room ? 'Room not found'
+        : room === player.room ? 'Already in this room'
+        : room.isFull ? 'Room is full'
+        : room.phase !== 'lobby' ? 'Match in progress'
+        : null;
+      if (error) {
+        player.send('error', { message: error });
+        return;
+      }
+    }
+
+    if (player.room) this.leave(player);
+    player.name = normalizePlayerName(name);
+    player.wins = 0;
+    this.update(room, () => room.add(player));
+  }
+
+  leave(player, { notify = true } = {}) {
+    const room = player.room;
+    if (!room) return;
+
+    this.update(room, () => room.remove(player));
+    if (room.players.length === 0) this.rooms.delete(room.code);
+    if (notify) player.send('room', { room: null });
+  }
+}
@@ -0,0 +1,289 @@
+// WebSocket (RFC 6455) réduit au nécessaire du serveur de référence, sans dépendance :
+// poignée de main HTTP Upgrade, messages texte (fragmentés ou non), ping / pong et fermeture.
+// Les connexions imitent l'API du WebSocket navigateur ; NodeWebSocket en est le client Node
+// (tests, bots), limité au schéma ws://.
+import { createHash, randomBytes } from 'node:crypto';
+import http from 'node:http';
+import { EventEmitter } from '../src/core/EventEmitter.js';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+export const MAX_MESSAGE_BYTES = 1 << 20;
+
+export const OPCODES = {
+  continuation: 0x0,
+  text:         0x1,
+  binary:       0x2,
+  close:        0x8,
+  ping:         0x9,
+  pong:         0xA
+};
+
+// Codes de fermeture utilisés
+export const CLOSE_CODES = {
+  normal:      1000,
+  protocol:    1002,
+  unsupported: 1003,
+  abnormal:    1006,
+  tooLarge:    1009
+};
+
+// Codes qu'un pair peut envoyer dans sa trame de fermeture (1004-1006 et 1015 sont réservés)
+function isValidCloseCode(code) {
+  return (code >= 1000 && code <= 1003) || (code >= 1007 && code <= 1011) || (code >= 3000 && code <= 4999);
+}
+
+export function createAcceptKey(key) {
+  return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+// Trame complète (FIN) ; les trames d'un client sont masquées, celles du serveur non
+export function encodeFrame(opcode, payload = '', { mask = false } = {}) {
+  const data   = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  const length = data.length;
+  const sizeBytes = length < 126 ? 0 : length < 0x10000 ? 2 : 8;
+  const frame  = Buffer.alloc(2 + sizeBytes + (mask ? 4 : 0) + length);
+
+  frame[0] = 0x80 | opcode;
+  if (sizeBytes === 0) {
+    frame[1] = length;
+  } else if (sizeBytes === 2) {
+    frame[1] = 126;
+    frame.writeUInt16BE(length, 2);
+  } else {
+    frame[1] = 127;
+    frame.writeBigUInt64BE(BigInt(length), 2);
+  }
+
+  let offset = 2 + sizeBytes;
+  if (!mask) {
+    data.copy(frame, offset);
+    return frame;
+  }
+
+  const key = randomBytes(4);
+  frame[1] |= 0x80;
+  key.copy(frame, offset);
+  offset += 4;
+  for (let i = 0; i < length; i++) frame[offset + i] = data[i] ^ key[i & 3];
+  return frame;
+}
+
+// Découpe le flux reçu en trames : next() renvoie null tant que la suivante est incomplète
+export class FrameReader {
+  constructor({ maxBytes = MAX_MESSAGE_BYTES } = {}) {
+    this.buffer   = Buffer.alloc(0);
+    this.maxBytes = maxBytes;
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+  }
+
+  next() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) return null;
+
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      const size = buffer.readBigUInt64BE(2);
+      length = size > BigInt(this.maxBytes) ? Infinity : Number(size);
+      offset = 10;
+    }
+    if (length > this.maxBytes) throw new RangeError(`Frame larger than ${this.maxBytes} bytes`);
+
+    const keyOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < length; i++) payload[i] ^= buffer[keyOffset + (i & 3)];
+    }
+    this.buffer = buffer.subarray(offset + length);
+
+    return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0F, masked, payload };
+  }
+}
+
+// Connexion établie, côté serveur (isClient = false) ou client : readyState, send(text),
+// close(code), événements open / message ({ data }) / close ({ code })
+export class WebSocketConnection extends EventEmitter {
+  static CONNECTING = 0;
+  static OPEN       = 1;
+  static CLOSING    = 2;
+  static CLOSED     = 3;
+
+  constructor({ isClient = false } = {}) {
+    super();
+    this.isClient      = isClient;
+    this.readyState    = WebSocketConnection.CONNECTING;
+    this.socket        = null;
+    this.reader        = new FrameReader();
+    this.fragments     = null;
+    this.fragmentBytes = 0;
+    this.closeCode     = CLOSE_CODES.abnormal;
+  }
+
+  addEventListener(type, listener) {
+    return this.on(type, listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.off(type, listener);
+  }
+
+  attach(socket, head) {
+    this.socket     = socket;
+    this.readyState = WebSocketConnection.OPEN;
+    socket.setNoDelay(true);
+    socket.on('data',  (chunk) => this.receive(chunk));
+    socket.on('close', () => this.handleClose());
+    // Une erreur réseau est toujours suivie de 'close'
+    socket.on('error', () => {});
+    this.emit('open', {});
+    if (head && head.length > 0) this.receive(head);
+  }
+
+  send(text) {
+    if (this.readyState !== WebSocketConnection.OPEN) return;
+    this.socket.write(encodeFrame(OPCODES.text, String(text), { mask: this.isClient }));
+  }
+
+  close(code = CLOSE_CODES.normal) {
+    if (this.readyState !== WebSocketConnection.OPEN) return;
+    this.readyState = WebSocketConnection.CLOSING;
+    this.closeCode  = code;
+
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    this.socket.end(encodeFrame(OPCODES.close, payload, { mask: this.isClient }));
+  }
+
+  receive(chunk) {
+    this.reader.push(chunk);
+    try {
+      for (let frame = this.reader.next(); frame; frame = this.reader.next()) {
+        this.handleFrame(frame);
+      }
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error;
+      this.close(CLOSE_CODES.tooLarge);
+    }
+  }
+
+  handleFrame({ fin, opcode, masked, payload }) {
+    // Un client masque toujours ses trames, un serveur jamais
+    if (masked === this.isClient) {
+      this.close(CLOSE_CODES.protocol);
+      return;
+    }
+
+    if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+      if ((opcode === OPCODES.text) === (this.fragments !== null)) {
+        this.close(CLOSE_CODES.protocol);
+        return;
+      }
+      // Un message fragmenté est borné comme une trame seule
+      if (opcode === OPCODES.text) {
+        this.fragments     = [];
+        this.fragmentBytes = 0;
+      }
+      this.fragmentBytes += payload.length;
+      if (this.fragmentBytes > this.reader.maxBytes) {
+        this.fragments = null;
+        this.close(CLOSE_CODES.tooLarge);
+        return;
+      }
+      this.fragments.push(payload);
+      if (!fin) return;
+      const data = Buffer.concat(this.fragments).toString('utf8');
+      this.fragments = null;
+      if (this.readyState === WebSocketConnection.OPEN) this.emit('message', { data });
+    } else if (opcode === OPCODES.ping) {
+      if (this.readyState === WebSocketConnection.OPEN) {
+        this.socket.write(encodeFrame(OPCODES.pong, payload, { mask: this.isClient }));
+      }
+    } else if (opcode === OPCODES.close) {
+      // Sans code : fermeture normale ; code tronqué, invalide ou réservé : erreur de protocole
+      const code = payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODES.normal;
+      this.close(payload.length === 1 || !isValidCloseCode(code) ? CLOSE_CODES.protocol : code);
+    } else if (opcode !== OPCODES.pong) {
+      this.close(CLOSE_CODES.unsupported);
+    }
+  }
+
+  handleClose() {
+    if (this.readyState === WebSocketConnection.CLOSED) return;
+    if (this.readyState === WebSocketConnection.OPEN) this.closeCode = CLOSE_CODES.abnormal;
+    this.readyState = WebSocketConnection.CLOSED;
+    this.emit('close', { code: this.closeCode });
+  }
+}
+
+// Répond à une requête Upgrade (événement 'upgrade' de http.Server) ; null si elle n'est pas
+// une poignée de main WebSocket valide
+export function acceptWebSocket(request, socket, head) {
+  const key = request.headers['sec-websocket-key'];
+  if (String(request.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+  if (request.headers['sec-websocket-version'] !== '13') {
+    socket.end('HTTP/1.1 426 Upgrade Required\r\nSec-WebSocket-Version: 13\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${createAcceptKey(key)}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  const connection = new WebSocketConnection();
+  connection.attach(socket, head);
+  return connection;
+}
+
+export class NodeWebSocket extends WebSocketConnection {
+  constructor(url) {
+    super({ isClient: true });
+    const { hostname, port, pathname, search } = new URL(url);
+    const key = randomBytes(16).toString('base64');
+
+    const request = http.request({
+      hostname,
+      port,
+      path:    pathname + search,
+      headers: {
+        'Connection':            'Upgrade',
+        'Upgrade':               'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key':     key
+      }
+    });
+    request.on('upgrade', (response, socket, head) => {
+      if (response.headers['sec-websocket-accept'] !== createAcceptKey(key)) {
+        socket.destroy();
+        this.handleClose();
+        return;
+      }
+      this.attach(socket, head);
+    });
+    request.on('response', (response) => {
+      response.resume();
+      this.handleClose();
+    });
+    request.on('error', () => this.handleClose());
+    request.end();
+  }
+}
@@ -0,0 +1,22 @@
+// Émetteur minimal (on/off/emit) utilisable aussi bien dans le navigateur que sous Node.
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    const set = this.listeners.get(type);
+    if (set) set.delete(listener);
+  }
+
+  emit(type, detail) {
+    const set = this.listeners.get(type);
+    if (set) set.forEach(listener => listener(detail));
+  }
+}
@@ -0,0 +1,860 @@
+// Moteur de règles headless : grille, pièces, gravité, lock delay, hold, score, niveaux et mode de jeu.
+// Aucun accès au DOM ni à Three.js — la vue s'abonne aux événements émis :
+//   reset, pieceSpawned, pieceMoved, holdChanged, queueChanged, lockQueued, pieceLocked,
+//   scoring, linesCleared, levelUp, scoreChanged, rowsInserted, garbageChanged, attack, pauseChanged,
+//   gameOver, restored
+// La grille compte `height` rangées visibles surmontées de `bufferHeight` rangées cachées
+// (vanish zone) : les pièces apparaissent dans cette zone et peuvent y tourner.
+import { GRID_WIDTH, GRID_HEIGHT, GAMEPLAY_CONFIG } from './config.js';
+import { T_SPIN_FRONT_CORNERS, getKickOffsets, rotateCoords } from './shapes.js';
+import { PIECE_SETS, getPieceSet, fitsBoard } from './pieceSets.js';
+import { SeededRandom, createPieceGenerator } from './random.js';
+import { EventEmitter } from './EventEmitter.js';
+import { ScoringEngine } from './ScoringEngine.js';
+import { createGameMode } from './modes.js';
+import { GarbageQueue, createGarbageRows, isGarbageCell } from './garbage.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+export function getLevelForLines(linesCleared, gameplay = GAMEPLAY_CONFIG) {
+  return Math.floor(linesCleared / gameplay.levelLinesStep) + 1;
+}
+
+export function getDropInterval(level, gameplay = GAMEPLAY_CONFIG) {
+  return Math.max(
+    gameplay.minDropInterval,
+    gameplay.baseDropInterval - (level - 1) * gameplay.levelDropStep
+  );
+}
+
+const isObject  = value => Boolean(value) && typeof value === 'object';
+const isCell    = cell => Number.isInteger(cell) && cell >= 0;
+const isInteger = value => Number.isInteger(value);
+
+// Vérifie tout ce que restore() lit d'une photographie, sans rien modifier : une photographie
+// refusée (sauvegarde corrompue, plateau adverse illisible) lève avant que l'état ne change.
+// Renvoie le jeu de pièces (absent des sauvegardes antérieures : jeu standard)
+export function validateSnapshot(snapshot, { bufferHeight = GAMEPLAY_CONFIG.bufferHeight } = {}) {
+  if (!isObject(snapshot) || snapshot.version !== SNAPSHOT_VERSION) throw new Error('Invalid saved game: unknown version');
+
+  const { width, height } = snapshot;
+  const pieceSet = snapshot.pieceSet ?? GAMEPLAY_CONFIG.pieceSet;
+  if (!Object.hasOwn(PIECE_SETS, pieceSet) || !fitsBoard(pieceSet, width, height)) {
+    throw new Error(`Invalid saved game: board is ${width}x${height} (${pieceSet})`);
+  }
+
+  // Sauvegardes antérieures à la zone cachée : colonnes de `height` cases seulement
+  const { grid } = snapshot;
+  const isColumn = column => Array.isArray(column) && column.length >= height
+    && column.length <= height + bufferHeight && column.every(isCell);
+  if (!Array.isArray(grid) || grid.length !== width || !grid.every(isColumn)) {
+    throw new Error('Invalid saved game: malformed grid');
+  }
+
+  const isType  = type => Object.hasOwn(PIECE_SETS[pieceSet].shapes, type);
+  const current = snapshot.currentPiece;
+  if (!isObject(current) || !isType(current.type) || !Array.isArray(snapshot.nextQueue) || !snapshot.nextQueue.every(isType)) {
+    throw new Error('Invalid saved game: unknown piece');
+  }
+  const isCoord = coord => Array.isArray(coord) && coord.length === 2 && coord.every(isInteger);
+  if (!Array.isArray(current.coords) || !current.coords.every(isCoord)
+    || ![current.x, current.y, current.rotation].every(isInteger)) {
+    throw new Error('Invalid saved game: malformed piece');
+  }
+
+  const { scoring, garbage } = snapshot;
+  if (scoring !== undefined && (!isObject(scoring) || (scoring.combo !== undefined && !isInteger(scoring.combo)))) {
+    throw new Error('Invalid saved game: malformed scoring');
+  }
+  if (garbage !== undefined && (!isObject(garbage) || (garbage.entries !== undefined && !Array.isArray(garbage.entries)))) {
+    throw new Error('Invalid saved game: malformed garbage');
+  }
+  if (!isObject(snapshot.rng) || !isObject(snapshot.pieceGenerator)) {
+    throw new Error('Invalid saved game: malformed generator');
+  }
+  if (!['score', 'level', 'linesCleared'].every(key => Number.isFinite(snapshot[key]))) {
+    throw new Error('Invalid saved game: malformed stats');
+  }
+  return pieceSet;
+}
+
+export class GameState extends EventEmitter {
+  constructor({
+    width        = GRID_WIDTH,
+    height       = GRID_HEIGHT,
+    pieceSet     = GAMEPLAY_CONFIG.pieceSet,
+    generator    = GAMEPLAY_CONFIG.pieceGenerator,
+    seed         = SeededRandom.createSeed(),
+    previewCount = GAMEPLAY_CONFIG.previewCount,
+    mode         = GAMEPLAY_CONFIG.gameMode,
+    gameplay     = GAMEPLAY_CONFIG
+  } = {}) {
+    super();
+    this.width    = width;
+    this.height   = height;
+    this.gameplay = gameplay;
+    this.bufferHeight = gameplay.bufferHeight;
+    this.totalHeight  = height + this.bufferHeight;
+
+    this.pieceSetName = pieceSet;
+    this.pieceSet     = null;
+    this.shapes       = null;
+    this.scoring  = new ScoringEngine(gameplay);
+
+    this.generatorName  = generator;
+    this.rng            = null;
+    this.garbageRng     = null;
+    this.pieceGenerator = null;
+    this.garbage        = new GarbageQueue();
+    this.previewCount   = this.clampPreviewCount(previewCount);
+    this.mode           = null;
+
+    this.reset({ generator, seed, mode });
+  }
+
+  // Le plateau et le jeu de pièces se changent au reset : la vue se recale sur l'événement
+  reset({
+    generator = this.generatorName,
+    seed      = SeededRandom.createSeed(),
+    mode      = this.mode.name,
+    width     = this.width,
+    height    = this.height,
+    pieceSet  = this.pieceSetName
+  } = {}) {
+    this.applyConfiguration(this.prepareConfiguration({ width, height, pieceSet, generator, seed, mode }));
+
+    this.grid         = this.createEmptyGrid();
+    this.currentPiece = null;
+    this.nextQueue    = [];
+    this.heldPiece    = null;
+    this.canHold      = true;
+
+    this.score        = 0;
+    this.level        = 1;
+    this.linesCleared = 0;
+    this.elapsedTime  = 0;
+
+    this.dropInterval = getDropInterval(1, this.gameplay);
+    this.dropCounter  = 0;
+
+    this.lockTimer    = 0;
+    this.lockResets   = 0;
+    this.lowestPieceY = Infinity;
+    this.pendingLock  = null;
+    this.lastManeuver = null;
+    this.hitStopTimer = 0;
+
+    this.isPaused   = false;
+    this.isGameOver = false;
+    this.endReason  = null;
+    this.scoring.reset();
+
+    this.garbage.clear();
+    this.garbageHole    = null;
+    this.garbageCleared = 0;
+
+    this.emit('reset', {
+      seed:      this.rng.seed,
+      generator: this.generatorName,
+      mode:      this.mode.name,
+      width:     this.width,
+      height:    this.height,
+      pieceSet:  this.pieceSetName
+    });
+
+    // Après 'reset' : la vue vide son plateau avant de recevoir les rangées posées par le mode (Dig)
+    this.mode.setup(this);
+
+    this.fillNextQueue();
+    this.spawnPiece();
+  }
+
+  // Résout plateau, jeu de pièces, générateur et mode sans toucher à l'état :
+  // une option refusée lève avant toute modification
+  prepareConfiguration({ width, height, pieceSet, generator, seed, mode }) {
+    const set = getPieceSet(pieceSet);
+    if (!fitsBoard(pieceSet, width, height)) {
+      throw new Error(`Board ${width}x${height} is too small for piece set: ${pieceSet}`);
+    }
+    const rng = new SeededRandom(seed);
+    return {
+      width,
+      height,
+      pieceSet,
+      set,
+      generator,
+      rng,
+      garbageRng:     new SeededRandom(`garbage:${rng.seed}`),
+      pieceGenerator: createPieceGenerator(generator, rng, Object.keys(set.shapes)),
+      mode:           createGameMode(mode)
+    };
+  }
+
+  applyConfiguration({ width, height, pieceSet, set, generator, rng, garbageRng, pieceGenerator, mode }) {
+    this.width          = width;
+    this.height         = height;
+    this.totalHeight    = height + this.bufferHeight;
+    this.pieceSetName   = pieceSet;
+    this.pieceSet       = set;
+    this.shapes         = set.shapes;
+    this.rng            = rng;
+    this.garbageRng     = garbageRng;
+    this.pieceGenerator = pieceGenerator;
+    this.generatorName  = generator;
+    this.mode           = mode;
+  }
+
+  createEmptyGrid() {
+    return Array.from({ length: this.width }, () => Array(this.totalHeight).fill(0));
+  }
+
+  // ─── PIECES ──────────────────────────────────────────────────────────────
+
+  createPiece(type) {
+    return {
+      type,
+      coords:   this.shapes[type].coords.map(c => [...c]),
+      color:    this.shapes[type].color,
+      rotation: 0
+    };
+  }
+
+  drawPiece() {
+    return this.createPiece(this.pieceGenerator.next());
+  }
+
+  clampPreviewCount(count) {
+    const value = Number.parseInt(count, 10);
+    if (!Number.isFinite(value)) return this.gameplay.previewCount;
+    return Math.max(1, Math.min(this.gameplay.maxPreviewCount, value));
+  }
+
+  setPreviewCount(count) {
+    // La file n'est jamais tronquée : jeter des pièces casserait le sac du générateur
+    this.previewCount = this.clampPreviewCount(count);
+    this.fillNextQueue();
+    this.emit('queueChanged', { queue: this.nextQueue, previewCount: this.previewCount });
+  }
+
+  fillNextQueue() {
+    while (this.nextQueue.length < this.previewCount) {
+      this.nextQueue.push(this.drawPiece());
+    }
+  }
+
+  takeNextPiece() {
+    const piece = this.nextQueue.shift() || this.drawPiece();
+    this.fillNextQueue();
+    return piece;
+  }
+
+  spawnPiece() {
+    this.currentPiece = this.takeNextPiece();
+    this.canHold      = true;
+    this.placeSpawnedPiece();
+  }
+
+  placeSpawnedPiece() {
+    // Boîte englobante centrée (à gauche si impair), rangée basse de la pièce sur la première
+    // rangée cachée, puis descente immédiate d'une rangée si elle est libre (guideline)
+    const piece  = this.currentPiece;
+    const coords = piece.coords;
+    const boxWidth  = Math.max(...coords.map(c => c[0])) + 1;
+    const bottomRow = Math.min(...coords.map(c => c[1]));
+    piece.x = Math.floor((this.width - boxWidth) / 2);
+    piece.y = this.height - bottomRow;
+
+    // Block out : la zone d'apparition est déjà occupée
+    const blockedOut = this.checkCollision(0, 0, piece);
+    if (!blockedOut && !this.checkCollision(0, -1, piece)) piece.y--;
+
+    this.dropCounter  = 0;
+    this.lockTimer    = 0;
+    this.lockResets   = 0;
+    this.lowestPieceY = piece.y;
+    this.lastManeuver = null;
+
+    this.emit('pieceSpawned', { piece, queue: this.nextQueue, canHold: this.canHold });
+
+    if (blockedOut) this.setGameOver('blockOut');
+  }
+
+  holdCurrentPiece() {
+    if (!this.canHold || !this.currentPiece) return false;
+
+    // La pièce stockée repart toujours de son orientation d'origine ; hold se verrouille et
+    // s'annonce avant l'apparition, qui peut finir la partie (block out)
+    const stored = this.createPiece(this.currentPiece.type);
+    this.currentPiece = this.heldPiece ? this.createPiece(this.heldPiece.type) : this.takeNextPiece();
+    this.heldPiece    = stored;
+    this.canHold      = false;
+    this.emit('holdChanged', { heldPiece: this.heldPiece, canHold: this.canHold });
+
+    this.placeSpawnedPiece();
+    return true;
+  }
+
+  // reason : 'blockOut' (apparition bloquée), 'lockOut' (pièce verrouillée entièrement dans
+  // la zone cachée), 'topOut' (pile poussée au-delà de la zone cachée), ou la fin propre
+  // au mode ('cleared', 'timeUp')
+  setGameOver(reason = 'topOut') {
+    if (this.isGameOver) return;
+    this.isGameOver = true;
+    this.endReason  = reason;
+    this.emit('gameOver', {
+      reason,
+      mode:         this.mode.name,
+      score:        this.score,
+      level:        this.level,
+      linesCleared: this.linesCleared,
+      elapsedTime:  this.elapsedTime
+    });
+  }
+
+  checkModeEnd() {
+    const reason = this.mode.checkEnd(this);
+    if (reason) this.setGameOver(reason);
+    return Boolean(reason);
+  }
+
+  setPaused(paused) {
+    if (this.isGameOver || this.isPaused === paused) return;
+    this.isPaused = paused;
+    this.emit('pauseChanged', { paused });
+  }
+
+  togglePause() {
+    this.setPaused(!this.isPaused);
+  }
+
+  // ─── COLLISION & MOVEMENT ────────────────────────────────────────────────
+
+  checkCollision(dx, dy, piece) {
+    const p = piece || this.currentPiece;
+    for (let block of p.coords) {
+      const newX = p.x + block[0] + dx;
+      const newY = p.y + block[1] + dy;
+      if (newX < 0 || newX >= this.width || newY < 0 || newY >= this.totalHeight) return true;
+      if (this.grid[newX][newY]) return true;
+    }
+    return false;
+  }
+
+  movePiece(dx) {
+    if (this.checkCollision(dx, 0)) return false;
+    const wasGrounded = this.isPieceGrounded();
+    this.currentPiece.x += dx;
+    this.lastManeuver = { type: 'move' };
+    if (wasGrounded) this.registerLockReset();
+    return true;
+  }
+
+  stepPieceDown() {
+    if (this.checkCollision(0, -1)) return false;
+    this.currentPiece.y--;
+    this.lastManeuver = { type: 'drop' };
+    this.trackLowestRow();
+    return true;
+  }
+
+  // quarterTurns : 1 = horaire, -1 = anti-horaire, 2 = 180°
+  rotatePiece(quarterTurns = 1) {
+    const piece = this.currentPiece;
+    const shape = this.shapes[piece.type];
+    const from  = piece.rotation;
+    const to    = (((from + quarterTurns) % 4) + 4) % 4;
+
+    const wasGrounded  = this.isPieceGrounded();
+    const backupCoords = piece.coords;
+    piece.coords = rotateCoords(piece.coords, shape.pivot, quarterTurns);
+
+    const kicks     = getKickOffsets(shape.kicks, from, to);
+    const kickScale = shape.kickScale ?? 1;
+    for (let kickIndex = 0; kickIndex < kicks.length; kickIndex++) {
+      const [kickX, kickY] = kicks[kickIndex].map(offset => offset * kickScale);
+      if (!this.checkCollision(kickX, kickY)) {
+        piece.x += kickX;
+        piece.y += kickY;
+        piece.rotation = to;
+        this.lastManeuver = { type: 'rotate', quarterTurns, kickIndex };
+        if (wasGrounded) this.registerLockReset();
+        this.trackLowestRow();
+        return true;
+      }
+    }
+
+    piece.coords = backupCoords;
+    return false;
+  }
+
+  getGhostDropDistance() {
+    let dropDist = 0;
+    while (!this.checkCollision(0, -(dropDist + 1))) dropDist++;
+    return dropDist;
+  }
+
+  softDrop() {
+    if (!this.stepPieceDown()) return false;
+    this.dropCounter = 0;
+    this.addScore(this.gameplay.softDropScore);
+    return true;
+  }
+
+  hardDrop() {
+    let hardDropDistance = 0;
+    while (this.stepPieceDown()) hardDropDistance++;
+    if (hardDropDistance > 0) this.addScore(hardDropDistance * this.gameplay.hardDropScore);
+    this.queuePieceLock({ dropDistance: hardDropDistance, major: true });
+    this.dropCounter = 0;
+    return hardDropDistance;
+  }
+
+  // ─── LOCK DELAY ──────────────────────────────────────────────────────────
+
+  isPieceGrounded() {
+    return !!this.currentPiece && this.checkCollision(0, -1);
+  }
+
+  // Extended placement : chaque déplacement réussi au sol relance le délai, 15 fois au plus
+  registerLockReset() {
+    if (this.lockResets >= this.gameplay.lockResetLimit) return;
+    this.lockResets++;
+    this.lockTimer = 0;
+  }
+
+  // Atteindre une rangée plus basse que jamais rend le compteur de resets
+  trackLowestRow() {
+    if (this.currentPiece.y < this.lowestPieceY) {
+      this.lowestPieceY = this.currentPiece.y;
+      this.lockResets   = 0;
+    }
+  }
+
+  updateLockDelay(deltaTime) {
+    if (!this.currentPiece || this.pendingLock) return;
+
+    if (!this.isPieceGrounded()) {
+      this.lockTimer = 0;
+      return;
+    }
+
+    this.lockTimer += deltaTime;
+    if (this.lockTimer >= this.gameplay.lockDelay || this.lockResets >= this.gameplay.lockResetLimit) {
+      this.queuePieceLock({ dropDistance: 1, major: false });
+    }
+  }
+
+  // Le verrouillage est différé au step suivant : la vue a une frame pour l'impact ;
+  // un impact majeur gèle en plus la simulation pendant le hit-stop
+  queuePieceLock({ dropDistance = 1, major = false } = {}) {
+    if (this.pendingLock) return;
+    this.pendingLock = { dropDistance, major };
+    if (major) this.hitStopTimer = Math.max(this.hitStopTimer, this.gameplay.hitStopDuration);
+    this.emit('lockQueued', { dropDistance, major });
+  }
+
+  // ─── LOCK & LINE CLEAR ───────────────────────────────────────────────────
+
+  mergePiece() {
+    const piece = this.currentPiece;
+    const tSpin = this.detectTSpin();
+    for (let block of piece.coords) {
+      const x = piece.x + block[0];
+      const y = piece.y + block[1];
+      if (y >= 0 && y < this.totalHeight && x >= 0 && x < this.width) {
+        this.grid[x][y] = piece.color;
+      }
+    }
+    this.emit('pieceLocked', { piece, tSpin });
+
+    // Lock out : aucun bloc de la pièce n'est visible ; un verrouillage partiel continue
+    if (piece.coords.every(([, y]) => piece.y + y >= this.height)) {
+      this.setGameOver('lockOut');
+      return;
+    }
+
+    this.settleGarbage(this.checkLines(tSpin));
+    this.mode.afterLock(this);
+    if (this.isGameOver || this.checkModeEnd()) return;
+    this.spawnPiece();
+  }
+
+  // Règle des 3 coins : après une rotation, au moins 3 des 4 coins autour du centre du T
+  // sont occupés. T-spin complet si les deux coins avant le sont (ou kick TST), sinon mini.
+  detectTSpin() {
+    const piece = this.currentPiece;
+    if (!this.pieceSet.tSpins || piece.type !== 'T' || !this.lastManeuver || this.lastManeuver.type !== 'rotate') return null;
+
+    const centerX  = piece.x + this.shapes.T.pivot[0];
+    const centerY  = piece.y + this.shapes.T.pivot[1];
+    const isFilled = (x, y) => x < 0 || x >= this.width || y < 0 || y >= this.totalHeight || !!this.grid[x][y];
+
+    const corners = {
+      topLeft:     isFilled(centerX - 1, centerY + 1),
+      topRight:    isFilled(centerX + 1, centerY + 1),
+      bottomLeft:  isFilled(centerX - 1, centerY - 1),
+      bottomRight: isFilled(centerX + 1, centerY - 1)
+    };
+
+    const filledCount = Object.values(corners).filter(Boolean).length;
+    if (filledCount < 3) return null;
+
+    const frontFilled = T_SPIN_FRONT_CORNERS[piece.rotation].every(corner => corners[corner]);
+    const { kickIndex, quarterTurns } = this.lastManeuver;
+    const isTstKick = Math.abs(quarterTurns) === 1 && kickIndex === 4;
+    return frontFilled || isTstKick ? 'full' : 'mini';
+  }
+
+  checkLines(tSpin = null) {
+    const linesToClear = [];
+
+    for (let y = 0; y < this.totalHeight; y++) {
+      let full = true;
+      for (let x = 0; x < this.width; x++) {
+        if (!this.grid[x][y]) { full = false; break; }
+      }
+      if (full) linesToClear.push(y);
+    }
+
+    const lines = linesToClear.length;
+    const linesToClearSet = new Set(linesToClear);
+    const garbageLines = linesToClear.filter(y => this.grid.some(column => isGarbageCell(column[y]))).length;
+
+    // Couleurs des rangées retirées, capturées avant compactage (particules côté vue)
+    const clearedCells = [];
+
+    if (lines > 0) {
+      linesToClear.forEach(y => {
+        for (let x = 0; x < this.width; x++) {
+          clearedCells.push({ x, y, color: this.grid[x][y] });
+        }
+      });
+
+      let newGrid      = this.createEmptyGrid();
+      let currentWriteY = 0;
+      for (let y = 0; y < this.totalHeight; y++) {
+        if (!linesToClearSet.has(y)) {
+          for (let x = 0; x < this.width; x++) {
+            newGrid[x][currentWriteY] = this.grid[x][y];
+          }
+          currentWriteY++;
+        }
+      }
+      this.grid = newGrid;
+    }
+
+    const perfectClear = lines > 0 && this.grid.every(column => column.every(cell => !cell));
+    const result = this.scoring.evaluate({ lines, tSpin, perfectClear, level: this.level });
+    this.score += result.points;
+
+    if (result.labels.length > 0) this.emit('scoring', result);
+
+    if (lines > 0) {
+      this.linesCleared   += lines;
+      this.garbageCleared += garbageLines;
+
+      const newLevel = this.mode.levelProgression ? getLevelForLines(this.linesCleared, this.gameplay) : this.level;
+      if (newLevel > this.level) {
+        this.level        = newLevel;
+        this.dropInterval = getDropInterval(this.level, this.gameplay);
+        this.emit('levelUp', { level: this.level, dropInterval: this.dropInterval });
+      }
+
+      this.emit('linesCleared', { rows: linesToClear, cells: clearedCells, lines, garbageLines, result });
+    }
+
+    if (result.points > 0 || lines > 0) this.emitScoreChanged({ flash: true });
+    return result;
+  }
+
+  // Insère des rangées (tableaux de `width` cellules) sous la pile, qui remonte d'autant ;
+  // la pièce active est soulevée si elle chevauche. Top out si des blocs dépassent la zone cachée.
+  insertRows(rows) {
+    if (this.isGameOver || rows.length === 0) return false;
+
+    const count = rows.length;
+    const overflow = this.grid.some(column => column.slice(this.totalHeight - count).some(Boolean));
+    this.grid = this.grid.map((column, x) => [
+      ...rows.map(row => row[x] || 0),
+      ...column.slice(0, this.totalHeight - count)
+    ]);
+    this.emit('rowsInserted', { count });
+
+    const piece = this.currentPiece;
+    let lifted = 0;
+    while (piece && this.checkCollision(0, 0) && lifted < count) {
+      piece.y++;
+      lifted++;
+    }
+
+    if (overflow || (piece && this.checkCollision(0, 0))) {
+      this.setGameOver('topOut');
+      return false;
+    }
+    return true;
+  }
+
+  // ─── GARBAGE ─────────────────────────────────────────────────────────────
+
+  // Pousse `count` rangées de déchets sous la pile, dans le prolongement du dernier puits
+  addGarbage(count, { messiness = this.gameplay.garbageMessiness } = {}) {
+    const { rows, hole } = createGarbageRows(count, {
+      width:        this.width,
+      rng:          this.garbageRng,
+      messiness,
+      previousHole: this.garbageHole
+    });
+    this.garbageHole = hole;
+    return this.insertRows(rows);
+  }
+
+  // Déchets reçus : mis en attente dans la jauge jusqu'au prochain verrouillage
+  receiveGarbage(lines) {
+    if (this.isGameOver || !(lines > 0)) return;
+    this.garbage.add(lines);
+    this.emitGarbageChanged();
+  }
+
+  // Après un verrouillage : l'attaque d'un line clear annule d'abord l'attente et le surplus
+  // part vers l'adversaire ('attack') ; sans ligne, l'attente entre dans la pile
+  settleGarbage({ lines, attack }) {
+    const pending = this.garbage.pending;
+
+    if (lines > 0) {
+      const sent = this.garbage.cancel(attack);
+      if (sent > 0) this.emit('attack', { lines: sent });
+    } else if (pending > 0) {
+      this.addGarbage(this.garbage.take(this.gameplay.garbageCap));
+    }
+    if (this.garbage.pending !== pending) this.emitGarbageChanged();
+  }
+
+  emitGarbageChanged() {
+    this.emit('garbageChanged', { pending: this.garbage.pending });
+  }
+
+  countGarbageRows() {
+    let count = 0;
+    for (let y = 0; y < this.totalHeight; y++) {
+      if (this.grid.some(column => isGarbageCell(column[y]))) count++;
+    }
+    return count;
+  }
+
+  addScore(points) {
+    this.score += points;
+    this.emitScoreChanged({ flash: false });
+  }
+
+  emitScoreChanged({ flash }) {
+    this.emit('scoreChanged', {
+      score: this.score,
+      level: this.level,
+      linesCleared: this.linesCleared,
+      flash
+    });
+  }
+
+  // ─── ACTIONS & TICK ──────────────────────────────────────────────────────
+
+  handleAction(action, { toWall = false } = {}) {
+    if (this.isGameOver) return;
+
+    if (action === 'pause') {
+      this.togglePause();
+      return;
+    }
+
+    if (this.isPaused || !this.currentPiece) return;
+
+    // Pendant le hit-stop seul le hard drop passe
+    if (this.hitStopTimer > 0 && action !== 'hardDrop') return;
+
+    const canManipulate = !this.pendingLock;
+    const emitMoved = (type, moved) => {
+      if (moved) this.emit('pieceMoved', { type, action });
+    };
+
+    switch (action) {
+      case 'moveLeft':
+      case 'moveRight': {
+        if (!canManipulate) break;
+        const dx = action === 'moveLeft' ? -1 : 1;
+        let moved = false;
+        if (toWall) {
+          while (this.movePiece(dx)) moved = true;
+        } else {
+          moved = this.movePiece(dx);
+        }
+        emitMoved('move', moved);
+        break;
+      }
+      case 'softDrop':
+        if (canManipulate) emitMoved('softDrop', this.softDrop());
+        break;
+      case 'rotateCW':
+        if (canManipulate) emitMoved('rotate', this.rotatePiece(1));
+        break;
+      case 'rotateCCW':
+        if (canManipulate) emitMoved('rotate', this.rotatePiece(-1));
+        break;
+      case 'rotate180':
+        if (canManipulate) emitMoved('rotate', this.rotatePiece(2));
+        break;
+      case 'hold':
+        if (canManipulate) this.holdCurrentPiece();
+        break;
+      case 'hardDrop':
+        this.hardDrop();
+        break;
+    }
+  }
+
+  // Avance la simulation de deltaTime ms : chrono du mode, hit-stop, verrouillage en attente,
+  // gravité, lock delay
+  step(deltaTime, { softDropping = false, softDropFactor = 1 } = {}) {
+    if (this.isPaused || this.isGameOver) return;
+
+    this.elapsedTime += deltaTime;
+    if (this.checkModeEnd()) return;
+
+    if (this.hitStopTimer > 0) {
+      this.hitStopTimer = Math.max(0, this.hitStopTimer - deltaTime);
+      return;
+    }
+
+    if (this.pendingLock) {
+      this.pendingLock = null;
+      this.mergePiece();
+      this.dropCounter = 0;
+      if (this.isGameOver) return;
+    }
+
+    // Soft drop : gravité multipliée, plusieurs rangées par step si nécessaire
+    const interval = softDropping ? this.dropInterval / softDropFactor : this.dropInterval;
+
+    this.dropCounter += deltaTime;
+    if (!this.pendingLock && this.dropCounter > interval) {
+      const rows = softDropping ? Math.floor(this.dropCounter / interval) : 1;
+      let descended = 0;
+      while (descended < rows && this.stepPieceDown()) descended++;
+      if (softDropping && descended > 0) this.addScore(descended * this.gameplay.softDropScore);
+      this.dropCounter = 0;
+    }
+
+    this.updateLockDelay(deltaTime);
+  }
+
+  // ─── SNAPSHOT ────────────────────────────────────────────────────────────
+
+  // Photographie JSON-compatible de la partie, y compris l'état interne du rng et du générateur
+  serialize() {
+    const pieceState = piece => piece && {
+      type:     piece.type,
+      coords:   piece.coords.map(c => [...c]),
+      rotation: piece.rotation,
+      x:        piece.x,
+      y:        piece.y
+    };
+
+    return {
+      version:        SNAPSHOT_VERSION,
+      width:          this.width,
+      height:         this.height,
+      pieceSet:       this.pieceSetName,
+      mode:           this.mode.name,
+      generator:      this.generatorName,
+      rng:            this.rng.getState(),
+      garbageRng:     this.garbageRng.getState(),
+      garbage:        this.garbage.getState(),
+      garbageHole:    this.garbageHole,
+      garbageCleared: this.garbageCleared,
+      pieceGenerator: this.pieceGenerator.getState(),
+      scoring:        this.scoring.getState(),
+      grid:           this.grid.map(column => [...column]),
+      currentPiece:   pieceState(this.currentPiece),
+      nextQueue:      this.nextQueue.map(piece => piece.type),
+      heldPiece:      this.heldPiece ? this.heldPiece.type : null,
+      canHold:        this.canHold,
+      previewCount:   this.previewCount,
+      score:          this.score,
+      level:          this.level,
+      linesCleared:   this.linesCleared,
+      elapsedTime:    this.elapsedTime,
+      dropInterval:   this.dropInterval,
+      dropCounter:    this.dropCounter,
+      lockTimer:      this.lockTimer,
+      lockResets:     this.lockResets,
+      lowestPieceY:   Number.isFinite(this.lowestPieceY) ? this.lowestPieceY : null,
+      pendingLock:    this.pendingLock && { ...this.pendingLock },
+      lastManeuver:   this.lastManeuver && { ...this.lastManeuver },
+      hitStopTimer:   this.hitStopTimer,
+      isGameOver:     this.isGameOver,
+      endReason:      this.endReason
+    };
+  }
+
+  // Restaure une photographie de serialize() ; la partie reprend hors pause, sur le plateau
+  // et le jeu de pièces de la photographie. Tout est validé et préparé avant la moindre
+  // modification : une photographie refusée laisse l'état intact
+  restore(snapshot) {
+    const pieceSet = validateSnapshot(snapshot, { bufferHeight: this.bufferHeight });
+    const current  = snapshot.currentPiece;
+
+    const config = this.prepareConfiguration({
+      width:     snapshot.width,
+      height:    snapshot.height,
+      pieceSet,
+      generator: snapshot.generator,
+      seed:      snapshot.rng.seed,
+      mode:      snapshot.mode
+    });
+    config.rng.setState(snapshot.rng);
+    if (snapshot.garbageRng) config.garbageRng.setState(snapshot.garbageRng);
+    config.pieceGenerator.setState(snapshot.pieceGenerator);
+
+    // Sauvegardes antérieures à la zone cachée : colonnes complétées par des cases vides
+    const totalHeight = snapshot.height + this.bufferHeight;
+    const grid = snapshot.grid.map(column => [...column, ...Array(totalHeight - column.length).fill(0)]);
+
+    this.applyConfiguration(config);
+    this.garbage.setState(snapshot.garbage);
+    this.garbageHole    = snapshot.garbageHole ?? null;
+    this.garbageCleared = snapshot.garbageCleared ?? 0;
+    this.scoring.setState(snapshot.scoring);
+
+    this.grid         = grid;
+    this.currentPiece = {
+      ...this.createPiece(current.type),
+      coords:   current.coords.map(c => [...c]),
+      rotation: current.rotation,
+      x:        current.x,
+      y:        current.y
+    };
+    this.nextQueue    = snapshot.nextQueue.map(type => this.createPiece(type));
+    this.heldPiece    = Object.hasOwn(this.shapes, snapshot.heldPiece ?? '') ? this.createPiece(snapshot.heldPiece) : null;
+    this.canHold      = snapshot.canHold;
+    this.previewCount = this.clampPreviewCount(snapshot.previewCount);
+
+    this.score        = snapshot.score;
+    this.level        = snapshot.level;
+    this.linesCleared = snapshot.linesCleared;
+    this.elapsedTime  = snapshot.elapsedTime;
+    this.dropInterval = snapshot.dropInterval;
+    this.dropCounter  = snapshot.dropCounter;
+
+    this.lockTimer    = snapshot.lockTimer;
+    this.lockResets   = snapshot.lockResets;
+    this.lowestPieceY = snapshot.lowestPieceY ?? Infinity;
+    this.pendingLock  = snapshot.pendingLock && { ...snapshot.pendingLock };
+    this.lastManeuver = snapshot.lastManeuver && { ...snapshot.lastManeuver };
+    this.hitStopTimer = snapshot.hitStopTimer;
+
+    this.isPaused   = false;
+    this.isGameOver = Boolean(snapshot.isGameOver);
+    this.endReason  = snapshot.endReason ?? null;
+
+    this.fillNextQueue();
+    this.emit('restored', { snapshot });
+  }
+}
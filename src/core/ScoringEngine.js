@@ -0,0 +1,100 @@
+// Barème des verrouillages : lignes, T-spins, back-to-back, combos et perfect clears,
+// en points et en lignes d'attaque (versus).
+import { GAMEPLAY_CONFIG } from './config.js';
+
+export const POINTS = [0, 100, 300, 500, 800];
+export const T_SPIN_POINTS = {
+  mini: [100, 200, 400, 400],
+  full: [400, 800, 1200, 1600]
+};
+export const PERFECT_CLEAR_POINTS = [0, 800, 1200, 1800, 2000];
+export const LINE_CLEAR_NAMES = ['', 'SINGLE', 'DOUBLE', 'TRIPLE', 'TETRIS'];
+// Les pentominos et le big mode effacent jusqu'à 8 lignes : au-delà de 4, barème du Tetris
+export const MAX_SCORED_LINES = 4;
+
+// Lignes de déchets envoyées à l'adversaire en versus (barème guideline)
+export const ATTACK_LINES = [0, 0, 1, 2, 4];
+export const T_SPIN_ATTACK_LINES = {
+  mini: [0, 0, 1, 2],
+  full: [0, 2, 4, 6]
+};
+export const COMBO_ATTACK_LINES = [0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5];
+export const PERFECT_CLEAR_ATTACK = 10;
+
+// Barème guideline : T-spins, back-to-back sur les clears "difficiles", combos, perfect clears
+export class ScoringEngine {
+  constructor(gameplay = GAMEPLAY_CONFIG) {
+    this.gameplay = gameplay;
+    this.reset();
+  }
+
+  reset() {
+    this.combo      = -1;
+    this.backToBack = false;
+  }
+
+  getState() {
+    return { combo: this.combo, backToBack: this.backToBack };
+  }
+
+  setState({ combo = -1, backToBack = false } = {}) {
+    this.combo      = combo;
+    this.backToBack = Boolean(backToBack);
+  }
+
+  evaluate({ lines, tSpin = null, perfectClear = false, level = 1 }) {
+    const row = Math.min(lines, MAX_SCORED_LINES);
+    const difficult = row === MAX_SCORED_LINES || (tSpin !== null && lines > 0);
+    const isBackToBack = difficult && this.backToBack;
+
+    let points = (tSpin ? T_SPIN_POINTS[tSpin][row] : POINTS[row] || 0) * level;
+    if (isBackToBack) points *= this.gameplay.backToBackMultiplier;
+
+    // Un T-spin sans ligne ne casse ni ne lance la chaîne B2B
+    if (lines > 0) {
+      this.backToBack = difficult;
+      this.combo++;
+    } else {
+      this.combo = -1;
+    }
+
+    if (this.combo > 0) points += this.gameplay.comboBonus * this.combo * level;
+
+    if (perfectClear) {
+      const bonus = isBackToBack && row === MAX_SCORED_LINES
+        ? this.gameplay.perfectClearB2BTetris
+        : PERFECT_CLEAR_POINTS[row];
+      points += bonus * level;
+    }
+
+    let attack = 0;
+    if (lines > 0) {
+      attack = tSpin ? T_SPIN_ATTACK_LINES[tSpin][row] : ATTACK_LINES[row];
+      if (isBackToBack) attack += 1;
+      attack += COMBO_ATTACK_LINES[Math.min(this.combo, COMBO_ATTACK_LINES.length - 1)];
+      if (perfectClear) attack += PERFECT_CLEAR_ATTACK;
+    }
+
+    const labels = [];
+    if (tSpin) {
+      const prefix = tSpin === 'mini' ? 'MINI T-SPIN' : 'T-SPIN';
+      labels.push(lines > 0 ? `${prefix} ${LINE_CLEAR_NAMES[row]}` : prefix);
+    } else if (lines > 0) {
+      labels.push(LINE_CLEAR_NAMES[row]);
+    }
+    if (isBackToBack)     labels.push('B2B');
+    if (this.combo > 0)   labels.push(`COMBO x${this.combo}`);
+    if (perfectClear)     labels.push('PERFECT CLEAR');
+
+    return {
+      points: Math.floor(points),
+      attack,
+      lines,
+      tSpin,
+      backToBack: isBackToBack,
+      combo: Math.max(0, this.combo),
+      perfectClear,
+      labels
+    };
+  }
+}
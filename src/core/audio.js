@@ -0,0 +1,112 @@
+// Partie headless de l'audio : réglages de volume persistés, tempo de la musique selon
+// le niveau et séquenceur génératif. La synthèse Web Audio reste dans la vue (AudioEngine).
+import { SeededRandom } from './random.js';
+
+export const AUDIO_SETTINGS_STORAGE_KEY = 'tetris.audio';
+
+export const DEFAULT_AUDIO_SETTINGS = {
+  master: 0.8,
+  sfx:    0.8,
+  music:  0.5,
+  muted:  false
+};
+
+export const MUSIC_TEMPO = {
+  base:    100,   // bpm au niveau 1
+  perLevel: 6,
+  max:     172
+};
+
+export const STEPS_PER_BAR = 16;   // doubles croches
+
+// La mineur : i – VI – III – VII (Am, F, C, G), une mesure par accord
+const CHORD_PROGRESSION = [
+  [57, 60, 64],
+  [53, 57, 60],
+  [48, 52, 55],
+  [55, 59, 62]
+];
+const LEAD_SCALE = [69, 72, 74, 76, 79, 81, 84];   // pentatonique mineure de la
+
+export function sanitizeAudioSettings(data) {
+  const settings = { ...DEFAULT_AUDIO_SETTINGS };
+  if (!data || typeof data !== 'object') return settings;
+
+  for (const channel of ['master', 'sfx', 'music']) {
+    const value = Number(data[channel]);
+    if (data[channel] !== undefined && Number.isFinite(value)) settings[channel] = Math.min(1, Math.max(0, value));
+  }
+  if (typeof data.muted === 'boolean') settings.muted = data.muted;
+  return settings;
+}
+
+export function loadAudioSettings(storage) {
+  try {
+    const raw = storage ? storage.getItem(AUDIO_SETTINGS_STORAGE_KEY) : null;
+    return sanitizeAudioSettings(raw ? JSON.parse(raw) : null);
+  } catch {
+    return { ...DEFAULT_AUDIO_SETTINGS };
+  }
+}
+
+export function saveAudioSettings(storage, settings) {
+  try {
+    if (storage) storage.setItem(AUDIO_SETTINGS_STORAGE_KEY, JSON.stringify(sanitizeAudioSettings(settings)));
+  } catch (error) {
+    console.warn(`Audio settings not saved: ${error.message}`);
+  }
+}
+
+// Gain effectif d'un canal ('sfx' ou 'music') après volume maître et mute
+export function getChannelGain(settings, channel) {
+  return settings.muted ? 0 : settings.master * settings[channel];
+}
+
+export function getMusicTempo(level) {
+  const { base, perLevel, max } = MUSIC_TEMPO;
+  return Math.min(max, base + (Math.max(1, level) - 1) * perLevel);
+}
+
+export function midiToFrequency(note) {
+  return 440 * 2 ** ((note - 69) / 12);
+}
+
+// Musique générative : grille d'accords fixe, basse en croches, mélodie en marche
+// aléatoire sur la pentatonique. `intensity` (0–1, suit le niveau) densifie la mélodie
+// et ajoute des charlestons ; la graine rend la séquence reproductible.
+export class MusicSequencer {
+  constructor({ seed = SeededRandom.createSeed() } = {}) {
+    this.rng = new SeededRandom(seed);
+    this.reset();
+  }
+
+  reset() {
+    this.step = 0;
+    this.leadIndex = 2;
+  }
+
+  static getIntensity(level) {
+    return Math.min(1, (Math.max(1, level) - 1) / 14);
+  }
+
+  // Prochaine double croche : { step, bar, chord, kick, hat, bass, lead } (notes MIDI ou null)
+  nextStep({ intensity = 0 } = {}) {
+    const step     = this.step++;
+    const position = step % STEPS_PER_BAR;
+    const bar      = Math.floor(step / STEPS_PER_BAR);
+    const chord    = CHORD_PROGRESSION[bar % CHORD_PROGRESSION.length];
+
+    const kick = position % 4 === 0;
+    const hat  = position % 2 === 1 && this.rng.next() < 0.35 + intensity * 0.6;
+    const bass = position % 2 === 0 ? chord[position % 8 === 4 ? 2 : 0] - 12 : null;
+
+    let lead = null;
+    if (this.rng.next() < (position % 4 === 0 ? 0.55 : 0.18) + intensity * 0.3) {
+      const stride = this.rng.nextInt(3) - 1;
+      this.leadIndex = Math.min(LEAD_SCALE.length - 1, Math.max(0, this.leadIndex + stride));
+      lead = LEAD_SCALE[this.leadIndex];
+    }
+
+    return { step, bar, chord, kick, hat, bass, lead };
+  }
+}
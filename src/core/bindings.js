@@ -0,0 +1,235 @@
+// Correspondance contrôles → actions : valeurs par défaut, validation, conflits et persistance.
+// Clavier : valeurs KeyboardEvent.key, caractères simples comparés en minuscules.
+// Manette : 'b<n>' pour le bouton n, 'a<n>+' / 'a<n>-' pour un axe poussé (mapping standard).
+
+export const KEY_BINDINGS_STORAGE_KEY     = 'tetris.keyBindings';
+export const GAMEPAD_BINDINGS_STORAGE_KEY = 'tetris.gamepadBindings';
+export const VERSUS_KEY_BINDINGS_STORAGE_KEYS = ['tetris.versusKeyBindings.1', 'tetris.versusKeyBindings.2'];
+export const KEYS_PER_ACTION = 2;
+
+export const ACTION_LABELS = {
+  moveLeft:  'MOVE LEFT',
+  moveRight: 'MOVE RIGHT',
+  softDrop:  'SOFT DROP',
+  hardDrop:  'HARD DROP',
+  rotateCW:  'ROTATE CW',
+  rotateCCW: 'ROTATE CCW',
+  rotate180: 'ROTATE 180°',
+  hold:      'HOLD',
+  pause:     'PAUSE',
+  restart:   'RESTART',
+  mute:      'MUTE'
+};
+
+export const BINDABLE_ACTIONS = Object.keys(ACTION_LABELS);
+
+export const DEFAULT_KEY_BINDINGS = {
+  moveLeft:  ['ArrowLeft'],
+  moveRight: ['ArrowRight'],
+  softDrop:  ['ArrowDown'],
+  hardDrop:  [' '],
+  rotateCW:  ['ArrowUp', 'x'],
+  rotateCCW: ['z', 'Control'],
+  rotate180: ['a'],
+  hold:      ['c', 'Shift'],
+  pause:     ['p'],
+  restart:   ['r'],
+  mute:      ['m']
+};
+
+// D-pad 12-15, A/B/X/Y 0-3, LB/RB 4-5, Select/Start 8-9 ; stick gauche sur les axes 0-1
+export const DEFAULT_GAMEPAD_BINDINGS = {
+  moveLeft:  ['b14', 'a0-'],
+  moveRight: ['b15', 'a0+'],
+  softDrop:  ['b13', 'a1+'],
+  hardDrop:  ['b12'],
+  rotateCW:  ['b0'],
+  rotateCCW: ['b1'],
+  rotate180: ['b3'],
+  hold:      ['b4', 'b5'],
+  pause:     ['b9'],
+  restart:   ['b8'],
+  mute:      []
+};
+
+// Versus local : deux joueurs sur un même clavier (gauche / droite). Chaque joueur pilote aussi
+// sa propre manette (la première branchée pour le joueur 1) avec les liaisons manette communes.
+export const VERSUS_KEY_BINDINGS = [
+  {
+    moveLeft:  ['a'],
+    moveRight: ['d'],
+    softDrop:  ['s'],
+    hardDrop:  ['w'],
+    rotateCW:  ['g'],
+    rotateCCW: ['f'],
+    rotate180: ['h'],
+    hold:      ['q'],
+    pause:     ['p'],
+    restart:   ['r'],
+    mute:      ['m']
+  },
+  {
+    moveLeft:  ['ArrowLeft'],
+    moveRight: ['ArrowRight'],
+    softDrop:  ['ArrowDown'],
+    hardDrop:  ['ArrowUp'],
+    rotateCW:  ['.'],
+    rotateCCW: [','],
+    rotate180: ['/'],
+    hold:      ['l'],
+    pause:     ['Enter'],
+    restart:   [],
+    mute:      []
+  }
+];
+
+// Touches réservées à l'écran de réglage (annuler / effacer la capture)
+export const RESERVED_KEYS = ['Escape', 'Backspace', 'Delete', 'Tab'];
+
+const GAMEPAD_BUTTON_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'SELECT', 'START', 'L3', 'R3',
+  'D-PAD ↑', 'D-PAD ↓', 'D-PAD ←', 'D-PAD →', 'HOME'
+];
+const GAMEPAD_AXIS_NAMES = ['L-STICK ←→', 'L-STICK ↑↓', 'R-STICK ←→', 'R-STICK ↑↓'];
+
+const KEY_NAMES = {
+  ' ':          'SPACE',
+  ArrowLeft:    '←',
+  ArrowRight:   '→',
+  ArrowUp:      '↑',
+  ArrowDown:    '↓',
+  Control:      'CTRL',
+  Shift:        'SHIFT',
+  Alt:          'ALT',
+  Enter:        'ENTER'
+};
+
+export function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+export function formatKey(key) {
+  return KEY_NAMES[key] || key.toUpperCase();
+}
+
+export function isGamepadControl(control) {
+  return typeof control === 'string' && /^(b\d+|a\d+[+-])$/.test(control);
+}
+
+export function formatGamepadControl(control) {
+  const index = Number.parseInt(control.slice(1), 10);
+  if (control[0] === 'b') return GAMEPAD_BUTTON_NAMES[index] || `BUTTON ${index}`;
+
+  const direction = control.endsWith('-') ? '−' : '+';
+  const axis = GAMEPAD_AXIS_NAMES[index];
+  if (!axis) return `AXIS ${index}${direction}`;
+  const [negative, positive] = axis.slice(-2);
+  return `${axis.slice(0, -3)} ${control.endsWith('-') ? negative : positive}`;
+}
+
+// Profils de liaison : le clavier et la manette partagent les mêmes règles de conflit
+export const BINDING_PROFILES = {
+  keyboard: {
+    defaults:   DEFAULT_KEY_BINDINGS,
+    storageKey: KEY_BINDINGS_STORAGE_KEY,
+    normalize:  normalizeKey,
+    isValid:    key => typeof key === 'string' && key.length > 0 && !RESERVED_KEYS.includes(key),
+    format:     formatKey
+  },
+  gamepad: {
+    defaults:   DEFAULT_GAMEPAD_BINDINGS,
+    storageKey: GAMEPAD_BINDINGS_STORAGE_KEY,
+    normalize:  control => control,
+    isValid:    isGamepadControl,
+    format:     formatGamepadControl
+  }
+};
+
+// Un profil clavier par joueur du versus local ; un même clavier ne doit pas lier une touche aux deux
+export const VERSUS_BINDING_PROFILES = VERSUS_KEY_BINDINGS.map((defaults, index) => ({
+  ...BINDING_PROFILES.keyboard,
+  defaults,
+  storageKey: VERSUS_KEY_BINDINGS_STORAGE_KEYS[index]
+}));
+
+export function cloneKeyBindings(bindings) {
+  return Object.fromEntries(BINDABLE_ACTIONS.map(action => [action, [...(bindings[action] || [])]]));
+}
+
+// Action (autre que `exceptAction`) déjà liée à ce contrôle, ou null
+export function findBindingConflict(bindings, key, exceptAction = null, profile = BINDING_PROFILES.keyboard) {
+  const normalized = profile.normalize(key);
+  return BINDABLE_ACTIONS.find(action =>
+    action !== exceptAction && (bindings[action] || []).some(bound => profile.normalize(bound) === normalized)
+  ) || null;
+}
+
+// Lie `key` à l'emplacement `slot` de `action` ; refuse les contrôles réservés ou déjà pris
+export function bindKey(bindings, action, key, slot = 0, profile = BINDING_PROFILES.keyboard) {
+  if (!BINDABLE_ACTIONS.includes(action)) throw new Error(`Unknown action: ${action}`);
+  if (!profile.isValid(key)) return { bindings, conflict: null, reserved: true };
+
+  const conflict = findBindingConflict(bindings, key, action, profile);
+  if (conflict) return { bindings, conflict, reserved: false };
+
+  const normalized = profile.normalize(key);
+  const next = cloneKeyBindings(bindings);
+  const keys = next[action].filter(bound => profile.normalize(bound) !== normalized);
+  if (slot < keys.length) keys[slot] = normalized;
+  else keys.push(normalized);
+  next[action] = keys.slice(0, KEYS_PER_ACTION);
+  return { bindings: next, conflict: null, reserved: false };
+}
+
+export function unbindKey(bindings, action, slot = 0) {
+  const next = cloneKeyBindings(bindings);
+  next[action].splice(slot, 1);
+  return next;
+}
+
+// Nettoie des liaisons chargées : actions inconnues ignorées, doublons retirés,
+// actions absentes ramenées à leurs contrôles par défaut
+export function sanitizeKeyBindings(data, profile = BINDING_PROFILES.keyboard) {
+  const bindings = cloneKeyBindings(profile.defaults);
+  if (!data || typeof data !== 'object') return bindings;
+
+  const taken = new Set();
+  const claim = (key) => {
+    if (taken.has(key)) return false;
+    taken.add(key);
+    return true;
+  };
+
+  BINDABLE_ACTIONS.forEach(action => {
+    if (!Array.isArray(data[action])) return;
+    bindings[action] = data[action]
+      .filter(profile.isValid)
+      .map(profile.normalize)
+      .slice(0, KEYS_PER_ACTION)
+      .filter(claim);
+  });
+
+  // Une touche par défaut reprise par une autre action ne doit pas rester en double
+  BINDABLE_ACTIONS.forEach(action => {
+    if (Array.isArray(data[action])) return;
+    bindings[action] = bindings[action].filter(key => claim(profile.normalize(key)));
+  });
+  return bindings;
+}
+
+export function loadKeyBindings(storage, profile = BINDING_PROFILES.keyboard) {
+  try {
+    const raw = storage ? storage.getItem(profile.storageKey) : null;
+    return sanitizeKeyBindings(raw ? JSON.parse(raw) : null, profile);
+  } catch {
+    return cloneKeyBindings(profile.defaults);
+  }
+}
+
+export function saveKeyBindings(storage, bindings, profile = BINDING_PROFILES.keyboard) {
+  try {
+    if (storage) storage.setItem(profile.storageKey, JSON.stringify(bindings));
+  } catch (error) {
+    console.warn(`Key bindings not saved: ${error.message}`);
+  }
+}
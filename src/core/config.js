@@ -0,0 +1,34 @@
+// Paramètres de règles partagés par le moteur headless et la vue Three.js.
+
+export const GRID_WIDTH  = 10;
+export const GRID_HEIGHT = 20;
+
+// Plateaux proposés au démarrage ; GameState accepte toute taille où le jeu de pièces tient
+export const BOARD_PRESETS = {
+  standard: { label: '10×20', width: GRID_WIDTH, height: GRID_HEIGHT },
+  narrow:   { label: '4×20',  width: 4,          height: 20 },
+  wide:     { label: '12×24', width: 12,         height: 24 }
+};
+
+export const GAMEPLAY_CONFIG = {
+  baseDropInterval: 1000,
+  minDropInterval: 100,
+  levelDropStep: 75,
+  levelLinesStep: 10,
+  softDropScore: 1,
+  hardDropScore: 2,
+  backToBackMultiplier: 1.5,
+  comboBonus: 50,
+  perfectClearB2BTetris: 3200,
+  lockDelay: 500,
+  lockResetLimit: 15,
+  hitStopDuration: 50,
+  bufferHeight: 20,
+  garbageMessiness: 0.3,
+  garbageCap: 8,
+  pieceGenerator: 'bag7',
+  pieceSet: 'standard',
+  gameMode: 'marathon',
+  previewCount: 5,
+  maxPreviewCount: 6
+};
@@ -0,0 +1,85 @@
+// Lignes de déchets ("garbage") : rangées grises percées d'un trou, poussées sous la pile.
+// L'aléa vient d'un rng dédié pour ne pas décaler la séquence de pièces d'une même graine.
+
+// Couleur réservée : aucune pièce ne l'utilise, une rangée qui la contient est une rangée de déchets
+export const GARBAGE_COLOR = 0x5A5F66;
+
+export function isGarbageCell(cell) {
+  return cell === GARBAGE_COLOR;
+}
+
+// `count` rangées de `width` cellules avec un trou. `messiness` (0–1) : probabilité que le trou
+// change de colonne d'une rangée à la suivante (0 = puits droit, 1 = "cheese").
+// Rangées listées du bas vers le haut, comme pour insertRows() : la première tirée (en haut du
+// paquet) prolonge `previousHole`, le trou renvoyé est celui du bas, voisin du paquet suivant.
+export function createGarbageRows(count, { width, rng, messiness = 0, previousHole = null }) {
+  const rows = [];
+  let hole = previousHole;
+
+  for (let i = 0; i < count; i++) {
+    if (hole === null || hole >= width) {
+      hole = rng.nextInt(width);
+    } else if (width > 1 && rng.next() < messiness) {
+      // Nouvelle colonne forcément différente de la précédente
+      hole = (hole + 1 + rng.nextInt(width - 1)) % width;
+    }
+    const row = Array(width).fill(GARBAGE_COLOR);
+    row[hole] = 0;
+    rows.unshift(row);
+  }
+
+  return { rows, hole };
+}
+
+// Déchets en attente (jauge "incoming") : chaque line clear en annule d'abord autant,
+// le reste entre dans la pile au prochain verrouillage sans ligne, par paquets bornés.
+export class GarbageQueue {
+  constructor() {
+    this.entries = [];
+  }
+
+  get pending() {
+    return this.entries.reduce((total, lines) => total + lines, 0);
+  }
+
+  add(lines) {
+    if (lines > 0) this.entries.push(lines);
+  }
+
+  // Annule jusqu'à `lines` lignes en attente, des plus anciennes aux plus récentes ;
+  // renvoie les lignes non consommées (à renvoyer à l'adversaire en versus)
+  cancel(lines) {
+    let remaining = lines;
+    while (remaining > 0 && this.entries.length > 0) {
+      const cancelled = Math.min(remaining, this.entries[0]);
+      this.entries[0] -= cancelled;
+      remaining       -= cancelled;
+      if (this.entries[0] === 0) this.entries.shift();
+    }
+    return remaining;
+  }
+
+  // Retire au plus `max` lignes à faire entrer maintenant
+  take(max = Infinity) {
+    let taken = 0;
+    while (taken < max && this.entries.length > 0) {
+      const lines = Math.min(max - taken, this.entries[0]);
+      this.entries[0] -= lines;
+      taken           += lines;
+      if (this.entries[0] === 0) this.entries.shift();
+    }
+    return taken;
+  }
+
+  clear() {
+    this.entries = [];
+  }
+
+  getState() {
+    return { entries: [...this.entries] };
+  }
+
+  setState({ entries = [] } = {}) {
+    this.entries = entries.filter(lines => Number.isInteger(lines) && lines > 0);
+  }
+}
@@ -0,0 +1,124 @@
+// Préréglages de qualité graphique et surveillance du budget de frame pour le mode auto.
+// Headless : la vue (TetrisGame) applique le préréglage au renderer, au fond et au post-process.
+
+export const GRAPHICS_QUALITY_STORAGE_KEY = 'tetris.graphicsQuality';
+export const AUTO_GRAPHICS_QUALITY = 'auto';
+
+// Du moins coûteux au plus coûteux
+export const GRAPHICS_QUALITY_LEVELS = ['low', 'medium', 'high', 'ultra'];
+
+export const GRAPHICS_PRESETS = {
+  low: {
+    label:              'LOW',
+    background:         'static',   // dégradé fixe à la place du raymarch
+    backgroundSteps:    0,
+    edgePass:           false,
+    bloom:              false,
+    particleScale:      0.25,
+    maxPixelRatio:      1,
+    antialias:          false
+  },
+  medium: {
+    label:              'MEDIUM',
+    background:         'animated',
+    backgroundSteps:    24,
+    edgePass:           false,
+    bloom:              false,
+    particleScale:      0.5,
+    maxPixelRatio:      1,
+    antialias:          true
+  },
+  high: {
+    label:              'HIGH',
+    background:         'animated',
+    backgroundSteps:    50,
+    edgePass:           true,
+    bloom:              false,
+    particleScale:      1,
+    maxPixelRatio:      1.5,
+    antialias:          true
+  },
+  ultra: {
+    label:              'ULTRA',
+    background:         'animated',
+    backgroundSteps:    50,
+    edgePass:           true,
+    bloom:              true,
+    particleScale:      1.5,
+    maxPixelRatio:      2,
+    antialias:          true
+  }
+};
+
+// Niveau de départ du mode auto
+export const DEFAULT_GRAPHICS_QUALITY = 'high';
+
+export function isGraphicsQuality(name) {
+  return name === AUTO_GRAPHICS_QUALITY || GRAPHICS_QUALITY_LEVELS.includes(name);
+}
+
+export function getGraphicsPreset(name) {
+  const preset = GRAPHICS_PRESETS[name];
+  if (!preset) throw new Error(`Unknown graphics quality: ${name}`);
+  return preset;
+}
+
+// Niveau immédiatement inférieur, ou null si on est déjà au plus bas
+export function getLowerQuality(name) {
+  const index = GRAPHICS_QUALITY_LEVELS.indexOf(name);
+  return index > 0 ? GRAPHICS_QUALITY_LEVELS[index - 1] : null;
+}
+
+export function loadGraphicsQuality(storage) {
+  try {
+    const stored = storage ? storage.getItem(GRAPHICS_QUALITY_STORAGE_KEY) : null;
+    return isGraphicsQuality(stored) ? stored : AUTO_GRAPHICS_QUALITY;
+  } catch {
+    return AUTO_GRAPHICS_QUALITY;
+  }
+}
+
+export function saveGraphicsQuality(storage, quality) {
+  try {
+    if (storage) storage.setItem(GRAPHICS_QUALITY_STORAGE_KEY, quality);
+  } catch (error) {
+    console.warn(`Graphics quality not saved: ${error.message}`);
+  }
+}
+
+// Moyenne glissante du temps de frame : `sample()` renvoie true quand elle dépasse le budget
+// depuis `sustainMs`, puis se réarme. Les frames aberrantes (onglet masqué, pause du
+// navigateur) sont ignorées pour ne pas déclasser sur un simple à-coup.
+export class FrameBudgetMonitor {
+  constructor({ budgetMs = 1000 / 50, sustainMs = 3000, smoothing = 0.05, outlierMs = 200 } = {}) {
+    this.budgetMs  = budgetMs;
+    this.sustainMs = sustainMs;
+    this.smoothing = smoothing;
+    this.outlierMs = outlierMs;
+    this.reset();
+  }
+
+  reset() {
+    this.average    = null;
+    this.overBudget = 0;
+  }
+
+  sample(frameMs) {
+    if (!(frameMs > 0) || frameMs > this.outlierMs) return false;
+
+    this.average = this.average === null
+      ? frameMs
+      : this.average + (frameMs - this.average) * this.smoothing;
+
+    if (this.average <= this.budgetMs) {
+      this.overBudget = 0;
+      return false;
+    }
+
+    this.overBudget += frameMs;
+    if (this.overBudget < this.sustainMs) return false;
+
+    this.reset();
+    return true;
+  }
+}
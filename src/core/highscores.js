@@ -0,0 +1,183 @@
+// Tableaux des meilleurs scores par mode, persistés dans un Storage (localStorage côté navigateur).
+// Le classement suit le `rankBy` du mode : score décroissant, ou chrono croissant en Sprint.
+import { createGameMode, GAME_MODES } from './modes.js';
+
+export const HIGH_SCORE_STORAGE_KEY = 'tetris.highscores';
+export const HIGH_SCORE_LIMIT       = 10;
+export const HIGH_SCORE_NAME_LENGTH = 12;
+
+// Storage minimal en mémoire (tests, ou localStorage indisponible)
+export class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+export function normalizeHighScoreName(name) {
+  const trimmed = String(name ?? '').trim().slice(0, HIGH_SCORE_NAME_LENGTH);
+  return trimmed || 'PLAYER';
+}
+
+function normalizeEntry(entry) {
+  const number = (value) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+  };
+  if (!entry || typeof entry !== 'object') return null;
+
+  const score    = number(entry.score);
+  const lines    = number(entry.lines);
+  const level    = number(entry.level);
+  const duration = number(entry.duration);
+  const date     = new Date(entry.date);
+  if (score === null || lines === null || level === null || duration === null || Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  return {
+    name: normalizeHighScoreName(entry.name),
+    score,
+    lines,
+    level,
+    duration,
+    date: date.toISOString()
+  };
+}
+
+export class HighScoreTable {
+  constructor({ storage = new MemoryStorage(), key = HIGH_SCORE_STORAGE_KEY, limit = HIGH_SCORE_LIMIT } = {}) {
+    this.storage = storage;
+    this.key     = key;
+    this.limit   = limit;
+    this.tables  = {};
+    this.load();
+  }
+
+  load() {
+    this.tables = {};
+    let raw = null;
+    try {
+      raw = this.storage.getItem(this.key);
+    } catch (error) {
+      console.warn(`High scores unavailable: ${error.message}`);
+    }
+    if (!raw) return;
+
+    try {
+      this.merge(JSON.parse(raw), { replace: true });
+    } catch {
+      // Table corrompue : on repart de zéro plutôt que de bloquer le jeu
+      this.tables = {};
+    }
+  }
+
+  save() {
+    try {
+      this.storage.setItem(this.key, JSON.stringify(this.tables));
+    } catch (error) {
+      console.warn(`High scores not saved: ${error.message}`);
+    }
+  }
+
+  getEntries(mode) {
+    return this.tables[mode] ? [...this.tables[mode]] : [];
+  }
+
+  getPersonalBest(mode) {
+    return this.tables[mode]?.[0] ?? null;
+  }
+
+  compare(mode, a, b) {
+    if (createGameMode(mode).rankBy === 'time') {
+      return a.duration - b.duration || b.score - a.score || a.date.localeCompare(b.date);
+    }
+    return b.score - a.score || b.lines - a.lines || a.date.localeCompare(b.date);
+  }
+
+  // Une partie Sprint n'entre au tableau que si l'objectif de lignes est atteint
+  isEligible(mode, { reason }) {
+    return createGameMode(mode).rankBy !== 'time' || reason === 'cleared';
+  }
+
+  // Rang (0-based) qu'obtiendrait l'entrée, -1 si elle ne rentre pas dans le top
+  getRank(mode, entry, result = {}) {
+    if (!this.isEligible(mode, result)) return -1;
+    const entries = this.getEntries(mode);
+    const rank = entries.findIndex(existing => this.compare(mode, entry, existing) < 0);
+    const position = rank === -1 ? entries.length : rank;
+    return position < this.limit ? position : -1;
+  }
+
+  add(mode, entry, result = {}) {
+    const normalized = normalizeEntry(entry);
+    if (!normalized) throw new Error('Invalid high score entry');
+
+    const rank = this.getRank(mode, normalized, result);
+    if (rank === -1) return -1;
+
+    const entries = this.getEntries(mode);
+    entries.splice(rank, 0, normalized);
+    this.tables[mode] = entries.slice(0, this.limit);
+    this.save();
+    return rank;
+  }
+
+  clear(mode) {
+    if (mode) delete this.tables[mode];
+    else this.tables = {};
+    this.save();
+  }
+
+  // Fusionne des tables { mode: [entrées] } ; les modes et entrées invalides sont ignorés
+  merge(data, { replace = false } = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Invalid high score data');
+    }
+
+    const tables = replace ? {} : { ...this.tables };
+    for (const [mode, entries] of Object.entries(data)) {
+      if (!(mode in GAME_MODES) || !Array.isArray(entries)) continue;
+      const merged = [...(tables[mode] || []), ...entries.map(normalizeEntry).filter(Boolean)];
+      const seen = new Set();
+      tables[mode] = merged
+        .filter(entry => {
+          const id = `${entry.name}|${entry.score}|${entry.duration}|${entry.date}`;
+          if (seen.has(id)) return false;
+          seen.add(id);
+          return true;
+        })
+        .sort((a, b) => this.compare(mode, a, b))
+        .slice(0, this.limit);
+    }
+    this.tables = tables;
+  }
+
+  exportJSON() {
+    return JSON.stringify({ format: 'tetris-highscores', version: 1, tables: this.tables }, null, 2);
+  }
+
+  importJSON(text, { replace = false } = {}) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('Invalid high score file: not JSON');
+    }
+    if (!data || data.format !== 'tetris-highscores') throw new Error('Invalid high score file: unknown format');
+
+    this.merge(data.tables, { replace });
+    this.save();
+  }
+}
@@ -0,0 +1,148 @@
+// Modes de jeu : condition de fin, progression de niveau et champs HUD propres à chaque mode.
+// GameState interroge son mode après chaque tick et chaque line clear (checkEnd) ; setup()
+// prépare le plateau au reset et afterLock() suit chaque verrouillage.
+
+export class MarathonMode {
+  constructor() {
+    this.name  = 'marathon';
+    this.label = 'MARATHON';
+    this.levelProgression = true;
+    this.rankBy = 'score';
+  }
+
+  setup() {}
+
+  afterLock() {}
+
+  // Partie sans fin : seul le top out l'arrête
+  checkEnd() {
+    return null;
+  }
+
+  getTimer(state) {
+    return state.elapsedTime;
+  }
+
+  getLinesRemaining() {
+    return null;
+  }
+}
+
+// Sprint : effacer `lineGoal` lignes le plus vite possible, niveau figé
+export class SprintMode {
+  constructor({ lineGoal = 40 } = {}) {
+    this.name  = 'sprint';
+    this.label = `SPRINT ${lineGoal}L`;
+    this.lineGoal = lineGoal;
+    this.levelProgression = false;
+    this.rankBy = 'time';
+  }
+
+  setup() {}
+
+  afterLock() {}
+
+  checkEnd(state) {
+    return state.linesCleared >= this.lineGoal ? 'cleared' : null;
+  }
+
+  getTimer(state) {
+    return state.elapsedTime;
+  }
+
+  getLinesRemaining(state) {
+    return Math.max(0, this.lineGoal - state.linesCleared);
+  }
+}
+
+// Ultra : meilleur score possible en `timeLimit` ms, niveau figé
+export class UltraMode {
+  constructor({ timeLimit = 120000 } = {}) {
+    this.name  = 'ultra';
+    this.label = `ULTRA ${timeLimit / 1000}S`;
+    this.timeLimit = timeLimit;
+    this.levelProgression = false;
+    this.rankBy = 'score';
+  }
+
+  setup() {}
+
+  afterLock() {}
+
+  checkEnd(state) {
+    return state.elapsedTime >= this.timeLimit ? 'timeUp' : null;
+  }
+
+  getTimer(state) {
+    return Math.max(0, this.timeLimit - state.elapsedTime);
+  }
+
+  getLinesRemaining() {
+    return null;
+  }
+}
+
+// Dig : creuser `lineGoal` lignes de déchets le plus vite possible. La pile en garde
+// `visibleRows` d'avance, complétée par le bas après chaque verrouillage.
+export class DigMode {
+  constructor({ lineGoal = 10, visibleRows = 10, messiness = 1 } = {}) {
+    this.name  = `dig${lineGoal}`;
+    this.label = `DIG ${lineGoal}L`;
+    this.lineGoal    = lineGoal;
+    this.visibleRows = visibleRows;
+    this.messiness   = messiness;
+    this.levelProgression = false;
+    this.rankBy = 'time';
+  }
+
+  setup(state) {
+    this.refill(state);
+  }
+
+  afterLock(state) {
+    this.refill(state);
+  }
+
+  // Les lignes déjà générées se déduisent de la grille : rien à sauvegarder côté mode
+  refill(state) {
+    const onBoard   = state.countGarbageRows();
+    const generated = state.garbageCleared + onBoard;
+    const missing   = Math.min(this.visibleRows - onBoard, this.lineGoal - generated);
+    if (missing > 0) state.addGarbage(missing, { messiness: this.messiness });
+  }
+
+  checkEnd(state) {
+    return state.garbageCleared >= this.lineGoal ? 'cleared' : null;
+  }
+
+  getTimer(state) {
+    return state.elapsedTime;
+  }
+
+  getLinesRemaining(state) {
+    return Math.max(0, this.lineGoal - state.garbageCleared);
+  }
+}
+
+export const GAME_MODES = {
+  marathon: () => new MarathonMode(),
+  sprint:   () => new SprintMode({ lineGoal: 40 }),
+  ultra:    () => new UltraMode({ timeLimit: 120000 }),
+  dig10:    () => new DigMode({ lineGoal: 10 }),
+  dig100:   () => new DigMode({ lineGoal: 100 })
+};
+
+export function createGameMode(name) {
+  const factory = GAME_MODES[name];
+  if (!factory) throw new Error(`Unknown game mode: ${name}`);
+  return factory();
+}
+
+// 83456 → "1:23.456"
+export function formatDuration(ms) {
+  const total   = Math.max(0, Math.floor(ms));
+  const minutes = Math.floor(total / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis  = total % 1000;
+  return `${minutes}:${String(seconds).padStart(2, '0')}.${String(millis).padStart(3, '0')}`;
+}
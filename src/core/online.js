@@ -0,0 +1,318 @@
+// Multijoueur en ligne : protocole JSON partagé par le client (navigateur) et le serveur de
+// référence (server/). Le serveur ne simule rien : il tient les salles, tire la graine commune
+// au départ, route les attaques et relaie les photographies de plateau (GameState.serialize()).
+// Chaque client simule sa propre partie ; les plateaux adverses sont des GameState restaurés.
+//   NetClient   : connected, disconnected, welcome, roomChanged, matchStarted, snapshot, attack,
+//                 playerOut, results, serverError
+//   OnlineMatch : matchStarted, boardChanged, snapshotRejected, attack, playerOut, matchOver
+import { EventEmitter } from './EventEmitter.js';
+import { GameState } from './GameState.js';
+import { GRID_WIDTH, GRID_HEIGHT, GAMEPLAY_CONFIG } from './config.js';
+import { PIECE_SETS, fitsBoard } from './pieceSets.js';
+import { PIECE_GENERATORS } from './random.js';
+import { normalizeHighScoreName } from './highscores.js';
+
+export const PROTOCOL_VERSION  = 1;
+export const WEBSOCKET_PATH    = '/ws';
+export const MAX_ROOM_PLAYERS  = 4;
+export const ROOM_CODE_LENGTH  = 4;
+export const MAX_ATTACK_LINES  = 20;
+export const SNAPSHOT_INTERVAL = 100;   // ms de jeu entre deux photographies envoyées
+export const ONLINE_MODE       = 'marathon';
+
+// Sans I, O, 0 ni 1 : un code de salle se dicte sans ambiguïté
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MAX_BOARD_SIZE     = 40;
+
+// readyState d'un WebSocket ouvert (navigateur comme client Node du serveur de référence)
+const SOCKET_OPEN = 1;
+
+// Messages reçus par le client et événements NetClient correspondants
+const CLIENT_EVENTS = {
+  start:     'matchStarted',
+  snapshot:  'snapshot',
+  attack:    'attack',
+  playerOut: 'playerOut',
+  results:   'results',
+  error:     'serverError'
+};
+
+export const DEFAULT_MATCH_OPTIONS = {
+  width:        GRID_WIDTH,
+  height:       GRID_HEIGHT,
+  pieceSet:     GAMEPLAY_CONFIG.pieceSet,
+  generator:    GAMEPLAY_CONFIG.pieceGenerator,
+  previewCount: GAMEPLAY_CONFIG.previewCount
+};
+
+export function encodeMessage(type, payload = {}) {
+  return JSON.stringify({ ...payload, type });
+}
+
+// Objet JSON muni d'un `type` texte, sinon null
+export function decodeMessage(data) {
+  try {
+    const message = JSON.parse(String(data));
+    return message && typeof message === 'object' && typeof message.type === 'string' ? message : null;
+  } catch {
+    return null;
+  }
+}
+
+export function createRoomCode(random = Math.random) {
+  return Array.from({ length: ROOM_CODE_LENGTH }, () => (
+    ROOM_CODE_ALPHABET[Math.floor(random() * ROOM_CODE_ALPHABET.length)]
+  )).join('');
+}
+
+export function normalizeRoomCode(code) {
+  const normalized = String(code ?? '').trim().toUpperCase();
+  const isValid = normalized.length === ROOM_CODE_LENGTH && [...normalized].every(char => ROOM_CODE_ALPHABET.includes(char));
+  return isValid ? normalized : null;
+}
+
+// Même règle que les noms du tableau des scores
+export function normalizePlayerName(name) {
+  return normalizeHighScoreName(name);
+}
+
+// Réglages de partie d'une salle (choisis par son créateur) : tout champ invalide reprend
+// la valeur par défaut. Largeur, hauteur et jeu de pièces se valident ensemble (le plateau doit
+// contenir le jeu) : une combinaison refusée les remet tous trois par défaut
+export function sanitizeMatchOptions(data) {
+  const options = { ...DEFAULT_MATCH_OPTIONS };
+  if (!data || typeof data !== 'object') return options;
+
+  if (Object.hasOwn(PIECE_GENERATORS, data.generator)) options.generator = data.generator;
+  if (Number.isInteger(data.previewCount)) {
+    options.previewCount = Math.max(1, Math.min(GAMEPLAY_CONFIG.maxPreviewCount, data.previewCount));
+  }
+
+  const {
+    width    = options.width,
+    height   = options.height,
+    pieceSet = options.pieceSet
+  } = data;
+  if (width <= MAX_BOARD_SIZE && height <= MAX_BOARD_SIZE
+    && Object.hasOwn(PIECE_SETS, pieceSet) && fitsBoard(pieceSet, width, height)) {
+    Object.assign(options, { width, height, pieceSet });
+  }
+  return options;
+}
+
+// Connexion au serveur de référence. Le constructeur `WebSocket` est injecté (celui du navigateur
+// par défaut, NodeWebSocket de server/websocket.js sous Node) ; seuls send/close, readyState et
+// les événements open / message / close sont utilisés. Les messages émis pendant l'ouverture
+// partent dès qu'elle aboutit.
+export class NetClient extends EventEmitter {
+  constructor({ url, WebSocket: Socket = globalThis.WebSocket } = {}) {
+    super();
+    this.url      = url;
+    this.Socket   = Socket;
+    this.socket   = null;
+    this.outbox   = [];
+    this.playerId = null;
+    this.room     = null;
+  }
+
+  get isConnected() {
+    return this.socket !== null && this.socket.readyState === SOCKET_OPEN;
+  }
+
+  connect() {
+    if (this.socket) return;
+    const socket = new this.Socket(this.url);
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      this.outbox.splice(0).forEach(text => socket.send(text));
+      this.emit('connected', { url: this.url });
+    });
+    socket.addEventListener('message', ({ data }) => this.handleMessage(decodeMessage(data)));
+    socket.addEventListener('close', () => {
+      if (this.socket === socket) this.handleDisconnect();
+    });
+  }
+
+  disconnect() {
+    const socket = this.socket;
+    if (!socket) return;
+    this.handleDisconnect();
+    socket.close();
+  }
+
+  handleDisconnect() {
+    this.socket   = null;
+    this.outbox   = [];
+    this.playerId = null;
+    this.room     = null;
+    this.emit('disconnected', { url: this.url });
+  }
+
+  send(type, payload) {
+    if (!this.socket) return false;
+    const text = encodeMessage(type, payload);
+    if (this.isConnected) this.socket.send(text);
+    else this.outbox.push(text);
+    return true;
+  }
+
+  // Sans code, le serveur crée une salle avec ces réglages
+  createRoom(name, options) {
+    return this.send('join', { version: PROTOCOL_VERSION, name, options });
+  }
+
+  joinRoom(code, name) {
+    return this.send('join', { version: PROTOCOL_VERSION, room: code, name });
+  }
+
+  leaveRoom() {
+    return this.send('leave');
+  }
+
+  setReady(ready) {
+    return this.send('ready', { ready });
+  }
+
+  sendSnapshot(board) {
+    return this.send('snapshot', { board });
+  }
+
+  sendAttack(lines) {
+    return this.send('attack', { lines });
+  }
+
+  sendGameOver(result) {
+    return this.send('gameOver', result);
+  }
+
+  getLocalPlayer() {
+    return this.room?.players.find(player => player.id === this.playerId) ?? null;
+  }
+
+  handleMessage(message) {
+    if (!message) return;
+    if (message.type === 'welcome') {
+      this.playerId = message.id;
+      this.emit('welcome', message);
+    } else if (message.type === 'room') {
+      this.room = message.room;
+      this.emit('roomChanged', { room: this.room });
+    } else if (CLIENT_EVENTS[message.type]) {
+      this.emit(CLIENT_EVENTS[message.type], message);
+    }
+  }
+}
+
+// Partie en ligne vue d'un client : le GameState local, piloté par le joueur, et un GameState
+// par adversaire, restauré depuis ses photographies. Démarre sur le `start` du serveur (graine et
+// réglages de la salle), se termine sur ses `results`.
+export class OnlineMatch extends EventEmitter {
+  constructor({ client, snapshotInterval = SNAPSHOT_INTERVAL }) {
+    super();
+    this.client           = client;
+    this.snapshotInterval = snapshotInterval;
+    this.state            = null;
+    this.opponents        = new Map();
+    this.players          = [];
+    this.isRunning        = false;
+    this.results          = null;
+    this.snapshotTimer    = 0;
+    this.stateSubscriptions = [];
+
+    this.subscriptions = [
+      client.on('matchStarted', (detail) => this.start(detail)),
+      client.on('snapshot',     ({ from, board }) => this.applySnapshot(from, board)),
+      client.on('attack',       ({ from, lines }) => this.receiveAttack(from, lines)),
+      client.on('playerOut',    ({ player, reason }) => this.emit('playerOut', { player, reason })),
+      client.on('results',      (detail) => this.finish(detail)),
+      client.on('disconnected', () => this.finish({ winner: null, standings: [], aborted: true }))
+    ];
+  }
+
+  get isOver() {
+    return this.results !== null;
+  }
+
+  start({ seed, options, players }) {
+    const settings = { ...sanitizeMatchOptions(options), seed, mode: ONLINE_MODE };
+    const localId  = this.client.playerId;
+
+    this.stateSubscriptions.forEach(unsubscribe => unsubscribe());
+    this.state     = new GameState(settings);
+    this.players   = players;
+    this.opponents = new Map(players
+      .filter(player => player.id !== localId)
+      .map(player => [player.id, new GameState(settings)]));
+    this.stateSubscriptions = [
+      this.state.on('attack',   ({ lines }) => this.client.sendAttack(lines)),
+      this.state.on('gameOver', (detail) => this.sendGameOver(detail))
+    ];
+
+    this.isRunning     = true;
+    this.results       = null;
+    this.snapshotTimer = 0;
+    this.sendSnapshot();
+    this.emit('matchStarted', { seed, options: settings, players });
+  }
+
+  // Photographie finale avant l'annonce : les adversaires voient la pile qui a débordé
+  sendGameOver({ reason, score, linesCleared, level }) {
+    this.sendSnapshot();
+    this.client.sendGameOver({ reason, score, linesCleared, level });
+  }
+
+  sendSnapshot() {
+    this.snapshotTimer = 0;
+    this.client.sendSnapshot(this.state.serialize());
+  }
+
+  // Une photographie d'un autre plateau ou jeu de pièces, ou illisible, est refusée :
+  // restore() ne modifie rien avant d'avoir tout validé, le plateau adverse garde son dernier état
+  applySnapshot(from, board) {
+    const opponent = this.opponents.get(from);
+    if (!opponent) return;
+
+    try {
+      if (!board || board.width !== opponent.width || board.height !== opponent.height
+        || board.pieceSet !== opponent.pieceSetName) {
+        throw new Error('Invalid snapshot: board does not match the room');
+      }
+      opponent.restore(board);
+    } catch (error) {
+      this.emit('snapshotRejected', { player: from, reason: error.message });
+      return;
+    }
+    this.emit('boardChanged', { player: from, state: opponent });
+  }
+
+  receiveAttack(from, lines) {
+    if (!this.isRunning) return;
+    this.state.receiveGarbage(lines);
+    this.emit('attack', { from, lines });
+  }
+
+  finish({ winner, standings, aborted = false }) {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    this.results   = { winner, standings, aborted };
+    this.emit('matchOver', this.results);
+  }
+
+  // Le plateau local continue d'avancer jusqu'aux résultats ; éliminé, il reste figé
+  step(deltaTime, control) {
+    if (!this.isRunning) return;
+    if (!this.state.isGameOver) this.state.step(deltaTime, control);
+
+    this.snapshotTimer += deltaTime;
+    if (this.snapshotTimer >= this.snapshotInterval && !this.state.isGameOver) this.sendSnapshot();
+  }
+
+  dispose() {
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.stateSubscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions      = [];
+    this.stateSubscriptions = [];
+    this.isRunning          = false;
+  }
+}
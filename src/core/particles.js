@@ -0,0 +1,109 @@
+// Pool de particules à capacité fixe, en tableaux typés : aucune allocation après la
+// construction. Les particules vivantes restent tassées dans [0, count) — une particule
+// morte est remplacée par la dernière — pour être copiées telles quelles dans un InstancedMesh.
+// Physique exprimée par seconde (vitesses, gravité, rotation), indépendante de la cadence.
+
+export const DEFAULT_PARTICLE_PHYSICS = {
+  velocityRangeXY: 21,    // unités/s, amplitude totale centrée sur 0
+  velocityRangeZ:  9,
+  gravity:         43,    // unités/s²
+  decayRate:       1.8,   // vie perdue par seconde (vie initiale 1)
+  scaleDecay:      1.8,   // taux de décroissance exponentielle de l'échelle, par seconde
+  spinX:           2.4,   // rad/s
+  spinY:           1.8
+};
+
+export class ParticlePool {
+  constructor({ capacity = 512, physics = {}, random = Math.random } = {}) {
+    this.capacity = capacity;
+    this.physics  = { ...DEFAULT_PARTICLE_PHYSICS, ...physics };
+    this.random   = random;
+    this.count    = 0;
+
+    this.position = new Float32Array(capacity * 3);
+    this.velocity = new Float32Array(capacity * 3);
+    this.rotation = new Float32Array(capacity * 3);
+    this.color    = new Float32Array(capacity * 3);
+    this.life     = new Float32Array(capacity);
+    this.scale    = new Float32Array(capacity);
+  }
+
+  // Pool plein : la particule la plus proche de sa fin est recyclée
+  allocate() {
+    if (this.count < this.capacity) return this.count++;
+
+    let oldest = 0;
+    for (let i = 1; i < this.count; i++) {
+      if (this.life[i] < this.life[oldest]) oldest = i;
+    }
+    return oldest;
+  }
+
+  spawn(x, y, z, r, g, b) {
+    const { velocityRangeXY, velocityRangeZ } = this.physics;
+    const random = this.random;
+    const i  = this.allocate();
+    const i3 = i * 3;
+
+    this.position[i3]     = x;
+    this.position[i3 + 1] = y;
+    this.position[i3 + 2] = z;
+    this.velocity[i3]     = (random() - 0.5) * velocityRangeXY;
+    this.velocity[i3 + 1] = (random() - 0.5) * velocityRangeXY;
+    this.velocity[i3 + 2] = (random() - 0.5) * velocityRangeZ;
+    this.rotation[i3]     = random() * Math.PI * 2;
+    this.rotation[i3 + 1] = random() * Math.PI * 2;
+    this.rotation[i3 + 2] = random() * Math.PI * 2;
+    this.color[i3]        = r;
+    this.color[i3 + 1]    = g;
+    this.color[i3 + 2]    = b;
+    this.life[i]  = 1;
+    this.scale[i] = 1;
+    return i;
+  }
+
+  // Opacité de la particule i : suit la vie restante
+  getAlpha(i) {
+    return Math.min(1, Math.max(0, this.life[i]));
+  }
+
+  update(dt) {
+    const { gravity, decayRate, scaleDecay, spinX, spinY } = this.physics;
+    const scaleFactor = Math.exp(-scaleDecay * dt);
+
+    for (let i = 0; i < this.count; i++) {
+      this.life[i] -= decayRate * dt;
+      if (this.life[i] <= 0) {
+        this.kill(i);
+        i--;   // la dernière particule a pris cette place : on la traite à son tour
+        continue;
+      }
+
+      const i3 = i * 3;
+      // Intégration exacte sous gravité constante : même trajectoire quel que soit dt
+      this.position[i3]     += this.velocity[i3] * dt;
+      this.position[i3 + 1] += this.velocity[i3 + 1] * dt - 0.5 * gravity * dt * dt;
+      this.position[i3 + 2] += this.velocity[i3 + 2] * dt;
+      this.velocity[i3 + 1] -= gravity * dt;
+      this.rotation[i3]     += spinX * dt;
+      this.rotation[i3 + 1] += spinY * dt;
+      this.scale[i] *= scaleFactor;
+    }
+  }
+
+  kill(i) {
+    const last = --this.count;
+    if (i === last) return;
+
+    this.position.copyWithin(i * 3, last * 3, last * 3 + 3);
+    this.velocity.copyWithin(i * 3, last * 3, last * 3 + 3);
+    this.rotation.copyWithin(i * 3, last * 3, last * 3 + 3);
+    this.color.copyWithin(i * 3, last * 3, last * 3 + 3);
+    this.life[i]  = this.life[last];
+    this.scale[i] = this.scale[last];
+  }
+
+  clear() {
+    this.count = 0;
+  }
+}
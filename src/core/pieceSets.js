@@ -0,0 +1,69 @@
+// Jeux de pièces sélectionnables : tétriminos SRS, pentominos et "big mode" (tétriminos 2×).
+// Chaque jeu suit le format de SHAPES ; le moteur n'applique la règle des T-spins qu'aux jeux qui la déclarent.
+import { SHAPES } from './shapes.js';
+
+// Orientation de spawn à plat, boîte 3×3 (pivot central), 4×4 ou 5×5 pour les pièces longues.
+// Les kicks JLSTZ servent d'approximation : il n'existe pas de table officielle pour les pentominos.
+export const PENTOMINOES = {
+  F: { coords: [[1,2], [2,2], [0,1], [1,1], [1,0]],        pivot: [1, 1],     kicks: 'JLSTZ', color: 0xB87333 }, // Cuivre rouge
+  I: { coords: [[0,2], [1,2], [2,2], [3,2], [4,2]],        pivot: [2, 2],     kicks: 'JLSTZ', color: 0xFFD700 }, // Or
+  L: { coords: [[3,2], [0,1], [1,1], [2,1], [3,1]],        pivot: [1.5, 1.5], kicks: 'JLSTZ', color: 0xCD7F32 }, // Bronze
+  N: { coords: [[2,2], [3,2], [0,1], [1,1], [2,1]],        pivot: [1.5, 1.5], kicks: 'JLSTZ', color: 0x4682B4 }, // Acier
+  P: { coords: [[0,2], [1,2], [2,2], [0,1], [1,1]],        pivot: [1, 1],     kicks: 'JLSTZ', color: 0xFB641E }, // Cuivre
+  T: { coords: [[0,2], [1,2], [2,2], [1,1], [1,0]],        pivot: [1, 1],     kicks: 'JLSTZ', color: 0xE0E0E0 }, // Argent
+  U: { coords: [[0,2], [2,2], [0,1], [1,1], [2,1]],        pivot: [1, 1],     kicks: 'JLSTZ', color: 0x8A9A5B }, // Laiton vert-de-gris
+  V: { coords: [[0,2], [0,1], [0,0], [1,0], [2,0]],        pivot: [1, 1],     kicks: 'JLSTZ', color: 0x00FF7F }, // Émeraude
+  W: { coords: [[0,2], [0,1], [1,1], [1,0], [2,0]],        pivot: [1, 1],     kicks: 'JLSTZ', color: 0x1E90FF }, // Acier bleu
+  X: { coords: [[1,2], [0,1], [1,1], [2,1], [1,0]],        pivot: [1, 1],     kicks: 'O',     color: 0xE5E4E2 }, // Platine
+  Y: { coords: [[2,2], [0,1], [1,1], [2,1], [3,1]],        pivot: [1.5, 1.5], kicks: 'JLSTZ', color: 0x9C7C38 }, // Laiton
+  Z: { coords: [[0,2], [1,2], [1,1], [1,0], [2,0]],        pivot: [1, 1],     kicks: 'JLSTZ', color: 0x878681 }  // Titane
+};
+
+// Agrandit chaque mino en carré factor×factor ; le pivot reste au centre du même mino
+// et les décalages de kick sont multipliés d'autant
+export function scaleShapes(shapes, factor) {
+  return Object.fromEntries(Object.entries(shapes).map(([type, shape]) => [type, {
+    ...shape,
+    coords: shape.coords.flatMap(([x, y]) => {
+      const cells = [];
+      for (let dy = 0; dy < factor; dy++) {
+        for (let dx = 0; dx < factor; dx++) cells.push([x * factor + dx, y * factor + dy]);
+      }
+      return cells;
+    }),
+    pivot:     shape.pivot.map(p => p * factor + (factor - 1) / 2),
+    kickScale: (shape.kickScale ?? 1) * factor
+  }]));
+}
+
+export const PIECE_SETS = {
+  standard:  { label: 'TETROMINO', shapes: SHAPES,                 tSpins: true },
+  pentomino: { label: 'PENTOMINO', shapes: PENTOMINOES,            tSpins: false },
+  big:       { label: 'BIG MODE',  shapes: scaleShapes(SHAPES, 2), tSpins: false }
+};
+
+export function getPieceSet(name) {
+  const pieceSet = PIECE_SETS[name];
+  if (!pieceSet) throw new Error(`Unknown piece set: ${name}`);
+  return pieceSet;
+}
+
+// Nombre de minos de la plus grosse pièce, tous jeux confondus (meshes alloués par la vue)
+export const MAX_PIECE_BLOCKS = Math.max(
+  ...Object.values(PIECE_SETS).flatMap(({ shapes }) => Object.values(shapes).map(shape => shape.coords.length))
+);
+
+// Boîte d'apparition la plus large et la plus haute du jeu
+export function getPieceSetExtent(name) {
+  const shapes = Object.values(getPieceSet(name).shapes);
+  return {
+    width:  Math.max(...shapes.map(shape => Math.max(...shape.coords.map(c => c[0])) + 1)),
+    height: Math.max(...shapes.map(shape => Math.max(...shape.coords.map(c => c[1])) + 1))
+  };
+}
+
+// Le plateau doit au moins contenir chaque pièce dans son orientation d'apparition
+export function fitsBoard(name, width, height) {
+  const extent = getPieceSetExtent(name);
+  return Number.isInteger(width) && Number.isInteger(height) && width >= extent.width && height >= extent.height;
+}
@@ -0,0 +1,161 @@
+// Aléa seedable et générateurs de pièces (classique, sacs, historique TGM).
+import { SHAPES } from './shapes.js';
+
+// PRNG mulberry32 : 32 bits d'état, suffisant pour rejouer une partie à l'identique
+export class SeededRandom {
+  constructor(seed = SeededRandom.createSeed()) {
+    this.seed  = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  static createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+
+    // Graine textuelle (ex: ?seed=daily) hachée en FNV-1a
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+      hash ^= char.charCodeAt(0);
+      hash  = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t  = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = this.nextInt(i + 1);
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  getState() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  setState({ seed, state }) {
+    this.seed  = seed >>> 0;
+    this.state = state >>> 0;
+  }
+}
+
+// Chaque générateur expose next() -> type de pièce ; l'aléa vient uniquement du rng fourni.
+// getState()/setState() capturent ce qui n'est pas dans le rng (sac en cours, historique).
+export class ClassicGenerator {
+  constructor(types, rng) {
+    this.types = types;
+    this.rng   = rng;
+  }
+
+  next() {
+    return this.types[this.rng.nextInt(this.types.length)];
+  }
+
+  getState() {
+    return {};
+  }
+
+  setState() {}
+}
+
+export class BagGenerator {
+  constructor(types, rng, { copies = 1 } = {}) {
+    this.types  = types;
+    this.rng    = rng;
+    this.copies = copies;
+    this.bag    = [];
+  }
+
+  refill() {
+    const bag = [];
+    for (let i = 0; i < this.copies; i++) bag.push(...this.types);
+    this.bag = this.rng.shuffle(bag);
+  }
+
+  next() {
+    if (this.bag.length === 0) this.refill();
+    return this.bag.shift();
+  }
+
+  getState() {
+    return { bag: [...this.bag] };
+  }
+
+  setState({ bag = [] }) {
+    this.bag = bag.filter(type => this.types.includes(type));
+  }
+}
+
+// Style TGM : relance le tirage tant que la pièce figure dans l'historique récent
+export class HistoryGenerator {
+  constructor(types, rng, {
+    historySize    = 4,
+    rolls          = 6,
+    initialHistory = ['Z', 'S', 'Z', 'S'],
+    forbiddenFirst = ['S', 'Z', 'O']
+  } = {}) {
+    this.types   = types;
+    this.rng     = rng;
+    this.rolls   = rolls;
+    this.history = initialHistory.filter(type => types.includes(type)).slice(-historySize);
+    this.historySize = historySize;
+
+    const firstChoices = types.filter(type => !forbiddenFirst.includes(type));
+    this.firstChoices  = firstChoices.length > 0 ? firstChoices : types;
+    this.isFirst       = true;
+  }
+
+  next() {
+    let type;
+    if (this.isFirst) {
+      type = this.firstChoices[this.rng.nextInt(this.firstChoices.length)];
+      this.isFirst = false;
+    } else {
+      for (let roll = 0; roll < this.rolls; roll++) {
+        type = this.types[this.rng.nextInt(this.types.length)];
+        if (!this.history.includes(type)) break;
+      }
+    }
+
+    this.history.push(type);
+    if (this.history.length > this.historySize) this.history.shift();
+    return type;
+  }
+
+  getState() {
+    return { history: [...this.history], isFirst: this.isFirst };
+  }
+
+  setState({ history = [], isFirst = false }) {
+    this.history = history.filter(type => this.types.includes(type)).slice(-this.historySize);
+    this.isFirst = Boolean(isFirst);
+  }
+}
+
+export const PIECE_GENERATORS = {
+  classic: (types, rng) => new ClassicGenerator(types, rng),
+  bag7:    (types, rng) => new BagGenerator(types, rng, { copies: 1 }),
+  bag14:   (types, rng) => new BagGenerator(types, rng, { copies: 2 }),
+  tgm:     (types, rng) => new HistoryGenerator(types, rng)
+};
+
+export function createPieceGenerator(name, rng, types = Object.keys(SHAPES)) {
+  const factory = PIECE_GENERATORS[name];
+  if (!factory) throw new Error(`Unknown piece generator: ${name}`);
+  return factory(types, rng);
+}
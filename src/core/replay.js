@@ -0,0 +1,173 @@
+// Replays déterministes : graine + entrées horodatées au tick de simulation.
+// Le moteur étant piloté à pas fixe, rejouer les mêmes entrées aux mêmes ticks
+// à partir de la même graine reproduit la partie à l'identique.
+import { GRID_WIDTH, GRID_HEIGHT, GAMEPLAY_CONFIG } from './config.js';
+import { PIECE_GENERATORS } from './random.js';
+import { GAME_MODES } from './modes.js';
+import { PIECE_SETS, fitsBoard } from './pieceSets.js';
+
+export const REPLAY_FORMAT  = 'tetris-replay';
+// v2 : zone cachée et règles d'apparition guideline, les replays v1 ne se reproduisent plus
+export const REPLAY_VERSION = 2;
+
+// Codes courts pour garder le JSON compact
+export const REPLAY_ACTION_CODES = {
+  moveLeft:  'L',
+  moveRight: 'R',
+  softDrop:  'D',
+  hardDrop:  'H',
+  rotateCW:  'CW',
+  rotateCCW: 'CCW',
+  rotate180: 'F',
+  hold:      'C'
+};
+
+const REPLAY_ACTIONS_BY_CODE = Object.fromEntries(
+  Object.entries(REPLAY_ACTION_CODES).map(([action, code]) => [code, action])
+);
+
+// Changements d'état du soft drop maintenu (la gravité accélérée n'est pas une action)
+const SOFT_DROP_HELD     = 'S+';
+const SOFT_DROP_RELEASED = 'S-';
+
+export class ReplayRecorder {
+  constructor({
+    seed,
+    generator      = GAMEPLAY_CONFIG.pieceGenerator,
+    mode           = GAMEPLAY_CONFIG.gameMode,
+    width          = GRID_WIDTH,
+    height         = GRID_HEIGHT,
+    pieceSet       = GAMEPLAY_CONFIG.pieceSet,
+    previewCount   = GAMEPLAY_CONFIG.previewCount,
+    tickMs,
+    softDropFactor = 1
+  }) {
+    this.header = { seed, generator, mode, width, height, pieceSet, previewCount, tickMs, softDropFactor };
+    this.inputs = [];          // [tick, code, toWall?]
+    this.softDropping = false;
+  }
+
+  // Reprend un enregistrement interrompu (partie sauvegardée puis restaurée)
+  static fromReplay(replay) {
+    const recorder = new ReplayRecorder(replay);
+    recorder.inputs = replay.inputs.map(entry => [...entry]);
+    const lastSoftDrop = recorder.inputs.findLast(([, code]) => code === SOFT_DROP_HELD || code === SOFT_DROP_RELEASED);
+    recorder.softDropping = Boolean(lastSoftDrop) && lastSoftDrop[1] === SOFT_DROP_HELD;
+    return recorder;
+  }
+
+  recordAction(tick, action, { toWall = false } = {}) {
+    const code = REPLAY_ACTION_CODES[action];
+    if (!code) return;
+    this.inputs.push(toWall ? [tick, code, 1] : [tick, code]);
+  }
+
+  recordSoftDrop(tick, held) {
+    if (held === this.softDropping) return;
+    this.softDropping = held;
+    this.inputs.push([tick, held ? SOFT_DROP_HELD : SOFT_DROP_RELEASED]);
+  }
+
+  finish({ ticks, score = 0, lines = 0, level = 1, previewCount = this.header.previewCount } = {}) {
+    return {
+      format:  REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      ...this.header,
+      previewCount,
+      ticks,
+      result: { score, lines, level },
+      inputs: this.inputs.map(entry => [...entry])
+    };
+  }
+}
+
+// Les ticks sont stockés en delta par rapport à l'entrée précédente
+export function serializeReplay(replay) {
+  let previousTick = 0;
+  const inputs = replay.inputs.map(([tick, ...rest]) => {
+    const delta = tick - previousTick;
+    previousTick = tick;
+    return [delta, ...rest];
+  });
+  return JSON.stringify({ ...replay, inputs });
+}
+
+export function parseReplay(text) {
+  let data;
+  try {
+    data = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch {
+    throw new Error('Invalid replay: not JSON');
+  }
+
+  if (!data || data.format !== REPLAY_FORMAT) throw new Error('Invalid replay: unknown format');
+  if (data.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version: ${data.version}`);
+  if (!(data.tickMs > 0) || !Number.isInteger(data.ticks) || !Array.isArray(data.inputs)) {
+    throw new Error('Invalid replay: missing header fields');
+  }
+
+  const { generator, mode = GAMEPLAY_CONFIG.gameMode, width, height, pieceSet } = data;
+  if (!Object.hasOwn(PIECE_GENERATORS, generator)) throw new Error(`Invalid replay: unknown piece generator ${generator}`);
+  if (!Object.hasOwn(GAME_MODES, mode))           throw new Error(`Invalid replay: unknown game mode ${mode}`);
+  if (!Object.hasOwn(PIECE_SETS, pieceSet))       throw new Error(`Invalid replay: unknown piece set ${pieceSet}`);
+  if (!fitsBoard(pieceSet, width, height))        throw new Error(`Invalid replay: board is ${width}x${height} (${pieceSet})`);
+
+  const { seed, previewCount, softDropFactor } = data;
+  if (!Number.isFinite(seed))                                  throw new Error(`Invalid replay: seed ${seed}`);
+  if (!Number.isInteger(previewCount) || previewCount < 0)     throw new Error(`Invalid replay: preview count ${previewCount}`);
+  if (!Number.isFinite(softDropFactor) || softDropFactor <= 0) throw new Error(`Invalid replay: soft drop factor ${softDropFactor}`);
+
+  let tick = 0;
+  const inputs = data.inputs.map(entry => {
+    const [delta, code, toWall] = Array.isArray(entry) ? entry : [];
+    const known = code in REPLAY_ACTIONS_BY_CODE || code === SOFT_DROP_HELD || code === SOFT_DROP_RELEASED;
+    if (!Number.isInteger(delta) || delta < 0 || !known) {
+      throw new Error(`Invalid replay input: ${JSON.stringify(entry)}`);
+    }
+    tick += delta;
+    return toWall ? [tick, code, 1] : [tick, code];
+  });
+
+  return { ...data, mode, inputs };
+}
+
+// Redistribue les entrées enregistrées tick par tick
+export class ReplayPlayer {
+  constructor(replay) {
+    this.replay = replay;
+    this.reset();
+  }
+
+  get totalTicks() {
+    return this.replay.ticks;
+  }
+
+  reset() {
+    this.cursor       = 0;
+    this.softDropping = false;
+  }
+
+  // Actions à appliquer avant le tick donné ; met à jour le soft drop maintenu
+  takeInputs(tick) {
+    const actions = [];
+    const inputs  = this.replay.inputs;
+    while (this.cursor < inputs.length && inputs[this.cursor][0] <= tick) {
+      const [, code, toWall] = inputs[this.cursor++];
+      if (code === SOFT_DROP_HELD)          this.softDropping = true;
+      else if (code === SOFT_DROP_RELEASED) this.softDropping = false;
+      else actions.push({ action: REPLAY_ACTIONS_BY_CODE[code], toWall: Boolean(toWall) });
+    }
+    return actions;
+  }
+
+  // Un tick de simulation : mêmes appels au moteur que la boucle en direct
+  applyTick(state, tick) {
+    for (const { action, toWall } of this.takeInputs(tick)) {
+      state.handleAction(action, { toWall });
+    }
+    state.step(this.replay.tickMs, {
+      softDropping:   this.softDropping,
+      softDropFactor: this.replay.softDropFactor
+    });
+  }
+}
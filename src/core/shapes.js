@@ -0,0 +1,72 @@
+// Définition des tétriminos et du système de rotation SRS — sans dépendance au rendu.
+
+// Palette métallique désaturée — acier, laiton, cuivre, titane
+// coords : orientation de spawn SRS dans la boîte englobante (y vers le haut),
+// pivot  : centre de rotation dans cette même boîte, kicks : table SRS à utiliser
+export const SHAPES = {
+  I: { coords: [[0,2], [1,2], [2,2], [3,2]], pivot: [1.5, 1.5], kicks: 'I',     color: 0xFFD700 }, // Or (Gold)
+  O: { coords: [[0,0], [1,0], [0,1], [1,1]], pivot: [0.5, 0.5], kicks: 'O',     color: 0xFB641E }, // Cuivre (Copper)
+  T: { coords: [[1,2], [0,1], [1,1], [2,1]], pivot: [1, 1],     kicks: 'JLSTZ', color: 0xE0E0E0 }, // Argent (Silver)
+  S: { coords: [[1,2], [2,2], [0,1], [1,1]], pivot: [1, 1],     kicks: 'JLSTZ', color: 0x00FF7F }, // Émeraude (Emerald)
+  Z: { coords: [[0,2], [1,2], [1,1], [2,1]], pivot: [1, 1],     kicks: 'JLSTZ', color: 0x1E90FF }, // Acier Bleu (Steel)
+  J: { coords: [[0,2], [0,1], [1,1], [2,1]], pivot: [1, 1],     kicks: 'JLSTZ', color: 0xE5E4E2 }, // Platine
+  L: { coords: [[2,2], [0,1], [1,1], [2,1]], pivot: [1, 1],     kicks: 'JLSTZ', color: 0xCD7F32 }  // Bronze
+};
+
+// Tables de wall-kick SRS (x vers la droite, y vers le haut), clé "from>to"
+// avec les états de rotation 0 = spawn, 1 = R, 2 = 180, 3 = L
+export const SRS_KICKS = {
+  JLSTZ: {
+    '0>1': [[0,0], [-1,0], [-1, 1], [0,-2], [-1,-2]],
+    '1>0': [[0,0], [ 1,0], [ 1,-1], [0, 2], [ 1, 2]],
+    '1>2': [[0,0], [ 1,0], [ 1,-1], [0, 2], [ 1, 2]],
+    '2>1': [[0,0], [-1,0], [-1, 1], [0,-2], [-1,-2]],
+    '2>3': [[0,0], [ 1,0], [ 1, 1], [0,-2], [ 1,-2]],
+    '3>2': [[0,0], [-1,0], [-1,-1], [0, 2], [-1, 2]],
+    '3>0': [[0,0], [-1,0], [-1,-1], [0, 2], [-1, 2]],
+    '0>3': [[0,0], [ 1,0], [ 1, 1], [0,-2], [ 1,-2]]
+  },
+  I: {
+    '0>1': [[0,0], [-2,0], [ 1,0], [-2,-1], [ 1, 2]],
+    '1>0': [[0,0], [ 2,0], [-1,0], [ 2, 1], [-1,-2]],
+    '1>2': [[0,0], [-1,0], [ 2,0], [-1, 2], [ 2,-1]],
+    '2>1': [[0,0], [ 1,0], [-2,0], [ 1,-2], [-2, 1]],
+    '2>3': [[0,0], [ 2,0], [-1,0], [ 2, 1], [-1,-2]],
+    '3>2': [[0,0], [-2,0], [ 1,0], [-2,-1], [ 1, 2]],
+    '3>0': [[0,0], [ 1,0], [-2,0], [ 1,-2], [-2, 1]],
+    '0>3': [[0,0], [-1,0], [ 2,0], [-1, 2], [ 2,-1]]
+  },
+  O: {}
+};
+
+// Le 180° n'existe pas en SRS pur : table façon SRS+ partagée par toutes les pièces
+export const KICKS_180 = {
+  '0>2': [[0,0], [ 0, 1], [ 1, 1], [-1, 1], [ 1,0], [-1,0]],
+  '1>3': [[0,0], [ 1, 0], [ 1, 2], [ 1, 1], [ 0,2], [ 0,1]],
+  '2>0': [[0,0], [ 0,-1], [-1,-1], [ 1,-1], [-1,0], [ 1,0]],
+  '3>1': [[0,0], [-1, 0], [-1, 2], [-1, 1], [ 0,2], [ 0,1]]
+};
+
+export function getKickOffsets(table, from, to) {
+  if (table === 'O') return [[0, 0]];
+  const key = `${from}>${to}`;
+  return (Math.abs(from - to) === 2 ? KICKS_180[key] : SRS_KICKS[table][key]) || [[0, 0]];
+}
+
+// Rotation horaire d'un quart de tour autour du pivot (repère y vers le haut)
+export function rotateCoords(coords, [px, py], quarterTurns) {
+  let result = coords;
+  const turns = ((quarterTurns % 4) + 4) % 4;
+  for (let i = 0; i < turns; i++) {
+    result = result.map(([x, y]) => [px + (y - py), py - (x - px)]);
+  }
+  return result;
+}
+
+// Coins "avant" du T (côté de la pointe) par état de rotation 0/R/2/L
+export const T_SPIN_FRONT_CORNERS = [
+  ['topLeft', 'topRight'],
+  ['topRight', 'bottomRight'],
+  ['bottomLeft', 'bottomRight'],
+  ['topLeft', 'bottomLeft']
+];
@@ -0,0 +1,98 @@
+// Match versus local : un GameState par joueur, tous sur la même graine (mêmes pièces, mêmes
+// trous de déchets). L'attaque d'un joueur remplit la jauge de son adversaire ; le dernier
+// joueur encore en vie remporte la manche. Headless, comme GameState :
+//   matchStarted, attack, playerOut, matchOver
+import { EventEmitter } from './EventEmitter.js';
+import { GameState } from './GameState.js';
+import { SeededRandom } from './random.js';
+
+export const VERSUS_PLAYERS = 2;
+
+export class VersusMatch extends EventEmitter {
+  constructor({ players = VERSUS_PLAYERS, seed = SeededRandom.createSeed(), ...options } = {}) {
+    super();
+    this.states = Array.from({ length: players }, () => new GameState({ ...options, seed }));
+    this.wins   = Array(players).fill(0);
+
+    this.states.forEach((state, index) => {
+      state.on('attack', ({ lines }) => this.sendAttack(index, lines));
+      state.on('gameOver', ({ reason }) => this.eliminate(index, reason));
+    });
+    this.startRound(this.states[0].rng.seed);
+  }
+
+  // Nouvelle manche : plateaux remis à zéro sur une graine commune, scores de manche conservés
+  reset({ seed = SeededRandom.createSeed(), ...options } = {}) {
+    this.states.forEach(state => state.reset({ ...options, seed }));
+    this.startRound(this.states[0].rng.seed);
+  }
+
+  startRound(seed) {
+    this.seed       = seed;
+    this.isOver     = false;
+    this.winner     = null;
+    this.isPaused   = false;
+    this.attackSent = Array(this.states.length).fill(0);
+    this.emit('matchStarted', { seed, players: this.states.length });
+  }
+
+  // Adversaire visé : le joueur suivant encore en vie
+  getOpponent(index) {
+    for (let offset = 1; offset < this.states.length; offset++) {
+      const candidate = (index + offset) % this.states.length;
+      if (!this.states[candidate].isGameOver) return candidate;
+    }
+    return null;
+  }
+
+  sendAttack(from, lines) {
+    if (this.isOver) return;
+    const to = this.getOpponent(from);
+    if (to === null) return;
+
+    this.attackSent[from] += lines;
+    this.states[to].receiveGarbage(lines);
+    this.emit('attack', { from, to, lines });
+  }
+
+  eliminate(index, reason) {
+    if (this.isOver) return;
+    this.emit('playerOut', { player: index, reason });
+
+    const alive = this.states.map((state, i) => (state.isGameOver ? null : i)).filter(i => i !== null);
+    if (alive.length > 1) return;
+
+    this.isOver = true;
+    this.winner = alive.length === 1 ? alive[0] : null;
+    if (this.winner !== null) this.wins[this.winner]++;
+    this.emit('matchOver', { winner: this.winner, wins: [...this.wins], results: this.getResults() });
+  }
+
+  getResults() {
+    return this.states.map((state, index) => ({
+      player:       index,
+      score:        state.score,
+      linesCleared: state.linesCleared,
+      level:        state.level,
+      attackSent:   this.attackSent[index],
+      reason:       state.endReason
+    }));
+  }
+
+  setPaused(paused) {
+    if (this.isOver || this.isPaused === paused) return;
+    this.isPaused = paused;
+    this.states.forEach(state => state.setPaused(paused));
+  }
+
+  togglePause() {
+    this.setPaused(!this.isPaused);
+  }
+
+  // controls[i] : options de step du joueur i (soft drop…). Une manche finie fige tous les plateaux.
+  step(deltaTime, controls = []) {
+    for (let i = 0; i < this.states.length && !this.isOver; i++) {
+      this.states[i].step(deltaTime, controls[i]);
+    }
+  }
+}
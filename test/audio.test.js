@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_AUDIO_SETTINGS, AUDIO_SETTINGS_STORAGE_KEY, MUSIC_TEMPO, MusicSequencer,
+  sanitizeAudioSettings, loadAudioSettings, saveAudioSettings, getChannelGain, getMusicTempo, midiToFrequency
+} from '../src/core/audio.js';
+import { MemoryStorage } from '../src/core/highscores.js';
+import { createState } from './helpers.js';
+
+describe('audio settings', () => {
+  it('clamps volumes and falls back to defaults', () => {
+    assert.deepEqual(sanitizeAudioSettings(null), DEFAULT_AUDIO_SETTINGS);
+    assert.deepEqual(
+      sanitizeAudioSettings({ master: 2, sfx: -1, music: 'loud', muted: 'yes' }),
+      { ...DEFAULT_AUDIO_SETTINGS, master: 1, sfx: 0 }
+    );
+  });
+
+  it('persists volumes and mute across sessions', () => {
+    const storage = new MemoryStorage();
+    saveAudioSettings(storage, { master: 0.5, sfx: 0.25, music: 0, muted: true });
+    assert.deepEqual(loadAudioSettings(storage), { master: 0.5, sfx: 0.25, music: 0, muted: true });
+
+    storage.setItem(AUDIO_SETTINGS_STORAGE_KEY, '{broken');
+    assert.deepEqual(loadAudioSettings(storage), DEFAULT_AUDIO_SETTINGS);
+  });
+
+  it('applies master volume and mute to each channel', () => {
+    const settings = { master: 0.5, sfx: 0.8, music: 0.4, muted: false };
+    assert.equal(getChannelGain(settings, 'sfx'), 0.4);
+    assert.equal(getChannelGain(settings, 'music'), 0.2);
+    assert.equal(getChannelGain({ ...settings, muted: true }, 'sfx'), 0);
+  });
+});
+
+describe('music', () => {
+  it('speeds up with the level up to a ceiling', () => {
+    assert.equal(getMusicTempo(1), MUSIC_TEMPO.base);
+    assert.ok(getMusicTempo(5) > getMusicTempo(4));
+    assert.equal(getMusicTempo(99), MUSIC_TEMPO.max);
+  });
+
+  it('converts MIDI notes to frequencies', () => {
+    assert.equal(midiToFrequency(69), 440);
+    assert.equal(midiToFrequency(81), 880);
+  });
+
+  it('generates the same sequence from the same seed', () => {
+    const a = new MusicSequencer({ seed: 4 });
+    const b = new MusicSequencer({ seed: 4 });
+    for (let i = 0; i < 64; i++) assert.deepEqual(a.nextStep({ intensity: 0.5 }), b.nextStep({ intensity: 0.5 }));
+  });
+
+  it('keeps kick and bass on the grid', () => {
+    const sequencer = new MusicSequencer({ seed: 1 });
+    const bar = Array.from({ length: 16 }, () => sequencer.nextStep());
+    assert.deepEqual(bar.filter(step => step.kick).map(step => step.step), [0, 4, 8, 12]);
+    assert.ok(bar.every(step => (step.bass !== null) === (step.step % 2 === 0)));
+  });
+});
+
+describe('pieceMoved event', () => {
+  it('reports successful moves and rotations only', () => {
+    const state = createState();
+    const moves = [];
+    state.on('pieceMoved', ({ type }) => moves.push(type));
+
+    state.handleAction('moveLeft', { toWall: true });
+    state.handleAction('moveLeft');
+    state.handleAction('rotateCW');
+    state.handleAction('softDrop');
+
+    assert.deepEqual(moves, ['move', 'rotate', 'softDrop']);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_KEY_BINDINGS, BINDABLE_ACTIONS, bindKey, unbindKey, findBindingConflict,
+  sanitizeKeyBindings, loadKeyBindings, saveKeyBindings, formatKey,
+  BINDING_PROFILES, DEFAULT_GAMEPAD_BINDINGS, formatGamepadControl,
+  VERSUS_KEY_BINDINGS, VERSUS_BINDING_PROFILES
+} from '../src/core/bindings.js';
+import { MemoryStorage } from '../src/core/highscores.js';
+
+describe('key bindings', () => {
+  it('binds every action by default without duplicates', () => {
+    const keys = BINDABLE_ACTIONS.flatMap(action => DEFAULT_KEY_BINDINGS[action]);
+    assert.ok(BINDABLE_ACTIONS.every(action => DEFAULT_KEY_BINDINGS[action].length > 0));
+    assert.equal(new Set(keys).size, keys.length);
+  });
+
+  it('detects conflicts case-insensitively', () => {
+    assert.equal(findBindingConflict(DEFAULT_KEY_BINDINGS, 'X'), 'rotateCW');
+    assert.equal(findBindingConflict(DEFAULT_KEY_BINDINGS, 'x', 'rotateCW'), null);
+    assert.equal(findBindingConflict(DEFAULT_KEY_BINDINGS, 'q'), null);
+  });
+
+  it('refuses a key already bound to another action', () => {
+    const { bindings, conflict } = bindKey(DEFAULT_KEY_BINDINGS, 'hold', 'ArrowUp');
+    assert.equal(conflict, 'rotateCW');
+    assert.equal(bindings, DEFAULT_KEY_BINDINGS);
+  });
+
+  it('replaces or appends a slot and refuses reserved keys', () => {
+    let { bindings } = bindKey(DEFAULT_KEY_BINDINGS, 'moveLeft', 'J', 0);
+    assert.deepEqual(bindings.moveLeft, ['j']);
+    ({ bindings } = bindKey(bindings, 'moveLeft', 'ArrowLeft', 1));
+    assert.deepEqual(bindings.moveLeft, ['j', 'ArrowLeft']);
+    assert.deepEqual(DEFAULT_KEY_BINDINGS.moveLeft, ['ArrowLeft']);
+
+    assert.equal(bindKey(bindings, 'hold', 'Escape').reserved, true);
+    assert.deepEqual(unbindKey(bindings, 'moveLeft', 0).moveLeft, ['ArrowLeft']);
+  });
+
+  it('sanitizes stored bindings', () => {
+    const bindings = sanitizeKeyBindings({ hold: ['ArrowLeft', 'Escape', 'Q'], moveRight: ['ArrowLeft'], bogus: ['w'] });
+    assert.deepEqual(bindings.moveRight, ['ArrowLeft']);
+    assert.deepEqual(bindings.hold, ['q']);
+    assert.deepEqual(bindings.moveLeft, []);
+    assert.deepEqual(bindings.pause, DEFAULT_KEY_BINDINGS.pause);
+    assert.equal('bogus' in bindings, false);
+  });
+
+  it('round-trips through storage and falls back to defaults', () => {
+    const storage = new MemoryStorage();
+    assert.deepEqual(loadKeyBindings(storage), DEFAULT_KEY_BINDINGS);
+
+    const { bindings } = bindKey(DEFAULT_KEY_BINDINGS, 'pause', 'Enter');
+    saveKeyBindings(storage, bindings);
+    assert.deepEqual(loadKeyBindings(storage).pause, ['Enter']);
+
+    storage.setItem('tetris.keyBindings', '{broken');
+    assert.deepEqual(loadKeyBindings(storage), DEFAULT_KEY_BINDINGS);
+  });
+
+  it('formats keys for display', () => {
+    assert.equal(formatKey(' '), 'SPACE');
+    assert.equal(formatKey('ArrowUp'), '↑');
+    assert.equal(formatKey('c'), 'C');
+  });
+
+  it('applies the same conflict rules to gamepad controls', () => {
+    const pad = BINDING_PROFILES.gamepad;
+    assert.equal(bindKey(DEFAULT_GAMEPAD_BINDINGS, 'hold', 'b0', 0, pad).conflict, 'rotateCW');
+    assert.equal(bindKey(DEFAULT_GAMEPAD_BINDINGS, 'hold', 'q', 0, pad).reserved, true);
+    assert.deepEqual(bindKey(DEFAULT_GAMEPAD_BINDINGS, 'hold', 'b7', 1, pad).bindings.hold, ['b4', 'b7']);
+
+    const storage = new MemoryStorage();
+    saveKeyBindings(storage, { ...DEFAULT_GAMEPAD_BINDINGS, pause: ['b6'] }, pad);
+    assert.deepEqual(loadKeyBindings(storage, pad).pause, ['b6']);
+    assert.deepEqual(loadKeyBindings(storage).pause, ['p']);
+  });
+
+  it('formats gamepad controls for display', () => {
+    assert.equal(formatGamepadControl('b0'), 'A');
+    assert.equal(formatGamepadControl('b14'), 'D-PAD ←');
+    assert.equal(formatGamepadControl('a0-'), 'L-STICK ←');
+    assert.equal(formatGamepadControl('a1+'), 'L-STICK ↓');
+    assert.equal(formatGamepadControl('b20'), 'BUTTON 20');
+  });
+
+  it('gives each versus player a separate half of the keyboard', () => {
+    const [first, second] = VERSUS_KEY_BINDINGS;
+    const keysOf = bindings => BINDABLE_ACTIONS.flatMap(action => bindings[action]);
+
+    assert.ok(['moveLeft', 'moveRight', 'softDrop', 'hardDrop', 'rotateCW', 'rotateCCW', 'hold']
+      .every(action => first[action].length > 0 && second[action].length > 0));
+    assert.ok(keysOf(second).every(key => findBindingConflict(first, key) === null));
+  });
+
+  it('stores each versus player map under its own key', () => {
+    const storage = new MemoryStorage();
+    const [first, second] = VERSUS_BINDING_PROFILES;
+    saveKeyBindings(storage, { ...VERSUS_KEY_BINDINGS[1], hold: ['k'] }, second);
+
+    assert.deepEqual(loadKeyBindings(storage, second).hold, ['k']);
+    assert.deepEqual(loadKeyBindings(storage, first), VERSUS_KEY_BINDINGS[0]);
+    assert.deepEqual(loadKeyBindings(storage), DEFAULT_KEY_BINDINGS);
+  });
+});
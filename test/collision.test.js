@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createState, setPiece, FILL } from './helpers.js';
+
+describe('GameState.checkCollision', () => {
+  it('accepts a piece in open space', () => {
+    const state = createState();
+    setPiece(state, 'T', { x: 4, y: 5 });
+    assert.equal(state.checkCollision(0, 0), false);
+    assert.equal(state.checkCollision(-1, 0), false);
+    assert.equal(state.checkCollision(1, 0), false);
+    assert.equal(state.checkCollision(0, -1), false);
+  });
+
+  it('rejects moves through the left and right walls', () => {
+    const state = createState();
+    setPiece(state, 'O', { x: 0, y: 5 });
+    assert.equal(state.checkCollision(-1, 0), true);
+
+    setPiece(state, 'O', { x: state.width - 2, y: 5 });
+    assert.equal(state.checkCollision(0, 0), false);
+    assert.equal(state.checkCollision(1, 0), true);
+  });
+
+  it('rejects moves through the floor and the ceiling of the hidden buffer', () => {
+    const state = createState();
+    setPiece(state, 'O', { x: 4, y: 0 });
+    assert.equal(state.checkCollision(0, -1), true);
+
+    setPiece(state, 'O', { x: 4, y: state.height - 2 });
+    assert.equal(state.checkCollision(0, 1), false);
+
+    setPiece(state, 'O', { x: 4, y: state.height + state.bufferHeight - 2 });
+    assert.equal(state.checkCollision(0, 0), false);
+    assert.equal(state.checkCollision(0, 1), true);
+  });
+
+  it('only counts the occupied cells of the SRS bounding box', () => {
+    const state = createState();
+    // T au spawn : la rangée basse de sa boîte 3x3 est vide, elle peut dépasser du sol
+    setPiece(state, 'T', { x: 3, y: -1 });
+    assert.equal(state.checkCollision(0, 0), false);
+    assert.equal(state.checkCollision(0, -1), true);
+  });
+
+  it('detects locked blocks', () => {
+    const state = createState();
+    // I au spawn occupe la rangée y + 2 de sa boîte 4x4
+    setPiece(state, 'I', { x: 3, y: 5 });
+    state.grid[5][7] = FILL;
+    assert.equal(state.checkCollision(0, 0), true);
+    assert.equal(state.checkCollision(0, 1), false);
+    assert.equal(state.checkCollision(0, -1), false);
+  });
+
+  it('can test a piece other than the active one', () => {
+    const state = createState();
+    const other = state.createPiece('O');
+    other.x = -1;
+    other.y = 3;
+    assert.equal(state.checkCollision(0, 0, other), true);
+    assert.equal(state.checkCollision(1, 0, other), false);
+  });
+});
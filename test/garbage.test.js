@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameState } from '../src/core/GameState.js';
+import { SeededRandom } from '../src/core/random.js';
+import { GARBAGE_COLOR, GarbageQueue, createGarbageRows } from '../src/core/garbage.js';
+import { createState, setPiece, fillRow, lockWithoutClear, FILL } from './helpers.js';
+
+const holeOf = row => row.indexOf(0);
+
+describe('createGarbageRows', () => {
+  it('builds rows of garbage with exactly one hole each', () => {
+    const { rows } = createGarbageRows(6, { width: 10, rng: new SeededRandom(1), messiness: 0.5 });
+    assert.equal(rows.length, 6);
+    for (const row of rows) {
+      assert.equal(row.length, 10);
+      assert.equal(row.filter(cell => cell === 0).length, 1);
+      assert.equal(row.filter(cell => cell === GARBAGE_COLOR).length, 9);
+    }
+  });
+
+  it('keeps a straight well without messiness and moves the hole every row at full messiness', () => {
+    const clean = createGarbageRows(8, { width: 10, rng: new SeededRandom(2), messiness: 0 }).rows;
+    assert.equal(new Set(clean.map(holeOf)).size, 1);
+
+    const cheese = createGarbageRows(8, { width: 10, rng: new SeededRandom(2), messiness: 1 }).rows;
+    for (let i = 1; i < cheese.length; i++) assert.notEqual(holeOf(cheese[i]), holeOf(cheese[i - 1]));
+  });
+
+  it('continues the previous well and is reproducible from the seed', () => {
+    const { rows, hole } = createGarbageRows(3, { width: 10, rng: new SeededRandom(3), previousHole: 7 });
+    assert.deepEqual(rows.map(holeOf), [7, 7, 7]);
+    assert.equal(hole, 7);
+
+    const draw = () => createGarbageRows(5, { width: 10, rng: new SeededRandom(4), messiness: 0.6 }).rows;
+    assert.deepEqual(draw(), draw());
+  });
+});
+
+describe('GarbageQueue', () => {
+  it('cancels the oldest entries first and returns what is left over', () => {
+    const queue = new GarbageQueue();
+    queue.add(2);
+    queue.add(3);
+    assert.equal(queue.cancel(3), 0);
+    assert.deepEqual(queue.getState(), { entries: [2] });
+    assert.equal(queue.cancel(5), 3);
+    assert.equal(queue.pending, 0);
+  });
+
+  it('takes at most the requested number of lines', () => {
+    const queue = new GarbageQueue();
+    queue.add(6);
+    queue.add(4);
+    assert.equal(queue.take(8), 8);
+    assert.equal(queue.pending, 2);
+  });
+});
+
+describe('GameState garbage', () => {
+  it('pushes pending garbage on the next lock without a line clear', () => {
+    const state = createState();
+    const changes = [];
+    state.on('garbageChanged', ({ pending }) => changes.push(pending));
+
+    state.receiveGarbage(3);
+    assert.equal(state.countGarbageRows(), 0);
+    lockWithoutClear(state);
+
+    assert.deepEqual(changes, [3, 0]);
+    assert.equal(state.countGarbageRows(), 3);
+    assert.equal(state.grid[0][15 + 3], state.grid[0][16 + 3]);
+  });
+
+  it('cancels pending garbage with the attack of a clear', () => {
+    const state = createState();
+    const attacks = [];
+    state.on('attack', ({ lines }) => attacks.push(lines));
+    state.receiveGarbage(3);
+    fillRow(state, 0, { except: [0, 1] });
+    fillRow(state, 1, { except: [0, 1] });
+    state.grid[5][2] = FILL;
+    setPiece(state, 'O', { x: 0, y: 0 });
+    state.mergePiece();
+
+    assert.equal(state.garbage.pending, 2);
+    assert.equal(state.countGarbageRows(), 0);
+    assert.deepEqual(attacks, []);
+  });
+
+  it('sends the attack left over after cancelling', () => {
+    const state = createState();
+    const attacks = [];
+    state.on('attack', ({ lines }) => attacks.push(lines));
+    state.receiveGarbage(1);
+    for (let y = 0; y < 4; y++) fillRow(state, y, { except: [0] });
+    state.grid[5][4] = FILL;   // pas de perfect clear
+    setPiece(state, 'I', { rotation: 1, x: -2, y: 0 });
+    state.mergePiece();
+
+    assert.equal(state.garbage.pending, 0);
+    assert.deepEqual(attacks, [3]);
+  });
+
+  it('lets at most garbageCap lines in per lock', () => {
+    const state = createState();
+    state.receiveGarbage(state.gameplay.garbageCap + 2);
+    lockWithoutClear(state);
+    assert.equal(state.countGarbageRows(), state.gameplay.garbageCap);
+    assert.equal(state.garbage.pending, 2);
+  });
+
+  it('counts cleared garbage rows separately from other lines', () => {
+    const state = createState();
+    state.addGarbage(2, { messiness: 0 });
+    fillRow(state, 2);
+    const hole = holeOf(state.grid.map(column => column[0]));
+    state.grid[hole][0] = 0x8090a0;
+
+    state.checkLines();
+    assert.equal(state.linesCleared, 2);
+    assert.equal(state.garbageCleared, 1);
+  });
+
+  it('keeps the pending garbage and hole generator across a snapshot', () => {
+    const original = createState();
+    original.addGarbage(2, { messiness: 1 });
+    original.receiveGarbage(4);
+
+    const restored = new GameState({ seed: 1 });
+    restored.restore(JSON.parse(JSON.stringify(original.serialize())));
+    assert.equal(restored.garbage.pending, 4);
+
+    original.addGarbage(3, { messiness: 1 });
+    restored.addGarbage(3, { messiness: 1 });
+    assert.deepEqual(restored.grid, original.grid);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  GRAPHICS_PRESETS, GRAPHICS_QUALITY_LEVELS, GRAPHICS_QUALITY_STORAGE_KEY, AUTO_GRAPHICS_QUALITY,
+  FrameBudgetMonitor, getGraphicsPreset, getLowerQuality, loadGraphicsQuality, saveGraphicsQuality
+} from '../src/core/graphics.js';
+import { MemoryStorage } from '../src/core/highscores.js';
+
+describe('graphics presets', () => {
+  it('orders levels from cheapest to most expensive', () => {
+    const ratios = GRAPHICS_QUALITY_LEVELS.map(level => GRAPHICS_PRESETS[level].maxPixelRatio);
+    assert.deepEqual(ratios, [...ratios].sort((a, b) => a - b));
+    assert.equal(GRAPHICS_PRESETS.low.background, 'static');
+    assert.equal(GRAPHICS_PRESETS.low.edgePass, false);
+  });
+
+  it('steps down one level at a time', () => {
+    assert.equal(getLowerQuality('ultra'), 'high');
+    assert.equal(getLowerQuality('medium'), 'low');
+    assert.equal(getLowerQuality('low'), null);
+  });
+
+  it('rejects unknown presets', () => {
+    assert.throws(() => getGraphicsPreset('cinematic'), /Unknown graphics quality: cinematic/);
+  });
+
+  it('persists the chosen quality and defaults to auto', () => {
+    const storage = new MemoryStorage();
+    assert.equal(loadGraphicsQuality(storage), AUTO_GRAPHICS_QUALITY);
+    saveGraphicsQuality(storage, 'medium');
+    assert.equal(loadGraphicsQuality(storage), 'medium');
+    storage.setItem(GRAPHICS_QUALITY_STORAGE_KEY, 'cinematic');
+    assert.equal(loadGraphicsQuality(storage), AUTO_GRAPHICS_QUALITY);
+  });
+});
+
+describe('FrameBudgetMonitor', () => {
+  it('fires only after frame time stays over budget', () => {
+    const monitor = new FrameBudgetMonitor({ budgetMs: 20, sustainMs: 1000 });
+    let fired = 0;
+    for (let i = 0; i < 120; i++) fired += monitor.sample(16);
+    assert.equal(fired, 0);
+
+    for (let i = 0; i < 40; i++) fired += monitor.sample(33);
+    assert.equal(fired, 1);
+  });
+
+  it('ignores isolated spikes and hidden-tab gaps', () => {
+    const monitor = new FrameBudgetMonitor({ budgetMs: 20, sustainMs: 1000 });
+    let fired = 0;
+    for (let i = 0; i < 600; i++) fired += monitor.sample(i % 60 === 0 ? 45 : 16);
+    fired += monitor.sample(5000);
+    assert.equal(fired, 0);
+  });
+});
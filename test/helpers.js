@@ -0,0 +1,59 @@
+// Utilitaires partagés par les tests du moteur headless.
+import { GameState } from '../src/core/GameState.js';
+import { rotateCoords } from '../src/core/shapes.js';
+
+export const FILL = 0x8090a0;
+
+export function createState(options = {}) {
+  return new GameState({ seed: 1234, ...options });
+}
+
+// Remplace la pièce active par `type` dans l'état de rotation donné, boîte en (x, y)
+export function setPiece(state, type, { rotation = 0, x = 0, y = 0 } = {}) {
+  const piece = state.createPiece(type);
+  piece.coords   = rotateCoords(piece.coords, state.shapes[type].pivot, rotation);
+  piece.rotation = rotation;
+  piece.x = x;
+  piece.y = y;
+  state.currentPiece = piece;
+  state.lowestPieceY = y;
+  state.lastManeuver = null;
+  return piece;
+}
+
+export function fillRow(state, y, { except = [] } = {}) {
+  for (let x = 0; x < state.width; x++) {
+    state.grid[x][y] = except.includes(x) ? 0 : FILL;
+  }
+}
+
+export function cellsOf(piece) {
+  return piece.coords
+    .map(([x, y]) => `${piece.x + x},${piece.y + y}`)
+    .sort();
+}
+
+// Verrouille un I vertical dans le puits de la colonne 9 : efface les 4 rangées du bas.
+// Avec perfectClear: false, un bloc laissé au-dessus évite le bonus de perfect clear
+export function clearTetris(state, { perfectClear = true } = {}) {
+  for (let y = 0; y < 4; y++) fillRow(state, y, { except: [9] });
+  if (!perfectClear) state.grid[0][4] = FILL;
+  setPiece(state, 'I', { rotation: 1, x: 7, y: 0 });
+  state.mergePiece();
+}
+
+// Verrouille un O en hauteur, sans effacer de ligne
+export function lockWithoutClear(state) {
+  setPiece(state, 'O', { x: 0, y: 15 });
+  state.mergePiece();
+}
+
+// Bouche les trous des `count` rangées du bas puis verrouille une pièce : elles s'effacent
+export function digRows(state, count) {
+  for (let y = 0; y < count; y++) {
+    for (let x = 0; x < state.width; x++) {
+      if (!state.grid[x][y]) state.grid[x][y] = FILL;
+    }
+  }
+  lockWithoutClear(state);
+}
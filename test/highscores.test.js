@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { HighScoreTable, MemoryStorage, HIGH_SCORE_LIMIT } from '../src/core/highscores.js';
+
+function entry(overrides = {}) {
+  return { name: 'AAA', score: 1000, lines: 10, level: 2, duration: 60000, date: '2026-01-01T00:00:00.000Z', ...overrides };
+}
+
+describe('HighScoreTable', () => {
+  it('ranks marathon and ultra by score, keeping the top 10', () => {
+    const table = new HighScoreTable();
+    for (let i = 1; i <= HIGH_SCORE_LIMIT; i++) table.add('marathon', entry({ score: i * 100 }));
+
+    assert.equal(table.getRank('marathon', entry({ score: 50 })), -1);
+    assert.equal(table.add('marathon', entry({ score: 550 })), 5);
+
+    const scores = table.getEntries('marathon').map(e => e.score);
+    assert.equal(scores.length, HIGH_SCORE_LIMIT);
+    assert.deepEqual(scores.slice(0, 6), [1000, 900, 800, 700, 600, 550]);
+    assert.equal(table.getPersonalBest('marathon').score, 1000);
+  });
+
+  it('ranks sprint by time and only accepts cleared runs', () => {
+    const table = new HighScoreTable();
+    assert.equal(table.add('sprint', entry({ duration: 50000 }), { reason: 'topOut' }), -1);
+    table.add('sprint', entry({ duration: 50000 }), { reason: 'cleared' });
+    table.add('sprint', entry({ duration: 42000 }), { reason: 'cleared' });
+
+    assert.deepEqual(table.getEntries('sprint').map(e => e.duration), [42000, 50000]);
+    assert.deepEqual(table.getEntries('marathon'), []);
+  });
+
+  it('persists to and reloads from storage', () => {
+    const storage = new MemoryStorage();
+    new HighScoreTable({ storage }).add('ultra', entry({ name: '  neo  ', score: 4200 }));
+
+    const reloaded = new HighScoreTable({ storage });
+    assert.equal(reloaded.getPersonalBest('ultra').name, 'neo');
+    assert.equal(reloaded.getPersonalBest('ultra').score, 4200);
+  });
+
+  it('ignores a corrupted stored table', () => {
+    const storage = new MemoryStorage();
+    storage.setItem('tetris.highscores', '{oops');
+    assert.deepEqual(new HighScoreTable({ storage }).getEntries('marathon'), []);
+  });
+
+  it('exports and merges imported tables without duplicates', () => {
+    const source = new HighScoreTable();
+    source.add('marathon', entry({ score: 3000 }));
+    source.add('marathon', entry({ score: 2000 }));
+
+    const target = new HighScoreTable();
+    target.add('marathon', entry({ score: 2500, name: 'BBB' }));
+    target.importJSON(source.exportJSON());
+    target.importJSON(source.exportJSON());
+
+    assert.deepEqual(target.getEntries('marathon').map(e => e.score), [3000, 2500, 2000]);
+  });
+
+  it('rejects files that are not high score exports', () => {
+    const table = new HighScoreTable();
+    assert.throws(() => table.importJSON('nope'), /not JSON/);
+    assert.throws(() => table.importJSON('{"format":"tetris-replay"}'), /unknown format/);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GAMEPLAY_CONFIG } from '../src/core/config.js';
+import { getLevelForLines, getDropInterval } from '../src/core/GameState.js';
+import { createState, fillRow } from './helpers.js';
+
+const { levelLinesStep, baseDropInterval, levelDropStep, minDropInterval } = GAMEPLAY_CONFIG;
+
+describe('level curve', () => {
+  it('goes up one level every levelLinesStep lines', () => {
+    assert.equal(getLevelForLines(0), 1);
+    assert.equal(getLevelForLines(levelLinesStep - 1), 1);
+    assert.equal(getLevelForLines(levelLinesStep), 2);
+    assert.equal(getLevelForLines(levelLinesStep * 5 + 3), 6);
+  });
+
+  it('shortens the drop interval by levelDropStep per level', () => {
+    assert.equal(getDropInterval(1), baseDropInterval);
+    assert.equal(getDropInterval(2), baseDropInterval - levelDropStep);
+    assert.equal(getDropInterval(5), baseDropInterval - 4 * levelDropStep);
+  });
+
+  it('never drops below minDropInterval', () => {
+    assert.equal(getDropInterval(100), minDropInterval);
+  });
+});
+
+describe('GameState level-up', () => {
+  it('levels up when a clear crosses the threshold', () => {
+    const state = createState();
+    state.linesCleared = levelLinesStep - 1;
+
+    const levelUps = [];
+    state.on('levelUp', detail => levelUps.push(detail));
+    fillRow(state, 0);
+    fillRow(state, 1);
+    state.checkLines();
+
+    assert.equal(state.level, 2);
+    assert.equal(state.dropInterval, getDropInterval(2));
+    assert.deepEqual(levelUps, [{ level: 2, dropInterval: getDropInterval(2) }]);
+  });
+
+  it('stays on the same level below the threshold', () => {
+    const state = createState();
+    state.linesCleared = levelLinesStep - 2;
+    fillRow(state, 0);
+    state.checkLines();
+
+    assert.equal(state.level, 1);
+    assert.equal(state.dropInterval, baseDropInterval);
+  });
+
+  it('applies gravity at the current drop interval', () => {
+    const state = createState();
+    const piece = state.currentPiece;
+    piece.y = 10;
+    state.dropCounter = 0;
+
+    state.step(state.dropInterval - 1);
+    assert.equal(piece.y, 10);
+    state.step(2);
+    assert.equal(piece.y, 9);
+  });
+});
+
@@ -0,0 +1,231 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GAMEPLAY_CONFIG } from '../src/core/config.js';
+import { createState, setPiece, fillRow, FILL } from './helpers.js';
+
+function sequenceOf(state, count) {
+  const types = [state.currentPiece.type];
+  while (types.length < count) {
+    state.spawnPiece();
+    types.push(state.currentPiece.type);
+  }
+  return types;
+}
+
+describe('GameState spawn and game over', () => {
+  it('spawns the first piece in the buffer, then drops it onto the top visible row', () => {
+    const state = createState();
+    const piece = state.currentPiece;
+    const bottomRow = Math.min(...piece.coords.map(([, y]) => piece.y + y));
+    assert.equal(bottomRow, state.height - 1);
+    assert.equal(state.grid[0].length, state.height + state.bufferHeight);
+    assert.equal(state.nextQueue.length, GAMEPLAY_CONFIG.previewCount);
+  });
+
+  it('keeps the piece in the buffer when the top visible row is occupied', () => {
+    const state = createState();
+    fillRow(state, state.height - 1, { except: [0] });
+    state.spawnPiece();
+
+    const piece = state.currentPiece;
+    assert.equal(state.isGameOver, false);
+    assert.equal(Math.min(...piece.coords.map(([, y]) => piece.y + y)), state.height);
+  });
+
+  it('blocks out when the spawn area is occupied', () => {
+    const state = createState();
+    let gameOver = null;
+    state.on('gameOver', detail => { gameOver = detail; });
+
+    for (let y = state.height - 1; y < state.height + 3; y++) fillRow(state, y, { except: [0] });
+    state.spawnPiece();
+
+    assert.equal(state.isGameOver, true);
+    assert.deepEqual(gameOver, {
+      reason: 'blockOut', mode: 'marathon', score: 0, level: 1, linesCleared: 0, elapsedTime: 0
+    });
+  });
+
+  it('locks out when a piece locks entirely above the visible board', () => {
+    const state = createState();
+    for (let y = 0; y < state.height; y++) fillRow(state, y, { except: [y % state.width] });
+    setPiece(state, 'O', { x: 4, y: state.height });
+    state.mergePiece();
+
+    assert.equal(state.isGameOver, true);
+    assert.equal(state.endReason, 'lockOut');
+  });
+
+  it('continues after a partial lock above the visible board', () => {
+    const state = createState();
+    for (let y = 0; y < state.height; y++) fillRow(state, y, { except: [y % state.width] });
+    setPiece(state, 'O', { x: 0, y: state.height - 1 });
+    state.grid[0][state.height - 1] = 0;
+    state.grid[1][state.height - 1] = 0;
+    state.mergePiece();
+
+    assert.equal(state.grid[0][state.height], state.grid[0][state.height - 1]);
+    assert.equal(state.isGameOver, false);
+  });
+
+  it('pushes inserted rows under the stack and lifts the active piece', () => {
+    const state = createState();
+    state.grid[3][0] = FILL;
+    setPiece(state, 'O', { x: 0, y: 0 });
+    let inserted = null;
+    state.on('rowsInserted', detail => { inserted = detail; });
+
+    const row = Array(state.width).fill(FILL);
+    row[9] = 0;
+    assert.equal(state.insertRows([row, row]), true);
+
+    assert.deepEqual(inserted, { count: 2 });
+    assert.equal(state.grid[3][2], FILL);
+    assert.equal(state.grid[9][0], 0);
+    assert.equal(state.currentPiece.y, 2);
+  });
+
+  it('tops out when inserted rows push blocks above the buffer', () => {
+    const state = createState();
+    const top = state.height + state.bufferHeight - 1;
+    state.grid[0][top] = FILL;
+    setPiece(state, 'O', { x: 4, y: 5 });
+
+    assert.equal(state.insertRows([Array(state.width).fill(FILL)]), false);
+    assert.equal(state.endReason, 'topOut');
+  });
+
+  it('ignores actions and ticks once the game is over', () => {
+    const state = createState();
+    state.setGameOver();
+    const { x, y } = state.currentPiece;
+
+    state.handleAction('moveLeft');
+    state.step(10000);
+
+    assert.equal(state.currentPiece.x, x);
+    assert.equal(state.currentPiece.y, y);
+  });
+
+  it('locks a grounded piece after the lock delay', () => {
+    const state = createState();
+    setPiece(state, 'O', { x: 4, y: 0 });
+    const locked = [];
+    state.on('pieceLocked', ({ piece }) => locked.push(piece.type));
+
+    state.step(GAMEPLAY_CONFIG.lockDelay - 1);
+    assert.equal(state.pendingLock, null);
+    state.step(1);
+    assert.notEqual(state.pendingLock, null);
+    state.step(0);
+
+    assert.deepEqual(locked, ['O']);
+    assert.equal(state.grid[4][0], state.grid[5][1]);
+    assert.notEqual(state.grid[4][0], 0);
+  });
+
+  it('freezes the simulation during the hard drop hit-stop', () => {
+    const state = createState();
+    setPiece(state, 'O', { x: 4, y: 10 });
+    state.handleAction('hardDrop');
+    assert.equal(state.hitStopTimer, GAMEPLAY_CONFIG.hitStopDuration);
+
+    state.handleAction('hold');
+    state.step(GAMEPLAY_CONFIG.hitStopDuration - 1);
+    assert.equal(state.heldPiece, null);
+    assert.notEqual(state.pendingLock, null);
+
+    state.step(1);
+    state.step(0);
+    assert.equal(state.pendingLock, null);
+    assert.notEqual(state.grid[4][0], 0);
+  });
+});
+
+describe('GameState hold', () => {
+  it('swaps once per spawned piece', () => {
+    const state = createState();
+    const first = state.currentPiece.type;
+    const next  = state.nextQueue[0].type;
+
+    assert.equal(state.holdCurrentPiece(), true);
+    assert.equal(state.heldPiece.type, first);
+    assert.equal(state.currentPiece.type, next);
+    assert.equal(state.holdCurrentPiece(), false);
+
+    state.spawnPiece();
+    assert.equal(state.holdCurrentPiece(), true);
+    assert.equal(state.currentPiece.type, first);
+  });
+
+  it('spawns the piece after a hold with hold already locked', () => {
+    const state = createState();
+    const spawned = [];
+    state.on('pieceSpawned', ({ canHold }) => spawned.push(canHold));
+
+    state.holdCurrentPiece();
+    state.spawnPiece();
+    state.holdCurrentPiece();
+    assert.deepEqual(spawned, [false, true, false]);
+  });
+
+  it('announces the hold before a swapped-in piece blocks out', () => {
+    const state = createState();
+    state.holdCurrentPiece();
+    state.spawnPiece();
+    for (let y = 0; y < state.totalHeight; y++) fillRow(state, y, { except: [0] });
+    const events = [];
+    state.on('holdChanged', () => events.push('holdChanged'));
+    state.on('gameOver', ({ reason }) => events.push(`gameOver:${reason}`));
+
+    state.holdCurrentPiece();
+    assert.deepEqual(events, ['holdChanged', 'gameOver:blockOut']);
+  });
+});
+
+describe('GameState.reset', () => {
+  it('restores a fresh game', () => {
+    const state = createState();
+    fillRow(state, 0, { except: [1] });
+    state.grid[1][5] = FILL;
+    state.score = 1234;
+    state.level = 4;
+    state.linesCleared = 35;
+    state.holdCurrentPiece();
+    state.setPaused(true);
+    state.setGameOver();
+
+    state.reset();
+
+    assert.ok(state.grid.every(column => column.every(cell => cell === 0)));
+    assert.equal(state.score, 0);
+    assert.equal(state.level, 1);
+    assert.equal(state.linesCleared, 0);
+    assert.equal(state.dropInterval, GAMEPLAY_CONFIG.baseDropInterval);
+    assert.equal(state.heldPiece, null);
+    assert.equal(state.canHold, true);
+    assert.equal(state.isPaused, false);
+    assert.equal(state.isGameOver, false);
+    assert.equal(state.nextQueue.length, state.previewCount);
+    assert.ok(state.currentPiece);
+  });
+
+  it('replays the same piece sequence for the same seed', () => {
+    const state = createState();
+    const first = sequenceOf(state, 21);
+    state.reset({ seed: 1234 });
+    assert.deepEqual(sequenceOf(state, 21), first);
+  });
+
+  it('emits reset before the first spawn', () => {
+    const state = createState();
+    const events = [];
+    state.on('reset', () => events.push('reset'));
+    state.on('pieceSpawned', () => events.push('pieceSpawned'));
+    setPiece(state, 'T');
+
+    state.reset();
+
+    assert.deepEqual(events, ['reset', 'pieceSpawned']);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { POINTS } from '../src/core/ScoringEngine.js';
+import { createState, fillRow, FILL } from './helpers.js';
+
+const MARKER = 0x123456;
+
+describe('GameState.checkLines', () => {
+  for (let lines = 1; lines <= 4; lines++) {
+    it(`clears ${lines} contiguous row(s) and compacts the stack`, () => {
+      const state = createState();
+      for (let y = 0; y < lines; y++) fillRow(state, y);
+      state.grid[7][lines] = MARKER;
+
+      const result = state.checkLines();
+
+      assert.equal(result.lines, lines);
+      assert.equal(state.linesCleared, lines);
+      assert.equal(state.grid[7][0], MARKER);
+      for (let x = 0; x < state.width; x++) {
+        if (x !== 7) assert.equal(state.grid[x][0], 0);
+        for (let y = 1; y < state.height; y++) assert.equal(state.grid[x][y], 0);
+      }
+    });
+  }
+
+  it('clears non-contiguous rows and keeps the rows in between in order', () => {
+    const state = createState();
+    fillRow(state, 0);
+    fillRow(state, 1, { except: [2] });
+    fillRow(state, 2);
+    fillRow(state, 3, { except: [0, 9] });
+    fillRow(state, 4);
+    state.grid[5][5] = MARKER;
+
+    const cleared = [];
+    state.on('linesCleared', ({ rows }) => cleared.push(...rows));
+    const result = state.checkLines();
+
+    assert.equal(result.lines, 3);
+    assert.deepEqual(cleared, [0, 2, 4]);
+    assert.equal(state.grid[2][0], 0);
+    assert.equal(state.grid[3][0], FILL);
+    assert.equal(state.grid[0][1], 0);
+    assert.equal(state.grid[9][1], 0);
+    assert.equal(state.grid[4][1], FILL);
+    assert.equal(state.grid[5][2], MARKER);
+    assert.equal(state.grid[5][3], 0);
+  });
+
+  it('reports the colours of the removed cells', () => {
+    const state = createState();
+    fillRow(state, 0);
+    state.grid[3][0] = MARKER;
+
+    let cells = null;
+    state.on('linesCleared', detail => { cells = detail.cells; });
+    state.checkLines();
+
+    assert.equal(cells.length, state.width);
+    assert.deepEqual(cells.find(cell => cell.x === 3), { x: 3, y: 0, color: MARKER });
+  });
+
+  it('leaves the grid untouched when no row is full', () => {
+    const state = createState();
+    fillRow(state, 0, { except: [4] });
+    const before = state.grid.map(column => [...column]);
+
+    const result = state.checkLines();
+
+    assert.equal(result.lines, 0);
+    assert.deepEqual(state.grid, before);
+    assert.equal(state.score, 0);
+  });
+
+  it('scores the clear with POINTS times the current level', () => {
+    const state = createState();
+    state.level = 3;
+    fillRow(state, 0);
+    fillRow(state, 1);
+    state.grid[0][2] = FILL;
+
+    state.checkLines();
+
+    assert.equal(state.score, POINTS[2] * 3);
+  });
+});
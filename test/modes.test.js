@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameMode, formatDuration } from '../src/core/modes.js';
+import { createState, clearTetris, digRows } from './helpers.js';
+
+describe('game modes', () => {
+  it('rejects unknown modes', () => {
+    assert.throws(() => createGameMode('zen'), /Unknown game mode: zen/);
+  });
+
+  it('keeps marathon running and levelling up', () => {
+    const state = createState({ mode: 'marathon' });
+    for (let i = 0; i < 3; i++) clearTetris(state);
+    state.step(1000 * 60 * 10);
+
+    assert.equal(state.isGameOver, false);
+    assert.equal(state.level, 2);
+  });
+
+  it('ends sprint when the line goal is reached and stops the timer', () => {
+    const state = createState({ mode: 'sprint' });
+    let gameOver = null;
+    state.on('gameOver', detail => { gameOver = detail; });
+
+    state.step(500);
+    for (let i = 0; i < 9; i++) clearTetris(state);
+    assert.equal(state.mode.getLinesRemaining(state), 4);
+    assert.equal(state.level, 1);
+    assert.equal(state.isGameOver, false);
+
+    clearTetris(state);
+    assert.equal(gameOver.reason, 'cleared');
+    assert.equal(gameOver.elapsedTime, 500);
+
+    state.step(500);
+    assert.equal(state.elapsedTime, 500);
+  });
+
+  it('ends ultra when the time limit runs out', () => {
+    const state = createState({ mode: 'ultra' });
+    state.step(119999);
+    assert.equal(state.isGameOver, false);
+    assert.equal(state.mode.getTimer(state), 1);
+
+    state.step(1);
+    assert.equal(state.endReason, 'timeUp');
+    assert.equal(state.mode.getTimer(state), 0);
+  });
+
+  it('keeps the mode across resets unless another one is given', () => {
+    const state = createState({ mode: 'ultra' });
+    state.reset();
+    assert.equal(state.mode.name, 'ultra');
+    state.reset({ mode: 'sprint' });
+    assert.equal(state.mode.name, 'sprint');
+  });
+
+  it('formats durations as m:ss.mmm', () => {
+    assert.equal(formatDuration(83456), '1:23.456');
+    assert.equal(formatDuration(0), '0:00.000');
+  });
+
+  it('starts dig with a garbage stack and ends once every garbage line is cleared', () => {
+    const state = createState({ mode: 'dig10' });
+    assert.equal(state.countGarbageRows(), 10);
+    assert.equal(state.mode.getLinesRemaining(state), 10);
+    assert.equal(state.mode.rankBy, 'time');
+
+    digRows(state, 4);
+    assert.equal(state.mode.getLinesRemaining(state), 6);
+    assert.equal(state.countGarbageRows(), 6);
+    assert.equal(state.isGameOver, false);
+
+    digRows(state, 6);
+    assert.equal(state.endReason, 'cleared');
+  });
+
+  it('inserts the dig stack after announcing the reset', () => {
+    const state  = createState({ mode: 'dig10' });
+    const events = [];
+    state.on('reset', () => events.push('reset'));
+    state.on('rowsInserted', () => events.push('rowsInserted'));
+
+    state.reset({ mode: 'dig10' });
+    assert.deepEqual(events, ['reset', 'rowsInserted']);
+    assert.equal(state.countGarbageRows(), 10);
+  });
+
+  it('refills the dig 100 stack from below as it is cleared', () => {
+    const state = createState({ mode: 'dig100' });
+    digRows(state, 4);
+    assert.equal(state.countGarbageRows(), 10);
+    assert.equal(state.mode.getLinesRemaining(state), 96);
+  });
+});
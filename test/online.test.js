@@ -0,0 +1,227 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  NetClient,
+  OnlineMatch,
+  PROTOCOL_VERSION,
+  SNAPSHOT_INTERVAL,
+  DEFAULT_MATCH_OPTIONS,
+  encodeMessage,
+  decodeMessage,
+  createRoomCode,
+  normalizeRoomCode,
+  sanitizeMatchOptions
+} from '../src/core/online.js';
+import { ATTACK_LINES } from '../src/core/ScoringEngine.js';
+import { clearTetris, FILL } from './helpers.js';
+
+// WebSocket factice : ouvert à la demande, garde les messages envoyés
+class FakeSocket {
+  constructor(url) {
+    this.url        = url;
+    this.readyState = 0;
+    this.sent       = [];
+    this.listeners  = {};
+    FakeSocket.last = this;
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] ??= []).push(listener);
+  }
+
+  dispatch(type, event = {}) {
+    (this.listeners[type] ?? []).forEach(listener => listener(event));
+  }
+
+  open() {
+    this.readyState = 1;
+    this.dispatch('open');
+  }
+
+  receive(type, payload) {
+    this.dispatch('message', { data: encodeMessage(type, payload) });
+  }
+
+  send(text) {
+    this.sent.push(decodeMessage(text));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.dispatch('close');
+  }
+}
+
+function connectClient() {
+  const client = new NetClient({ url: 'ws://test/ws', WebSocket: FakeSocket });
+  client.connect();
+  const socket = FakeSocket.last;
+  socket.open();
+  socket.receive('welcome', { id: 'p1', version: PROTOCOL_VERSION });
+  return { client, socket };
+}
+
+function startMatch(socket, seed = 7) {
+  socket.receive('start', {
+    seed,
+    options: DEFAULT_MATCH_OPTIONS,
+    players: [{ id: 'p1', name: 'ONE' }, { id: 'p2', name: 'TWO' }]
+  });
+}
+
+describe('online protocol', () => {
+  it('decodes only JSON objects with a type', () => {
+    assert.deepEqual(decodeMessage(encodeMessage('ready', { ready: true })), { ready: true, type: 'ready' });
+    assert.equal(decodeMessage('not json'), null);
+    assert.equal(decodeMessage('[1, 2]'), null);
+    assert.equal(decodeMessage('{"ready":true}'), null);
+  });
+
+  it('creates room codes that normalize to themselves', () => {
+    const code = createRoomCode(() => 0.5);
+    assert.equal(normalizeRoomCode(code), code);
+    assert.equal(normalizeRoomCode(` ${code.toLowerCase()} `), code);
+    assert.equal(normalizeRoomCode('IO01'), null);
+    assert.equal(normalizeRoomCode('ABCDE'), null);
+  });
+
+  it('falls back to defaults for invalid match options', () => {
+    assert.deepEqual(sanitizeMatchOptions(null), DEFAULT_MATCH_OPTIONS);
+    assert.deepEqual(
+      sanitizeMatchOptions({ width: 12, height: 24, pieceSet: 'pentomino', generator: 'tgm', previewCount: 9 }),
+      { width: 12, height: 24, pieceSet: 'pentomino', generator: 'tgm', previewCount: 6 }
+    );
+    // Plateau trop étroit pour les pentominos, générateur inconnu
+    assert.deepEqual(
+      sanitizeMatchOptions({ width: 4, height: 20, pieceSet: 'pentomino', generator: 'constructor' }),
+      DEFAULT_MATCH_OPTIONS
+    );
+    assert.deepEqual(sanitizeMatchOptions({ width: '12', height: 24 }), DEFAULT_MATCH_OPTIONS);
+    assert.deepEqual(sanitizeMatchOptions({ width: 12, height: 24, pieceSet: 'hexomino' }), DEFAULT_MATCH_OPTIONS);
+    assert.deepEqual(
+      sanitizeMatchOptions({ pieceSet: 'pentomino' }),
+      { ...DEFAULT_MATCH_OPTIONS, pieceSet: 'pentomino' }
+    );
+  });
+});
+
+describe('NetClient', () => {
+  it('queues messages until the socket opens', () => {
+    const client = new NetClient({ url: 'ws://test/ws', WebSocket: FakeSocket });
+    client.connect();
+    client.createRoom('ALICE', DEFAULT_MATCH_OPTIONS);
+    const socket = FakeSocket.last;
+    assert.deepEqual(socket.sent, []);
+
+    socket.open();
+    assert.deepEqual(socket.sent, [{ type: 'join', version: PROTOCOL_VERSION, name: 'ALICE', options: DEFAULT_MATCH_OPTIONS }]);
+  });
+
+  it('tracks its player id and room', () => {
+    const { client, socket } = connectClient();
+    const room = { code: 'ABCD', players: [{ id: 'p1', name: 'ONE', ready: true }] };
+    socket.receive('room', { room });
+
+    assert.equal(client.playerId, 'p1');
+    assert.deepEqual(client.room, room);
+    assert.equal(client.getLocalPlayer().ready, true);
+  });
+
+  it('forgets the room when the connection drops', () => {
+    const { client, socket } = connectClient();
+    let disconnected = false;
+    client.on('disconnected', () => { disconnected = true; });
+    socket.receive('room', { room: { code: 'ABCD', players: [] } });
+    socket.close();
+
+    assert.equal(disconnected, true);
+    assert.equal(client.room, null);
+    assert.equal(client.send('ready', { ready: true }), false);
+  });
+});
+
+describe('OnlineMatch', () => {
+  it('starts every board on the seed of the server', () => {
+    const { client, socket } = connectClient();
+    const match = new OnlineMatch({ client });
+    startMatch(socket, 42);
+
+    const opponent = match.opponents.get('p2');
+    assert.equal(match.state.rng.seed, 42);
+    assert.equal(opponent.rng.seed, 42);
+    assert.equal(match.state.currentPiece.type, opponent.currentPiece.type);
+    assert.equal(socket.sent.at(-1).type, 'snapshot');
+  });
+
+  it('sends snapshots of the local board at a fixed interval', () => {
+    const { client, socket } = connectClient();
+    const match = new OnlineMatch({ client });
+    startMatch(socket);
+    socket.sent = [];
+
+    match.step(SNAPSHOT_INTERVAL / 2);
+    assert.equal(socket.sent.length, 0);
+    match.step(SNAPSHOT_INTERVAL / 2);
+    assert.equal(socket.sent.length, 1);
+    assert.equal(socket.sent[0].board.elapsedTime, match.state.elapsedTime);
+  });
+
+  it('restores opponent boards from their snapshots', () => {
+    const { client, socket } = connectClient();
+    const match = new OnlineMatch({ client });
+    startMatch(socket);
+    const changed = [];
+    const rejected = [];
+    match.on('boardChanged', ({ player }) => changed.push(player));
+    match.on('snapshotRejected', ({ player, reason }) => rejected.push([player, reason]));
+
+    const board = match.opponents.get('p2').serialize();
+    board.grid[3][0] = FILL;
+    board.score = 1200;
+    socket.receive('snapshot', { from: 'p2', board });
+    socket.receive('snapshot', { from: 'p2', board: { ...board, width: 12 } });
+    socket.receive('snapshot', { from: 'p2', board: { ...board, score: 0, scoring: 'x' } });
+
+    const opponent = match.opponents.get('p2');
+    assert.equal(opponent.grid[3][0], FILL);
+    assert.equal(opponent.score, 1200);
+    assert.deepEqual(changed, ['p2']);
+    assert.deepEqual(rejected.map(([player]) => player), ['p2', 'p2']);
+    assert.match(rejected[1][1], /malformed scoring/);
+  });
+
+  it('sends attacks and puts received ones in the garbage meter', () => {
+    const { client, socket } = connectClient();
+    const match = new OnlineMatch({ client });
+    startMatch(socket);
+
+    const state = match.state;
+    clearTetris(state, { perfectClear: false });
+    assert.deepEqual(socket.sent.filter(message => message.type === 'attack'), [{ type: 'attack', lines: ATTACK_LINES[4] }]);
+
+    socket.receive('attack', { from: 'p2', lines: 3 });
+    assert.equal(state.garbage.pending, 3);
+  });
+
+  it('announces its game over and stops on the results', () => {
+    const { client, socket } = connectClient();
+    const match = new OnlineMatch({ client });
+    startMatch(socket);
+    let results = null;
+    match.on('matchOver', detail => { results = detail; });
+
+    match.state.setGameOver('topOut');
+    assert.deepEqual(socket.sent.slice(-2).map(message => message.type), ['snapshot', 'gameOver']);
+    assert.equal(socket.sent.at(-1).reason, 'topOut');
+
+    socket.receive('results', { winner: 'p2', standings: [] });
+    assert.equal(match.isRunning, false);
+    assert.equal(results.winner, 'p2');
+
+    const elapsed = match.opponents.get('p2').elapsedTime;
+    socket.receive('attack', { from: 'p2', lines: 2 });
+    match.step(1000);
+    assert.equal(match.state.garbage.pending, 0);
+    assert.equal(match.opponents.get('p2').elapsedTime, elapsed);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ParticlePool } from '../src/core/particles.js';
+import { SeededRandom } from '../src/core/random.js';
+
+function createPool(options = {}) {
+  const rng = new SeededRandom(3);
+  return new ParticlePool({ capacity: 16, random: () => rng.next(), ...options });
+}
+
+describe('ParticlePool', () => {
+  it('moves particles the same way at 30 and 120 fps', () => {
+    const slow = createPool({ physics: { decayRate: 0.5 } });
+    const fast = createPool({ physics: { decayRate: 0.5 } });
+    slow.spawn(0, 0, 0, 1, 1, 1);
+    fast.spawn(0, 0, 0, 1, 1, 1);
+
+    for (let i = 0; i < 30; i++) slow.update(1 / 30);
+    for (let i = 0; i < 120; i++) fast.update(1 / 120);
+
+    for (let axis = 0; axis < 3; axis++) {
+      assert.ok(Math.abs(slow.position[axis] - fast.position[axis]) < 1e-3, `axis ${axis}`);
+    }
+    assert.ok(Math.abs(slow.scale[0] - fast.scale[0]) < 1e-3);
+    assert.ok(Math.abs(slow.life[0] - fast.life[0]) < 1e-4);
+  });
+
+  it('fades alpha with remaining life and frees dead particles', () => {
+    const pool = createPool({ physics: { decayRate: 2 } });
+    pool.spawn(0, 0, 0, 1, 0, 0);
+    pool.update(0.25);
+    assert.ok(Math.abs(pool.getAlpha(0) - 0.5) < 1e-6);
+
+    pool.update(0.3);
+    assert.equal(pool.count, 0);
+  });
+
+  it('keeps live particles packed when one dies', () => {
+    const pool = createPool();
+    pool.spawn(0, 0, 0, 1, 0, 0);
+    pool.spawn(0, 0, 0, 0, 1, 0);
+    pool.spawn(0, 0, 0, 0, 0, 1);
+    pool.life[0] = 0.01;
+    pool.update(0.016);
+
+    assert.equal(pool.count, 2);
+    assert.deepEqual(Array.from(pool.color.subarray(0, 6)), [0, 0, 1, 0, 1, 0]);
+  });
+
+  it('never grows past its capacity', () => {
+    const pool = createPool({ capacity: 4 });
+    for (let i = 0; i < 10; i++) {
+      pool.spawn(i, 0, 0, 1, 1, 1);
+      pool.update(0.01);
+    }
+    assert.equal(pool.count, 4);
+    assert.equal(pool.position.length, 12);
+  });
+});
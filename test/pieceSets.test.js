@@ -0,0 +1,147 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameState } from '../src/core/GameState.js';
+import {
+  PIECE_SETS, PENTOMINOES, MAX_PIECE_BLOCKS, getPieceSet, getPieceSetExtent, fitsBoard, scaleShapes
+} from '../src/core/pieceSets.js';
+import { SHAPES, rotateCoords } from '../src/core/shapes.js';
+import { ReplayRecorder, parseReplay, serializeReplay } from '../src/core/replay.js';
+import { POINTS, ATTACK_LINES, PERFECT_CLEAR_POINTS } from '../src/core/ScoringEngine.js';
+import { createState, setPiece, fillRow, cellsOf, FILL } from './helpers.js';
+
+const isInteger = coords => coords.every(([x, y]) => Number.isInteger(x) && Number.isInteger(y));
+
+describe('piece sets', () => {
+  it('defines the twelve pentominoes with five cells each', () => {
+    assert.equal(Object.keys(PENTOMINOES).length, 12);
+    for (const shape of Object.values(PENTOMINOES)) assert.equal(shape.coords.length, 5);
+  });
+
+  it('rotates every piece of every set onto whole cells', () => {
+    for (const { shapes } of Object.values(PIECE_SETS)) {
+      for (const shape of Object.values(shapes)) {
+        for (let turns = 1; turns < 4; turns++) {
+          assert.ok(isInteger(rotateCoords(shape.coords, shape.pivot, turns)));
+        }
+      }
+    }
+  });
+
+  it('scales tetrominoes into 2×2 minos around the same pivot cell', () => {
+    const big = scaleShapes({ T: SHAPES.T }, 2).T;
+    assert.equal(big.coords.length, 16);
+    assert.deepEqual(big.pivot, [2.5, 2.5]);
+    assert.equal(big.kickScale, 2);
+    assert.equal(MAX_PIECE_BLOCKS, 16);
+  });
+
+  it('rejects unknown sets and boards too small for the set', () => {
+    assert.throws(() => getPieceSet('hexomino'), /Unknown piece set: hexomino/);
+    assert.deepEqual(getPieceSetExtent('pentomino'), { width: 5, height: 3 });
+    assert.equal(fitsBoard('standard', 4, 20), true);
+    assert.equal(fitsBoard('pentomino', 4, 20), false);
+    assert.throws(() => new GameState({ width: 4, pieceSet: 'pentomino' }), /too small for piece set: pentomino/);
+  });
+});
+
+describe('configurable board', () => {
+  it('keeps every tetromino inside a 4-wide board at spawn', () => {
+    const state = createState({ width: 4 });
+    for (const type of Object.keys(SHAPES)) {
+      state.currentPiece = state.createPiece(type);
+      state.placeSpawnedPiece();
+      const { coords, x } = state.currentPiece;
+      assert.ok(x + Math.min(...coords.map(c => c[0])) >= 0, type);
+      assert.ok(x + Math.max(...coords.map(c => c[0])) < 4, type);
+    }
+    assert.equal(state.isGameOver, false);
+  });
+
+  it('spawns at the top of a 12×24 board and clears its wider rows', () => {
+    const state = createState({ width: 12, height: 24 });
+    assert.equal(state.grid.length, 12);
+    assert.equal(state.grid[0].length, 24 + state.bufferHeight);
+    assert.equal(state.currentPiece.y + Math.min(...state.currentPiece.coords.map(c => c[1])), 23);
+
+    fillRow(state, 0);
+    fillRow(state, 1, { except: [11] });
+    assert.equal(state.checkLines().lines, 1);
+    assert.equal(state.grid[10][0], state.grid[0][0]);
+    assert.equal(state.grid[11][0], 0);
+  });
+
+  it('switches board and piece set on reset', () => {
+    const state = createState();
+    let payload = null;
+    state.on('reset', detail => { payload = detail; });
+    state.reset({ width: 12, height: 24, pieceSet: 'pentomino' });
+
+    assert.equal(payload.width, 12);
+    assert.equal(payload.pieceSet, 'pentomino');
+    assert.ok(state.nextQueue.every(piece => piece.type in PENTOMINOES));
+    assert.equal(state.currentPiece.coords.length, 5);
+  });
+
+  it('leaves the game untouched when a reset option is rejected', () => {
+    const state  = createState({ mode: 'sprint' });
+    const before = state.serialize();
+
+    assert.throws(() => state.reset({ width: 12, height: 24, mode: 'nope' }), /Unknown game mode: nope/);
+    assert.throws(() => state.reset({ generator: 'zzz' }), /Unknown piece generator: zzz/);
+    assert.throws(() => state.reset({ pieceSet: 'pentomino', width: 4 }), /too small for piece set/);
+    assert.deepEqual(state.serialize(), before);
+    assert.equal(state.grid.length, state.width);
+  });
+
+  it('kicks big pieces by whole big minos', () => {
+    const state = createState({ pieceSet: 'big' });
+    setPiece(state, 'T', { x: 4, y: 6 });
+    for (let x = 0; x < state.width; x++) state.grid[x][5] = 0x8090a0;
+    state.handleAction('rotateCW');
+    assert.equal(state.currentPiece.rotation, 1);
+    assert.ok(cellsOf(state.currentPiece).every(cell => Number(cell.split(',')[1]) >= 6));
+    assert.equal((state.currentPiece.x - 4) % 2, 0);
+  });
+
+  it('only detects T-spins on sets that declare them', () => {
+    assert.equal(createState({ pieceSet: 'pentomino' }).pieceSet.tSpins, false);
+    assert.equal(createState().pieceSet.tSpins, true);
+  });
+
+  it('scores a five-line pentomino clear as a Tetris', () => {
+    const state = createState({ pieceSet: 'pentomino' });
+    const attacks = [];
+    let result = null;
+    state.on('attack', ({ lines }) => attacks.push(lines));
+    state.on('scoring', detail => { result = detail; });
+    state.receiveGarbage(2);
+    for (let y = 0; y < 5; y++) fillRow(state, y, { except: [9] });
+    state.grid[0][5] = FILL;   // pas de perfect clear
+    setPiece(state, 'I', { rotation: 1, x: 7, y: 0 });
+    state.mergePiece();
+
+    assert.equal(result.lines, 5);
+    assert.deepEqual(result.labels, ['TETRIS']);
+    assert.equal(result.attack, ATTACK_LINES[4]);
+    assert.equal(state.score, POINTS[4]);
+    assert.equal(state.garbage.pending, 0);
+    assert.deepEqual(attacks, [ATTACK_LINES[4] - 2]);
+  });
+
+  it('keeps the score finite on a five-line perfect clear', () => {
+    const state = createState({ pieceSet: 'pentomino' });
+    for (let y = 0; y < 5; y++) fillRow(state, y, { except: [9] });
+    setPiece(state, 'I', { rotation: 1, x: 7, y: 0 });
+    state.mergePiece();
+
+    assert.equal(state.linesCleared, 5);
+    assert.equal(state.score, POINTS[4] + PERFECT_CLEAR_POINTS[4]);
+  });
+
+  it('records the board and piece set in replays', () => {
+    const recorder = new ReplayRecorder({ seed: 1, width: 12, height: 24, pieceSet: 'big', tickMs: 1000 / 60 });
+    const parsed   = parseReplay(serializeReplay(recorder.finish({ ticks: 0 })));
+    assert.equal(parsed.width, 12);
+    assert.equal(parsed.pieceSet, 'big');
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeededRandom, createPieceGenerator } from '../src/core/random.js';
+import { SHAPES } from '../src/core/shapes.js';
+
+const TYPES = Object.keys(SHAPES);
+
+function take(generator, count) {
+  return Array.from({ length: count }, () => generator.next());
+}
+
+describe('SeededRandom', () => {
+  it('produces the same stream for the same seed', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+    assert.deepEqual(take({ next: () => a.next() }, 10), take({ next: () => b.next() }, 10));
+  });
+
+  it('hashes text seeds to a stable number', () => {
+    assert.equal(new SeededRandom('daily').seed, new SeededRandom('daily').seed);
+    assert.notEqual(new SeededRandom('daily').seed, new SeededRandom('weekly').seed);
+  });
+});
+
+describe('piece generators', () => {
+  it('deals each piece exactly once per 7-bag', () => {
+    const sequence = take(createPieceGenerator('bag7', new SeededRandom(7)), 70);
+    for (let bag = 0; bag < 10; bag++) {
+      assert.deepEqual([...sequence.slice(bag * 7, bag * 7 + 7)].sort(), [...TYPES].sort());
+    }
+  });
+
+  it('deals each piece twice per 14-bag', () => {
+    const sequence = take(createPieceGenerator('bag14', new SeededRandom(7)), 14);
+    TYPES.forEach(type => {
+      assert.equal(sequence.filter(t => t === type).length, 2);
+    });
+  });
+
+  it('never starts the TGM history generator with S, Z or O', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      const [first] = take(createPieceGenerator('tgm', new SeededRandom(seed)), 1);
+      assert.ok(!['S', 'Z', 'O'].includes(first));
+    }
+  });
+
+  it('is deterministic for every generator', () => {
+    ['classic', 'bag7', 'bag14', 'tgm'].forEach(name => {
+      assert.deepEqual(
+        take(createPieceGenerator(name, new SeededRandom(99)), 30),
+        take(createPieceGenerator(name, new SeededRandom(99)), 30)
+      );
+    });
+  });
+
+  it('rejects unknown generators', () => {
+    assert.throws(() => createPieceGenerator('nope', new SeededRandom(1)), /Unknown piece generator/);
+  });
+});
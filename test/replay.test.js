@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameState } from '../src/core/GameState.js';
+import { SeededRandom } from '../src/core/random.js';
+import {
+  ReplayRecorder, ReplayPlayer, serializeReplay, parseReplay, REPLAY_ACTION_CODES
+} from '../src/core/replay.js';
+
+const TICK_MS = 1000 / 60;
+const ACTIONS = Object.keys(REPLAY_ACTION_CODES);
+
+// Partie pilotée par un « joueur » pseudo-aléatoire, enregistrée comme le fait la vue
+function recordSession({ seed = 99, ticks = 3000 } = {}) {
+  const state    = new GameState({ seed });
+  const recorder = new ReplayRecorder({ seed: state.rng.seed, generator: state.generatorName, tickMs: TICK_MS, softDropFactor: 20 });
+  const player   = new SeededRandom(7);
+  let softDropping = false;
+  let tick = 0;
+
+  for (; tick < ticks && !state.isGameOver; tick++) {
+    if (player.next() < 0.08) {
+      const action = ACTIONS[player.nextInt(ACTIONS.length)];
+      const toWall = action.startsWith('move') && player.next() < 0.2;
+      recorder.recordAction(tick, action, { toWall });
+      state.handleAction(action, { toWall });
+    }
+    if (player.next() < 0.02) softDropping = !softDropping;
+    recorder.recordSoftDrop(tick, softDropping);
+    state.step(TICK_MS, { softDropping, softDropFactor: 20 });
+  }
+
+  const replay = recorder.finish({ ticks: tick, score: state.score, lines: state.linesCleared, level: state.level });
+  return { state, replay };
+}
+
+function playBack(replay) {
+  const state  = new GameState({ seed: replay.seed, generator: replay.generator, mode: replay.mode });
+  const player = new ReplayPlayer(replay);
+  for (let tick = 0; tick < player.totalTicks; tick++) player.applyTick(state, tick);
+  return state;
+}
+
+describe('replay', () => {
+  it('reproduces a recorded session exactly', () => {
+    const { state, replay } = recordSession();
+    assert.ok(replay.inputs.length > 50);
+
+    const replayed = playBack(replay);
+    assert.equal(replayed.score, state.score);
+    assert.equal(replayed.linesCleared, state.linesCleared);
+    assert.equal(replayed.isGameOver, state.isGameOver);
+    assert.deepEqual(replayed.grid, state.grid);
+  });
+
+  it('round-trips through the compact JSON format', () => {
+    const { state, replay } = recordSession({ ticks: 1500 });
+    const text = serializeReplay(replay);
+    const parsed = parseReplay(text);
+
+    assert.deepEqual(parsed.inputs, replay.inputs);
+    assert.deepEqual(parsed.result, replay.result);
+    assert.equal(playBack(parsed).score, state.score);
+  });
+
+  it('stores input ticks as deltas', () => {
+    const recorder = new ReplayRecorder({ seed: 1, tickMs: TICK_MS });
+    recorder.recordAction(10, 'moveLeft');
+    recorder.recordAction(12, 'hardDrop');
+    recorder.recordAction(12, 'pause');
+    const data = JSON.parse(serializeReplay(recorder.finish({ ticks: 20 })));
+    assert.deepEqual(data.inputs, [[10, 'L'], [2, 'H']]);
+  });
+
+  it('rejects malformed replays', () => {
+    assert.throws(() => parseReplay('nope'), /not JSON/);
+    assert.throws(() => parseReplay('{"format":"other"}'), /unknown format/);
+
+    const replay = new ReplayRecorder({ seed: 1, tickMs: TICK_MS }).finish({ ticks: 5 });
+    replay.inputs = [[0, 'XYZ']];
+    assert.throws(() => parseReplay(serializeReplay(replay)), /Invalid replay input/);
+  });
+
+  it('rejects replays the engine could not reset to', () => {
+    const replay = new ReplayRecorder({ seed: 1, tickMs: TICK_MS }).finish({ ticks: 5 });
+    const parseWith = fields => () => parseReplay(serializeReplay({ ...replay, ...fields }));
+
+    assert.throws(parseWith({ generator: 'zzz' }), /unknown piece generator zzz/);
+    assert.throws(parseWith({ mode: 'nope' }), /unknown game mode nope/);
+    assert.throws(parseWith({ pieceSet: 'hexomino' }), /unknown piece set hexomino/);
+    assert.throws(parseWith({ width: 3 }), /board is 3x20/);
+    assert.throws(parseWith({ height: 1.5 }), /board is 10x1.5/);
+    assert.throws(parseWith({ width: 4, pieceSet: 'pentomino' }), /board is 4x20 \(pentomino\)/);
+    assert.throws(parseWith({ seed: 'abc' }), /seed abc/);
+    assert.throws(parseWith({ previewCount: 2.5 }), /preview count 2.5/);
+    assert.throws(parseWith({ previewCount: -1 }), /preview count -1/);
+    assert.throws(parseWith({ softDropFactor: 0 }), /soft drop factor 0/);
+    assert.throws(parseWith({ softDropFactor: null }), /soft drop factor null/);
+  });
+});
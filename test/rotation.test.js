@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SHAPES, rotateCoords, getKickOffsets } from '../src/core/shapes.js';
+import { createState, setPiece, cellsOf, FILL } from './helpers.js';
+
+describe('rotateCoords', () => {
+  it('returns to the spawn orientation after four clockwise turns', () => {
+    Object.values(SHAPES).forEach(shape => {
+      assert.deepEqual(rotateCoords(shape.coords, shape.pivot, 4), shape.coords);
+    });
+  });
+
+  it('treats a counter-clockwise turn as three clockwise turns', () => {
+    Object.values(SHAPES).forEach(shape => {
+      assert.deepEqual(
+        rotateCoords(shape.coords, shape.pivot, -1),
+        rotateCoords(shape.coords, shape.pivot, 3)
+      );
+    });
+  });
+});
+
+describe('getKickOffsets', () => {
+  it('uses the five-test SRS tables for quarter turns', () => {
+    assert.deepEqual(getKickOffsets('JLSTZ', 0, 1), [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]]);
+    assert.deepEqual(getKickOffsets('I', 0, 1), [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]]);
+  });
+
+  it('never kicks the O piece', () => {
+    assert.deepEqual(getKickOffsets('O', 0, 1), [[0, 0]]);
+  });
+});
+
+describe('GameState.rotatePiece', () => {
+  it('rotates T clockwise around its centre in open space', () => {
+    const state = createState();
+    const piece = setPiece(state, 'T', { x: 4, y: 8 });
+    assert.equal(state.rotatePiece(1), true);
+    assert.equal(piece.rotation, 1);
+    assert.deepEqual(cellsOf(piece), ['5,10', '5,8', '5,9', '6,9']);
+  });
+
+  it('keeps the O piece in place', () => {
+    const state = createState();
+    const piece = setPiece(state, 'O', { x: 4, y: 8 });
+    const before = cellsOf(piece);
+    state.rotatePiece(1);
+    assert.deepEqual(cellsOf(piece), before);
+    assert.equal(piece.x, 4);
+    assert.equal(piece.y, 8);
+  });
+
+  it('rotates I into the third column of its 4x4 box', () => {
+    const state = createState();
+    const piece = setPiece(state, 'I', { x: 3, y: 8 });
+    state.rotatePiece(1);
+    assert.deepEqual(cellsOf(piece), ['5,10', '5,11', '5,8', '5,9']);
+  });
+
+  it('supports counter-clockwise and 180° rotations', () => {
+    const state = createState();
+    const piece = setPiece(state, 'T', { x: 4, y: 8 });
+    state.rotatePiece(-1);
+    assert.equal(piece.rotation, 3);
+    state.rotatePiece(2);
+    assert.equal(piece.rotation, 1);
+  });
+
+  it('kicks away from the left wall', () => {
+    const state = createState();
+    // J en état R : la colonne gauche de sa boîte est vide, collé au mur en x = -1
+    const piece = setPiece(state, 'J', { rotation: 1, x: -1, y: 8 });
+    assert.equal(state.checkCollision(0, 0), false);
+    assert.equal(state.rotatePiece(1), true);
+    assert.equal(piece.rotation, 2);
+    assert.equal(piece.x, 0);
+    assert.equal(piece.y, 8);
+  });
+
+  it('applies vertical floor kicks', () => {
+    const state = createState();
+    const piece = setPiece(state, 'T', { x: 4, y: -1 });
+    assert.equal(state.rotatePiece(1), true);
+    // 0>R : (0,0) et (-1,0) touchent le sol, (-1,+1) passe
+    assert.equal(piece.x, 3);
+    assert.equal(piece.y, 0);
+    assert.equal(state.lastManeuver.kickIndex, 2);
+  });
+
+  it('restores the piece when every kick fails', () => {
+    const state = createState();
+    for (let x = 0; x < state.width; x++) {
+      for (let y = 0; y < state.height; y++) state.grid[x][y] = FILL;
+    }
+    const piece = setPiece(state, 'I', { x: 3, y: 8 });
+    [3, 4, 5, 6].forEach(x => { state.grid[x][10] = 0; });
+    const before = cellsOf(piece);
+
+    assert.equal(state.rotatePiece(1), false);
+    assert.deepEqual(cellsOf(piece), before);
+    assert.equal(piece.rotation, 0);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GAMEPLAY_CONFIG } from '../src/core/config.js';
+import {
+  ScoringEngine, POINTS, T_SPIN_POINTS, PERFECT_CLEAR_POINTS,
+  ATTACK_LINES, T_SPIN_ATTACK_LINES, COMBO_ATTACK_LINES, PERFECT_CLEAR_ATTACK
+} from '../src/core/ScoringEngine.js';
+import { createState, setPiece, fillRow, FILL } from './helpers.js';
+
+describe('ScoringEngine', () => {
+  it('scores plain line clears with the POINTS table', () => {
+    const scoring = new ScoringEngine();
+    for (let lines = 0; lines <= 4; lines++) {
+      scoring.reset();
+      assert.equal(scoring.evaluate({ lines, level: 2 }).points, POINTS[lines] * 2);
+    }
+  });
+
+  it('applies the back-to-back multiplier to consecutive difficult clears', () => {
+    const scoring = new ScoringEngine();
+    scoring.evaluate({ lines: 4 });
+    scoring.evaluate({ lines: 0 });
+    const result = scoring.evaluate({ lines: 4 });
+
+    assert.equal(result.backToBack, true);
+    assert.equal(result.points, POINTS[4] * GAMEPLAY_CONFIG.backToBackMultiplier);
+    assert.deepEqual(result.labels, ['TETRIS', 'B2B']);
+  });
+
+  it('breaks back-to-back on an easy clear but not on a T-spin without lines', () => {
+    const scoring = new ScoringEngine();
+    scoring.evaluate({ lines: 4 });
+    scoring.evaluate({ lines: 0, tSpin: 'full' });
+    assert.equal(scoring.evaluate({ lines: 2, tSpin: 'full' }).backToBack, true);
+
+    scoring.evaluate({ lines: 0 });
+    scoring.evaluate({ lines: 1 });
+    assert.equal(scoring.evaluate({ lines: 4 }).backToBack, false);
+  });
+
+  it('adds a growing combo bonus and resets it on a lock without lines', () => {
+    const scoring = new ScoringEngine();
+    scoring.evaluate({ lines: 1 });
+    const second = scoring.evaluate({ lines: 1 });
+    const third  = scoring.evaluate({ lines: 1 });
+
+    assert.equal(second.points, POINTS[1] + GAMEPLAY_CONFIG.comboBonus);
+    assert.equal(third.points, POINTS[1] + GAMEPLAY_CONFIG.comboBonus * 2);
+    assert.ok(third.labels.includes('COMBO x2'));
+
+    scoring.evaluate({ lines: 0 });
+    assert.equal(scoring.evaluate({ lines: 1 }).combo, 0);
+  });
+
+  it('scores full and mini T-spins', () => {
+    const scoring = new ScoringEngine();
+    assert.equal(scoring.evaluate({ lines: 2, tSpin: 'full' }).points, T_SPIN_POINTS.full[2]);
+    scoring.reset();
+    const mini = scoring.evaluate({ lines: 1, tSpin: 'mini' });
+    assert.equal(mini.points, T_SPIN_POINTS.mini[1]);
+    assert.deepEqual(mini.labels, ['MINI T-SPIN SINGLE']);
+  });
+
+  it('adds the perfect clear bonus', () => {
+    const scoring = new ScoringEngine();
+    const result = scoring.evaluate({ lines: 2, perfectClear: true });
+    assert.equal(result.points, POINTS[2] + PERFECT_CLEAR_POINTS[2]);
+    assert.ok(result.labels.includes('PERFECT CLEAR'));
+  });
+
+  it('computes the attack sent by a clear', () => {
+    const scoring = new ScoringEngine();
+    assert.equal(scoring.evaluate({ lines: 1 }).attack, ATTACK_LINES[1]);
+    assert.equal(scoring.evaluate({ lines: 4 }).attack, ATTACK_LINES[4] + COMBO_ATTACK_LINES[1]);
+
+    scoring.reset();
+    scoring.evaluate({ lines: 4 });
+    scoring.evaluate({ lines: 0 });
+    assert.equal(scoring.evaluate({ lines: 3, tSpin: 'full' }).attack, T_SPIN_ATTACK_LINES.full[3] + 1);
+    assert.equal(scoring.evaluate({ lines: 0 }).attack, 0);
+
+    scoring.reset();
+    assert.equal(scoring.evaluate({ lines: 2, perfectClear: true }).attack, ATTACK_LINES[2] + PERFECT_CLEAR_ATTACK);
+  });
+
+  it('caps the combo attack at the end of the table', () => {
+    const scoring = new ScoringEngine();
+    let result;
+    for (let i = 0; i < COMBO_ATTACK_LINES.length + 3; i++) result = scoring.evaluate({ lines: 1 });
+    assert.equal(result.attack, COMBO_ATTACK_LINES.at(-1));
+  });
+
+  it('falls back to a fresh chain when restored without a state', () => {
+    const scoring = new ScoringEngine();
+    scoring.evaluate({ lines: 4 });
+    scoring.setState();
+    assert.deepEqual(scoring.getState(), { combo: -1, backToBack: false });
+  });
+});
+
+describe('GameState scoring', () => {
+  it('awards soft drop points per row', () => {
+    const state = createState();
+    setPiece(state, 'O', { x: 4, y: 10 });
+    state.handleAction('softDrop');
+    state.handleAction('softDrop');
+    assert.equal(state.score, 2 * GAMEPLAY_CONFIG.softDropScore);
+  });
+
+  it('awards hard drop points per row travelled and queues a lock', () => {
+    const state = createState();
+    setPiece(state, 'O', { x: 4, y: 10 });
+    assert.equal(state.hardDrop(), 10);
+    assert.equal(state.score, 10 * GAMEPLAY_CONFIG.hardDropScore);
+    assert.deepEqual(state.pendingLock, { dropDistance: 10, major: true });
+  });
+
+  it('detects a T-spin double through the 3-corner rule', () => {
+    const state = createState();
+    fillRow(state, 0, { except: [4] });
+    fillRow(state, 1, { except: [3, 4, 5] });
+    state.grid[3][2] = FILL;
+
+    const piece = setPiece(state, 'T', { rotation: 1, x: 3, y: 0 });
+    assert.equal(state.rotatePiece(1), true);
+    assert.equal(piece.rotation, 2);
+
+    let scored = null;
+    state.on('scoring', result => { scored = result; });
+    state.handleAction('hardDrop');
+    state.step(GAMEPLAY_CONFIG.hitStopDuration); // hit-stop du hard drop
+    state.step(0);
+
+    assert.equal(scored.tSpin, 'full');
+    assert.equal(scored.lines, 2);
+    assert.deepEqual(scored.labels, ['T-SPIN DOUBLE']);
+    assert.equal(state.score, T_SPIN_POINTS.full[2]);
+  });
+
+  it('does not count a T that moved after its last rotation', () => {
+    const state = createState();
+    fillRow(state, 0, { except: [4] });
+    fillRow(state, 1, { except: [3, 4, 5] });
+    state.grid[3][2] = FILL;
+
+    setPiece(state, 'T', { rotation: 2, x: 3, y: 1 });
+    state.stepPieceDown();
+    assert.equal(state.detectTSpin(), null);
+  });
+});
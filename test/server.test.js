@@ -0,0 +1,341 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { Lobby } from '../server/rooms.js';
+import { createGameServer } from '../server/index.js';
+import {
+  NodeWebSocket,
+  FrameReader,
+  WebSocketConnection,
+  acceptWebSocket,
+  encodeFrame,
+  OPCODES,
+  CLOSE_CODES
+} from '../server/websocket.js';
+import { NetClient, OnlineMatch, PROTOCOL_VERSION, WEBSOCKET_PATH, DEFAULT_MATCH_OPTIONS } from '../src/core/online.js';
+import { GameState } from '../src/core/GameState.js';
+
+// Joueur branché sur un lobby sans réseau : garde les messages reçus
+function connectPlayer(lobby) {
+  const inbox  = [];
+  const player = lobby.connect((type, payload) => inbox.push({ type, ...payload }));
+  player.inbox = inbox;
+  player.last  = type => inbox.filter(message => message.type === type).at(-1);
+  return player;
+}
+
+function createRoom(lobby, count = 2) {
+  const players = Array.from({ length: count }, () => connectPlayer(lobby));
+  lobby.handle(players[0], { type: 'join', version: PROTOCOL_VERSION, name: 'HOST' });
+  const code = players[0].last('room').room.code;
+  players.slice(1).forEach((player, i) => {
+    lobby.handle(player, { type: 'join', version: PROTOCOL_VERSION, room: code, name: `GUEST${i + 1}` });
+  });
+  return { players, code };
+}
+
+function startRoom(lobby, players) {
+  players.forEach(player => lobby.handle(player, { type: 'ready', ready: true }));
+}
+
+// Résout au premier événement `type` de l'émetteur
+function nextEvent(emitter, type) {
+  return new Promise(resolve => {
+    const unsubscribe = emitter.on(type, (detail) => {
+      unsubscribe();
+      resolve(detail);
+    });
+  });
+}
+
+// Socket TCP factice : garde les octets écrits par la connexion
+class FakeTcpSocket {
+  constructor() {
+    this.written = [];
+    this.ended   = false;
+  }
+
+  setNoDelay() {}
+  on() {}
+
+  write(data) {
+    this.written.push(data);
+  }
+
+  end(data) {
+    if (data !== undefined) this.write(data);
+    this.ended = true;
+  }
+}
+
+function openServerConnection() {
+  const socket     = new FakeTcpSocket();
+  const connection = new WebSocketConnection();
+  connection.attach(socket);
+  return { connection, socket };
+}
+
+// Trame de client (masquée) ; fin: false pour un fragment non final
+function clientFrame(opcode, payload, { fin = true } = {}) {
+  const frame = encodeFrame(opcode, payload, { mask: true });
+  if (!fin) frame[0] &= 0x7F;
+  return frame;
+}
+
+function closePayload(code) {
+  const payload = Buffer.alloc(2);
+  payload.writeUInt16BE(code);
+  return payload;
+}
+
+describe('WebSocket frames', () => {
+  it('reads back masked frames, including split ones', () => {
+    const text  = 'x'.repeat(300);
+    const frame = encodeFrame(OPCODES.text, text, { mask: true });
+    const reader = new FrameReader();
+
+    reader.push(frame.subarray(0, 3));
+    assert.equal(reader.next(), null);
+    reader.push(frame.subarray(3));
+    const decoded = reader.next();
+    assert.equal(decoded.masked, true);
+    assert.equal(decoded.payload.toString(), text);
+    assert.equal(reader.next(), null);
+  });
+
+  it('rejects frames above the size limit', () => {
+    const reader = new FrameReader({ maxBytes: 16 });
+    reader.push(encodeFrame(OPCODES.text, 'x'.repeat(32)));
+    assert.throws(() => reader.next(), RangeError);
+  });
+});
+
+describe('WebSocketConnection', () => {
+  it('joins fragmented messages', () => {
+    const { connection } = openServerConnection();
+    const messages = [];
+    connection.on('message', ({ data }) => messages.push(data));
+
+    connection.receive(clientFrame(OPCODES.text, 'hel', { fin: false }));
+    connection.receive(clientFrame(OPCODES.continuation, 'lo'));
+    assert.deepEqual(messages, ['hello']);
+  });
+
+  it('closes with 1009 once the fragments of a message pass the size limit', () => {
+    const { connection } = openServerConnection();
+    connection.reader.maxBytes = 16;
+    connection.receive(clientFrame(OPCODES.text, 'x'.repeat(10), { fin: false }));
+    assert.equal(connection.readyState, WebSocketConnection.OPEN);
+
+    connection.receive(clientFrame(OPCODES.continuation, 'x'.repeat(10), { fin: false }));
+    assert.equal(connection.readyState, WebSocketConnection.CLOSING);
+    assert.equal(connection.closeCode, CLOSE_CODES.tooLarge);
+  });
+
+  it('echoes valid close codes and answers reserved ones with 1002', () => {
+    const valid = openServerConnection().connection;
+    valid.receive(clientFrame(OPCODES.close, closePayload(4000)));
+    assert.equal(valid.closeCode, 4000);
+
+    for (const code of [1005, 1006, 1015, 999]) {
+      const { connection } = openServerConnection();
+      connection.receive(clientFrame(OPCODES.close, closePayload(code)));
+      assert.equal(connection.closeCode, CLOSE_CODES.protocol);
+    }
+  });
+
+  it('lets errors other than an oversized frame propagate', () => {
+    const { connection } = openServerConnection();
+    connection.on('message', () => { throw new TypeError('listener failed'); });
+    assert.throws(() => connection.receive(clientFrame(OPCODES.text, 'hi')), TypeError);
+  });
+
+  it('requires version 13 of the protocol during the handshake', () => {
+    const socket  = new FakeTcpSocket();
+    const request = { headers: { upgrade: 'websocket', 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==' } };
+    assert.equal(acceptWebSocket(request, socket), null);
+    assert.match(socket.written[0], /^HTTP\/1\.1 426 Upgrade Required\r\n/);
+    assert.match(socket.written[0], /Sec-WebSocket-Version: 13\r\n/);
+    assert.equal(socket.ended, true);
+  });
+});
+
+describe('Lobby', () => {
+  it('creates a room and lets a second player join with its code', () => {
+    const lobby = new Lobby();
+    const { players, code } = createRoom(lobby);
+    const room = players[1].last('room').room;
+
+    assert.equal(room.code, code);
+    assert.equal(room.host, players[0].id);
+    assert.deepEqual(room.players.map(player => player.name), ['HOST', 'GUEST1']);
+    assert.deepEqual(room.options, DEFAULT_MATCH_OPTIONS);
+  });
+
+  it('reports unknown rooms and protocol mismatches', () => {
+    const lobby  = new Lobby();
+    const player = connectPlayer(lobby);
+    lobby.handle(player, { type: 'join', version: PROTOCOL_VERSION, room: 'ZZZZ' });
+    assert.equal(player.last('error').message, 'Room not found');
+    lobby.handle(player, { type: 'join', version: PROTOCOL_VERSION + 1 });
+    assert.match(player.last('error').message, /Protocol version/);
+  });
+
+  it('starts on a shared seed once every player is ready', () => {
+    const lobby = new Lobby();
+    const { players } = createRoom(lobby);
+    lobby.handle(players[0], { type: 'ready', ready: true });
+    assert.equal(players[0].last('start'), undefined);
+
+    lobby.handle(players[1], { type: 'ready', ready: true });
+    const [first, second] = players.map(player => player.last('start'));
+    assert.equal(first.seed, second.seed);
+    assert.deepEqual(first.players.map(player => player.id), players.map(player => player.id));
+    assert.equal(players[0].last('room').room.phase, 'playing');
+  });
+
+  it('relays snapshots and routes attacks to the next player alive', () => {
+    const lobby = new Lobby();
+    const { players: [a, b, c] } = createRoom(lobby, 3);
+    startRoom(lobby, [a, b, c]);
+
+    const board = { ...new GameState(DEFAULT_MATCH_OPTIONS).serialize(), score: 500 };
+    lobby.handle(a, { type: 'snapshot', board });
+    assert.deepEqual(b.last('snapshot'), { type: 'snapshot', from: a.id, board });
+    assert.equal(a.last('snapshot'), undefined);
+
+    lobby.handle(b, { type: 'gameOver', reason: 'topOut' });
+    lobby.handle(a, { type: 'attack', lines: 4 });
+    assert.equal(b.last('attack'), undefined);
+    assert.deepEqual(c.last('attack'), { type: 'attack', from: a.id, lines: 4 });
+  });
+
+  it('drops snapshots that do not match the board of the room', () => {
+    const lobby = new Lobby();
+    const { players: [a, b] } = createRoom(lobby);
+    startRoom(lobby, [a, b]);
+
+    const board = new GameState(DEFAULT_MATCH_OPTIONS).serialize();
+    const invalid = [
+      { score: 500 },
+      { ...board, width: board.width + 2 },
+      { ...board, pieceSet: 'pentomino' },
+      { ...board, grid: board.grid.slice(1) },
+      { ...board, score: 'lots' },
+      { ...board, mode: 'sprint' },
+      { ...board, generator: 'tgm' },
+      { ...board, scoring: 'x' },
+      { ...board, garbage: { entries: 5 } },
+      { ...board, currentPiece: null },
+      { ...board, currentPiece: { ...board.currentPiece, coords: 'x' } }
+    ];
+    invalid.forEach(snapshot => lobby.handle(a, { type: 'snapshot', board: snapshot }));
+    assert.equal(b.last('snapshot'), undefined);
+  });
+
+  it('ignores snapshots from eliminated players', () => {
+    const lobby = new Lobby();
+    const { players: [a, b, c] } = createRoom(lobby, 3);
+    startRoom(lobby, [a, b, c]);
+
+    lobby.handle(a, { type: 'gameOver', reason: 'topOut' });
+    lobby.handle(a, { type: 'snapshot', board: new GameState(DEFAULT_MATCH_OPTIONS).serialize() });
+    assert.equal(b.last('snapshot'), undefined);
+    assert.equal(c.last('snapshot'), undefined);
+  });
+
+  it('reads unknown game over reasons as a top out', () => {
+    const lobby = new Lobby();
+    const { players: [a, b] } = createRoom(lobby);
+    startRoom(lobby, [a, b]);
+
+    lobby.handle(b, { type: 'gameOver', reason: 'disconnected' });
+    assert.equal(a.last('playerOut').reason, 'topOut');
+    assert.equal(a.last('results').standings[1].reason, 'topOut');
+  });
+
+  it('ranks the survivor first and counts the win', () => {
+    const lobby = new Lobby();
+    const { players: [a, b, c] } = createRoom(lobby, 3);
+    startRoom(lobby, [a, b, c]);
+    lobby.handle(c, { type: 'attack', lines: 2 });
+
+    lobby.handle(b, { type: 'gameOver', reason: 'topOut', score: 100 });
+    lobby.handle(a, { type: 'gameOver', reason: 'blockOut', score: 300 });
+
+    const results = c.last('results');
+    assert.equal(results.winner, c.id);
+    assert.deepEqual(results.standings.map(entry => entry.player), [c.id, a.id, b.id]);
+    assert.deepEqual(results.standings.map(entry => entry.reason), [null, 'blockOut', 'topOut']);
+    assert.equal(results.standings[0].attackSent, 2);
+    assert.equal(results.standings[1].score, 300);
+
+    const room = c.last('room').room;
+    assert.equal(room.phase, 'lobby');
+    assert.deepEqual(room.players.map(player => player.wins), [0, 0, 1]);
+  });
+
+  it('ends the match when a player leaves mid-game', () => {
+    const lobby = new Lobby();
+    const { players: [a, b] } = createRoom(lobby);
+    startRoom(lobby, [a, b]);
+
+    lobby.disconnect(b);
+    assert.equal(a.last('results').winner, a.id);
+    assert.equal(a.last('results').standings[1].reason, 'disconnected');
+    assert.equal(a.last('room').room.players.length, 1);
+  });
+
+  it('refuses to join a room during a match', () => {
+    const lobby = new Lobby();
+    const { players, code } = createRoom(lobby);
+    startRoom(lobby, players);
+
+    const late = connectPlayer(lobby);
+    lobby.handle(late, { type: 'join', version: PROTOCOL_VERSION, room: code });
+    assert.equal(late.last('error').message, 'Match in progress');
+  });
+});
+
+describe('reference server', () => {
+  it('plays a match between two clients over WebSocket', async () => {
+    const server = createGameServer();
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const url = `ws://127.0.0.1:${server.address().port}${WEBSOCKET_PATH}`;
+
+    const clients = [new NetClient({ url, WebSocket: NodeWebSocket }), new NetClient({ url, WebSocket: NodeWebSocket })];
+    const matches = clients.map(client => new OnlineMatch({ client }));
+    try {
+      clients.forEach(client => client.connect());
+      await Promise.all(clients.map(client => nextEvent(client, 'welcome')));
+
+      clients[0].createRoom('ALICE', DEFAULT_MATCH_OPTIONS);
+      const { room } = await nextEvent(clients[0], 'roomChanged');
+      clients[1].joinRoom(room.code, 'BOB');
+      await nextEvent(clients[1], 'roomChanged');
+
+      const started = matches.map(match => nextEvent(match, 'matchStarted'));
+      clients.forEach(client => client.setReady(true));
+      const [first, second] = await Promise.all(started);
+      assert.equal(first.seed, second.seed);
+
+      const attacked = nextEvent(matches[1], 'attack');
+      matches[0].state.emit('attack', { lines: 2 });
+      assert.equal((await attacked).lines, 2);
+      assert.equal(matches[1].state.garbage.pending, 2);
+
+      const over = matches.map(match => nextEvent(match, 'matchOver'));
+      matches[1].state.setGameOver('topOut');
+      const [results] = await Promise.all(over);
+      assert.equal(results.winner, clients[0].playerId);
+      assert.deepEqual(results.standings.map(entry => entry.name), ['ALICE', 'BOB']);
+    } finally {
+      const closed = clients.map(client => client.socket && nextEvent(client.socket, 'close'));
+      clients.forEach(client => client.disconnect());
+      await Promise.all(closed);
+      server.close();
+      await once(server, 'close');
+    }
+  });
+});
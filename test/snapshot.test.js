@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameState, validateSnapshot } from '../src/core/GameState.js';
+import { SeededRandom } from '../src/core/random.js';
+import { createState, setPiece } from './helpers.js';
+
+const ACTIONS = ['moveLeft', 'moveRight', 'rotateCW', 'rotateCCW', 'hold', 'hardDrop', 'softDrop'];
+
+// Même suite d'entrées pseudo-aléatoires appliquée aux deux parties
+function drive(states, ticks, rng) {
+  for (let tick = 0; tick < ticks; tick++) {
+    const action = rng.next() < 0.1 ? ACTIONS[rng.nextInt(ACTIONS.length)] : null;
+    for (const state of states) {
+      if (action) state.handleAction(action);
+      state.step(1000 / 60);
+    }
+  }
+}
+
+describe('GameState snapshots', () => {
+  for (const generator of ['bag7', 'tgm', 'classic']) {
+    it(`resumes a ${generator} game exactly where it was saved`, () => {
+      const original = createState({ generator, mode: 'ultra' });
+      drive([original], 600, new SeededRandom(3));
+      assert.equal(original.isGameOver, false);
+
+      const snapshot = JSON.parse(JSON.stringify(original.serialize()));
+      const restored = new GameState({ seed: 1 });
+      restored.restore(snapshot);
+
+      assert.deepEqual(restored.serialize(), original.serialize());
+      drive([original, restored], 2400, new SeededRandom(4));
+      assert.deepEqual(restored.grid, original.grid);
+      assert.equal(restored.score, original.score);
+      assert.equal(restored.isGameOver, original.isGameOver);
+    });
+  }
+
+  it('keeps the active piece orientation, hold and scoring chain', () => {
+    const state = createState();
+    setPiece(state, 'T', { rotation: 1, x: 3, y: 8 });
+    state.holdCurrentPiece();
+    state.scoring.backToBack = true;
+    state.scoring.combo = 2;
+
+    const restored = new GameState({ seed: 1 });
+    restored.restore(JSON.parse(JSON.stringify(state.serialize())));
+
+    assert.deepEqual(restored.currentPiece, state.currentPiece);
+    assert.equal(restored.heldPiece.type, 'T');
+    assert.equal(restored.canHold, false);
+    assert.deepEqual(restored.scoring.getState(), { combo: 2, backToBack: true });
+  });
+
+  it('emits restored and resumes unpaused', () => {
+    const state = createState();
+    state.setPaused(true);
+    const restored = new GameState({ seed: 1 });
+    let emitted = false;
+    restored.on('restored', () => { emitted = true; });
+
+    restored.restore(state.serialize());
+    assert.equal(emitted, true);
+    assert.equal(restored.isPaused, false);
+  });
+
+  it('adopts the board size and piece set of the snapshot', () => {
+    const original = createState({ width: 12, height: 24, pieceSet: 'pentomino' });
+    const restored = createState();
+    restored.restore(JSON.parse(JSON.stringify(original.serialize())));
+
+    assert.equal(restored.width, 12);
+    assert.equal(restored.height, 24);
+    assert.equal(restored.pieceSetName, 'pentomino');
+    assert.equal(restored.currentPiece.coords.length, 5);
+  });
+
+  it('rejects snapshots with an unusable board or version', () => {
+    const snapshot = createState().serialize();
+    assert.throws(() => createState().restore({ ...snapshot, width: 3 }), /board is 3x20/);
+    assert.throws(() => createState().restore({ ...snapshot, pieceSet: 'hexomino' }), /board is 10x20/);
+    assert.throws(() => createState().restore({ ...snapshot, version: 99 }), /unknown version/);
+  });
+
+  it('leaves the game untouched when a snapshot is rejected', () => {
+    const snapshot = createState({ width: 12, height: 24, pieceSet: 'pentomino' }).serialize();
+    const state    = createState({ mode: 'sprint' });
+    const before   = state.serialize();
+
+    assert.throws(() => state.restore({ ...snapshot, generator: 'zzz' }), /Unknown piece generator: zzz/);
+    assert.throws(() => state.restore({ ...snapshot, mode: 'nope' }), /Unknown game mode: nope/);
+    assert.deepEqual(state.serialize(), before);
+  });
+
+  it('leaves board, grid and score untouched when a snapshot part is malformed', () => {
+    const snapshot = createState().serialize();
+    const state    = createState({ width: 12, height: 24 });
+    state.score = 500;
+    const before = state.serialize();
+    const piece  = snapshot.currentPiece;
+
+    const rejected = [
+      [{ scoring: 'x' }, /malformed scoring/],
+      [{ garbage: { entries: 5 } }, /malformed garbage/],
+      [{ grid: snapshot.grid.slice(1) }, /malformed grid/],
+      [{ grid: [snapshot.grid[0].map(() => 'x'), ...snapshot.grid.slice(1)] }, /malformed grid/],
+      [{ currentPiece: { ...piece, coords: [[0]] } }, /malformed piece/],
+      [{ currentPiece: { ...piece, type: 'toString' } }, /unknown piece/],
+      [{ score: 'lots' }, /malformed stats/]
+    ];
+    for (const [fields, message] of rejected) {
+      assert.throws(() => state.restore({ ...snapshot, ...fields }), message);
+    }
+
+    assert.deepEqual(state.serialize(), before);
+    assert.equal(state.width, 12);
+    assert.equal(state.grid.length, 12);
+    assert.equal(state.score, 500);
+  });
+
+  it('rejects a saved game whose grid was corrupted in storage', () => {
+    const saved = JSON.parse(JSON.stringify({ tickCount: 60, state: createState().serialize() }));
+    saved.state.grid[4][2] = null;
+
+    assert.throws(() => validateSnapshot(saved.state), /malformed grid/);
+    const state  = createState();
+    const before = state.serialize();
+    assert.throws(() => state.restore(saved.state), /malformed grid/);
+    assert.deepEqual(state.serialize(), before);
+  });
+
+  it('restores a snapshot saved without a scoring chain', () => {
+    const state = createState();
+    state.restore({ ...createState().serialize(), scoring: undefined });
+    assert.deepEqual(state.scoring.getState(), { combo: -1, backToBack: false });
+  });
+});
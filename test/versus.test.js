@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { VersusMatch } from '../src/core/versus.js';
+import { ATTACK_LINES } from '../src/core/ScoringEngine.js';
+import { clearTetris } from './helpers.js';
+
+describe('VersusMatch', () => {
+  it('deals the same pieces to every player', () => {
+    const match = new VersusMatch({ seed: 42 });
+    const [first, second] = match.states;
+
+    assert.equal(first.rng.seed, second.rng.seed);
+    assert.equal(first.currentPiece.type, second.currentPiece.type);
+    assert.deepEqual(first.nextQueue, second.nextQueue);
+  });
+
+  it('sends the attack of a clear to the opponent', () => {
+    const match = new VersusMatch({ seed: 1 });
+    const attacks = [];
+    match.on('attack', detail => attacks.push(detail));
+
+    clearTetris(match.states[0], { perfectClear: false });
+
+    assert.deepEqual(attacks, [{ from: 0, to: 1, lines: ATTACK_LINES[4] }]);
+    assert.equal(match.states[1].garbage.pending, ATTACK_LINES[4]);
+    assert.equal(match.getResults()[0].attackSent, ATTACK_LINES[4]);
+  });
+
+  it('cancels incoming garbage before sending anything back', () => {
+    const match = new VersusMatch({ seed: 2 });
+    match.states[0].receiveGarbage(3);
+
+    clearTetris(match.states[0], { perfectClear: false });
+
+    assert.equal(match.states[0].garbage.pending, 0);
+    assert.equal(match.states[1].garbage.pending, ATTACK_LINES[4] - 3);
+  });
+
+  it('ends the round when a player tops out and counts the win', () => {
+    const match = new VersusMatch({ seed: 3 });
+    let over = null;
+    match.on('matchOver', detail => { over = detail; });
+
+    match.states[1].setGameOver('topOut');
+
+    assert.equal(match.isOver, true);
+    assert.equal(over.winner, 0);
+    assert.deepEqual(over.wins, [1, 0]);
+    assert.equal(over.results[1].reason, 'topOut');
+    assert.equal(match.states[0].isGameOver, false);
+  });
+
+  it('freezes every board once the round is over', () => {
+    const match = new VersusMatch({ seed: 4 });
+    match.states[0].setGameOver('blockOut');
+    const elapsed = match.states[1].elapsedTime;
+
+    match.step(1000);
+
+    assert.equal(match.states[1].elapsedTime, elapsed);
+  });
+
+  it('starts a new round on a shared seed and keeps the tally', () => {
+    const match = new VersusMatch({ seed: 5 });
+    match.states[0].setGameOver('topOut');
+    match.reset({ seed: 99 });
+
+    assert.equal(match.isOver, false);
+    assert.equal(match.winner, null);
+    assert.deepEqual(match.wins, [0, 1]);
+    assert.ok(match.states.every(state => state.rng.seed === 99 && !state.isGameOver));
+    assert.deepEqual(match.attackSent, [0, 0]);
+  });
+
+  it('pauses and resumes every board together', () => {
+    const match = new VersusMatch({ seed: 6 });
+    match.togglePause();
+    assert.ok(match.states.every(state => state.isPaused));
+    match.togglePause();
+    assert.ok(match.states.every(state => !state.isPaused));
+  });
+});